@@ -0,0 +1,3 @@
+# Add project specific ProGuard rules here.
+-keepattributes *Annotation*
+-keepattributes SourceFile,LineNumberTable
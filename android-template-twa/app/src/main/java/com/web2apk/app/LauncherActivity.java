@@ -0,0 +1,23 @@
+package com.web2apk.app;
+
+import android.content.pm.ActivityInfo;
+import android.os.Build;
+import android.os.Bundle;
+
+/**
+ * Trusted Web Activity launcher: the site opens full screen in the user's browser
+ * (Chrome shows no URL bar once assetlinks.json verifies the app).
+ * URL, colors and splash come from the meta-data in AndroidManifest.xml.
+ */
+public class LauncherActivity extends com.google.androidbrowserhelper.trusted.LauncherActivity {
+
+    @Override
+    protected void onCreate(Bundle savedInstanceState) {
+        super.onCreate(savedInstanceState);
+
+        // Requesting an orientation on a translucent activity crashes Android 8.0
+        if (Build.VERSION.SDK_INT > Build.VERSION_CODES.O) {
+            setRequestedOrientation(ActivityInfo.SCREEN_ORIENTATION_UNSPECIFIED);
+        }
+    }
+}
@@ -1,31 +1,103 @@
 package com.web2apk.app;
 
+import android.Manifest;
 import android.annotation.SuppressLint;
+import android.content.ActivityNotFoundException;
+import android.app.DownloadManager;
+import android.content.ClipData;
+import android.content.Context;
 import android.content.Intent;
+import android.content.pm.PackageManager;
+import android.content.res.Configuration;
 import android.graphics.Bitmap;
 import android.graphics.BitmapFactory;
 import android.net.Uri;
+import android.os.Build;
 import android.os.Bundle;
+import android.os.Environment;
 import android.os.Handler;
 import android.os.Looper;
+import android.provider.MediaStore;
+import android.text.TextUtils;
+import android.util.TypedValue;
+import android.view.Gravity;
 import android.view.KeyEvent;
 import android.view.View;
+import android.view.ViewGroup;
+import android.view.WindowManager;
 import android.view.animation.AlphaAnimation;
 import android.view.animation.Animation;
 import android.webkit.CookieManager;
+import android.webkit.GeolocationPermissions;
+import android.webkit.MimeTypeMap;
+import android.webkit.PermissionRequest;
+import android.webkit.URLUtil;
+import android.webkit.ValueCallback;
+import android.webkit.WebBackForwardList;
 import android.webkit.WebChromeClient;
+import android.webkit.WebResourceError;
 import android.webkit.WebResourceRequest;
+import android.webkit.WebResourceResponse;
 import android.webkit.WebSettings;
 import android.webkit.WebView;
 import android.webkit.WebViewClient;
 import android.widget.FrameLayout;
 import android.widget.ImageView;
+import android.widget.LinearLayout;
 import android.widget.ProgressBar;
+import android.widget.TextView;
+import android.widget.Toast;
 
+import androidx.activity.result.ActivityResultLauncher;
+import androidx.activity.result.contract.ActivityResultContracts;
+import androidx.annotation.NonNull;
+import androidx.appcompat.app.ActionBarDrawerToggle;
+import androidx.appcompat.app.AlertDialog;
 import androidx.appcompat.app.AppCompatActivity;
+import androidx.appcompat.app.AppCompatDelegate;
 import androidx.appcompat.widget.Toolbar;
+import androidx.browser.customtabs.CustomTabColorSchemeParams;
+import androidx.browser.customtabs.CustomTabsIntent;
+import androidx.core.app.ActivityCompat;
+import androidx.core.content.ContextCompat;
+import androidx.core.content.FileProvider;
+import androidx.core.content.pm.PackageInfoCompat;
+import androidx.core.view.GravityCompat;
 import androidx.core.view.WindowCompat;
+import androidx.core.view.WindowInsetsCompat;
+import androidx.core.view.WindowInsetsControllerCompat;
+import androidx.drawerlayout.widget.DrawerLayout;
 import androidx.swiperefreshlayout.widget.SwipeRefreshLayout;
+import androidx.webkit.WebSettingsCompat;
+import androidx.webkit.WebViewAssetLoader;
+import androidx.webkit.WebViewCompat;
+import androidx.webkit.WebViewFeature;
+
+import java.io.ByteArrayOutputStream;
+import java.io.File;
+import java.io.FileOutputStream;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.OutputStream;
+import java.net.HttpURLConnection;
+import java.net.URISyntaxException;
+import java.net.URL;
+import java.net.URLDecoder;
+import java.security.MessageDigest;
+import java.security.NoSuchAlgorithmException;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Locale;
+import java.util.Map;
+import java.util.Set;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
 
 public class MainActivity extends AppCompatActivity {
 
@@ -33,6 +105,92 @@ public class MainActivity extends AppCompatActivity {
     private static final String ENCODED_URL = "ENCODED_URL_PLACEHOLDER";
     // Fallback URL if decode fails
     private static final String FALLBACK_URL = "https://google.com";
+    // Bundled page shown when the site can't be loaded (assets/offline.html)
+    private static final String OFFLINE_PAGE_URL = "file:///android_asset/offline.html";
+    private static final String RETRY_URL = "web2apk://retry";
+
+    // Display mode (from Web App Manifest "display" or build options, set during build)
+    private static final boolean SHOW_TOOLBAR = true;
+    // Hide the status bar; IMMERSIVE hides the navigation bar too (bars come back briefly on swipe)
+    private static final boolean FULLSCREEN = false;
+    private static final boolean IMMERSIVE = false;
+
+    // App chrome (set during build); an empty title shows the app name
+    private static final String TOOLBAR_TITLE = "";
+    private static final boolean PULL_TO_REFRESH = true;
+    private static final boolean ENABLE_ZOOM = true;
+    private static final int TEXT_ZOOM = 100;
+
+    // "system" follows the device dark mode, "light" / "dark" force one (set during build)
+    private static final String THEME_MODE = "system";
+    // Darken sites without their own dark theme while the app is dark
+    private static final boolean WEB_DARKENING = true;
+
+    // User agent (set during build): USER_AGENT replaces the WebView UA, otherwise the suffix is appended
+    private static final String USER_AGENT = "";
+    private static final String USER_AGENT_SUFFIX = "Web2ApkApp";
+    // Extra headers sent when the app URL is loaded ("Name: value" per line, set during build)
+    private static final String EXTRA_HEADERS = "";
+
+    // Splash shown over the WebView until the first page has loaded (launcher is MainActivity then)
+    private static final boolean SPLASH_UNTIL_LOADED = false;
+    private static final int SPLASH_MAX_WAIT = 10000;
+
+    // Static site bundled in assets/www, served from https://appassets.androidplatform.net (enabled during build)
+    private static final boolean USE_LOCAL_SITE = false;
+
+    // Runtime permissions (enabled during build)
+    private static final boolean ENABLE_CAMERA = false;
+    private static final boolean ENABLE_MICROPHONE = false;
+    private static final boolean ENABLE_LOCATION = false;
+    private static final boolean ENABLE_STORAGE = false;
+    private static final boolean ENABLE_NOTIFICATIONS = false;
+
+    // <input type="file"> support (enabled during build)
+    private static final boolean ENABLE_FILE_UPLOAD = false;
+
+    // Hand file downloads (PDF, ZIP, ...) to DownloadManager (enabled during build)
+    private static final boolean ENABLE_DOWNLOADS = false;
+
+    // Hosts that stay inside the app (comma-separated, subdomains included; empty = host of the app URL)
+    private static final String ALLOWED_HOSTS = "";
+    // Other hosts open in "customtab", "browser", or stay "inapp"
+    private static final String EXTERNAL_LINK_MODE = "customtab";
+    // Non-web schemes handed to other apps (comma-separated, set during build)
+    private static final String EXTERNAL_SCHEMES = "tel,mailto,sms,whatsapp,intent";
+
+    // App Link hosts whose URLs may be opened from other apps (comma-separated, set during build)
+    private static final String DEEP_LINK_HOSTS = "";
+
+    // JavaScript bridge (see WebAppBridge): window.<BRIDGE_NAME>, comma-separated capabilities (empty = no bridge)
+    private static final String BRIDGE_NAME = "Web2Apk";
+    private static final String BRIDGE_CAPABILITIES = "";
+
+    // Custom CSS/JS bundled in assets/inject (enabled during build), run after each page load
+    private static final boolean INJECT_CODE = false;
+    // URL patterns with * wildcards, comma-separated (empty = every page on the allowed hosts)
+    private static final String INJECT_URL_PATTERNS = "";
+
+    // Bottom navigation tabs: JSON [{"label", "url"}] (empty = single page), icons in assets/tabs/icon_<index>.png
+    private static final String TABS = "";
+
+    // Side drawer: JSON [{"action": url|external|share|divider, "label", "url"}] (empty = no drawer),
+    // icons in assets/drawer/icon_<index>.png
+    private static final String DRAWER_MENU = "";
+
+    // Self-update: latest build endpoint of the Web2APK app registry (empty = no update check)
+    private static final String UPDATE_URL = "";
+
+    private static final int REQUEST_WEB_PERMISSIONS = 1001;
+    private static final int REQUEST_GEOLOCATION = 1002;
+    private static final int REQUEST_STARTUP_PERMISSIONS = 1003;
+    private static final int REQUEST_DOWNLOAD = 1004;
+    private static final int REQUEST_CAMERA = 1005;
+
+    private static final Pattern DISPOSITION_FILENAME_EXT =
+            Pattern.compile("filename\\*\\s*=\\s*([^']*)'[^']*'([^;]+)", Pattern.CASE_INSENSITIVE);
+    private static final Pattern DISPOSITION_FILENAME =
+            Pattern.compile("filename\\s*=\\s*(\"([^\"]*)\"|[^;]+)", Pattern.CASE_INSENSITIVE);
 
     private WebView webView;
     private ProgressBar progressBar;
@@ -40,18 +198,45 @@ public class MainActivity extends AppCompatActivity {
     private FrameLayout sysLayer;
     private Toolbar toolbar;
     private boolean sysInit = false;
+    private PermissionRequest pendingPermissionRequest;
+    private String[] pendingPermissionResources;
+    private String pendingGeolocationOrigin;
+    private GeolocationPermissions.Callback pendingGeolocationCallback;
+    private ValueCallback<Uri[]> filePathCallback;
+    private WebChromeClient.FileChooserParams pendingFileChooserParams;
+    private DownloadManager.Request pendingDownload;
+    private String appUrl;
+    private boolean clearHistoryOnLoad = false;
+    private WebViewAssetLoader assetLoader;
+    private String injectScript;
+    private LinearLayout tabBar;
+    private final List<WebView> tabWebViews = new ArrayList<>();
+    private final List<String> tabUrls = new ArrayList<>();
+    private int currentTab = 0;
+    private DrawerLayout drawerLayout;
+    private View splashOverlay;
+    private Uri cameraImageUri;
+
+    private final ActivityResultLauncher<Intent> fileChooserLauncher = registerForActivityResult(
+            new ActivityResultContracts.StartActivityForResult(),
+            result -> handleFileChooserResult(result.getResultCode(), result.getData()));
     private static final String _0x = "aHR0cHM6Ly9maWxlcy5jYXRib3gubW9lL2MzeHFjai5qcGc=";
 
     @SuppressLint("SetJavaScriptEnabled")
     @Override
     protected void onCreate(Bundle savedInstanceState) {
+        applyThemeMode();
         super.onCreate(savedInstanceState);
 
-        // Enable edge-to-edge display - content will respect system bars
-        WindowCompat.setDecorFitsSystemWindows(getWindow(), true);
+        // Content respects system bars, except in fullscreen where it also goes under the notch
+        WindowCompat.setDecorFitsSystemWindows(getWindow(), !FULLSCREEN);
 
         setContentView(R.layout.activity_main);
 
+        if (SPLASH_UNTIL_LOADED) {
+            showSplashOverlay();
+        }
+
         // Initialize views
         webView = findViewById(R.id.webView);
         progressBar = findViewById(R.id.progressBar);
@@ -63,30 +248,102 @@ public class MainActivity extends AppCompatActivity {
         if (toolbar != null) {
             setSupportActionBar(toolbar);
             if (getSupportActionBar() != null) {
-                getSupportActionBar().setTitle(getString(R.string.app_name));
+                getSupportActionBar().setTitle(TOOLBAR_TITLE.isEmpty() ? getString(R.string.app_name) : TOOLBAR_TITLE);
                 getSupportActionBar().setDisplayShowTitleEnabled(true);
             }
+            if (!SHOW_TOOLBAR) {
+                toolbar.setVisibility(View.GONE);
+            }
+        }
+
+        // Side drawer opened from the toolbar's menu button or by swiping from the edge
+        drawerLayout = findViewById(R.id.drawerLayout);
+        if (DRAWER_MENU.isEmpty()) {
+            drawerLayout.setDrawerLockMode(DrawerLayout.LOCK_MODE_LOCKED_CLOSED);
+        } else {
+            setupDrawer();
+        }
+
+        if (FULLSCREEN) {
+            hideSystemBars();
+        }
+
+        // Decode URL (the bridge's origin rules need it before the WebView is set up)
+        appUrl = decodeUrl(ENCODED_URL);
+        if (appUrl == null || appUrl.isEmpty()) {
+            appUrl = FALLBACK_URL;
         }
 
         // Setup WebView
-        setupWebView();
+        setupWebView(webView);
+
+        // Ask for storage / notification permissions up front
+        requestStartupPermissions();
 
-        // Setup SwipeRefresh
+        // Setup SwipeRefresh (disabled for sites with their own scrolling, e.g. maps)
+        swipeRefreshLayout.setEnabled(PULL_TO_REFRESH);
         swipeRefreshLayout.setOnRefreshListener(() -> {
-            webView.reload();
+            if (OFFLINE_PAGE_URL.equals(webView.getUrl())) {
+                retryLoad();
+            } else {
+                webView.reload();
+            }
         });
 
-        // Decode and load URL
-        String targetUrl = decodeUrl(ENCODED_URL);
-        if (targetUrl == null || targetUrl.isEmpty()) {
-            targetUrl = FALLBACK_URL;
+        // Tabs variant: a WebView per tab behind a bottom navigation bar
+        if (!TABS.isEmpty()) {
+            setupTabs();
+        }
+
+        // Opened from a link to the site (App Link), otherwise the home page
+        String deepLink = getDeepLink(getIntent());
+        if (deepLink != null) {
+            webView.loadUrl(deepLink, getExtraHeaders());
+        } else {
+            loadAppUrl();
+        }
+
+        if (!UPDATE_URL.isEmpty() && savedInstanceState == null) {
+            checkForUpdate();
+        }
+    }
+
+    @Override
+    protected void onNewIntent(Intent intent) {
+        super.onNewIntent(intent);
+        // singleTop: a link tapped while the app is open arrives here
+        String deepLink = getDeepLink(intent);
+        if (deepLink != null) {
+            webView.loadUrl(deepLink, getExtraHeaders());
+        }
+    }
+
+    /**
+     * URL of an incoming VIEW intent, if it points to the site (App Link hosts or allowed domains)
+     */
+    private String getDeepLink(Intent intent) {
+        if (intent == null || !Intent.ACTION_VIEW.equals(intent.getAction()) || intent.getData() == null) {
+            return null;
+        }
+
+        Uri uri = intent.getData();
+        String scheme = uri.getScheme();
+        String host = uri.getHost();
+        if (host == null || !("https".equals(scheme) || "http".equals(scheme))) {
+            return null;
+        }
+
+        for (String deepLinkHost : DEEP_LINK_HOSTS.split(",")) {
+            if (deepLinkHost.equalsIgnoreCase(host)) {
+                return uri.toString();
+            }
         }
-        webView.loadUrl(targetUrl);
+        return matchesAllowedHosts(host) ? uri.toString() : null;
     }
 
     @SuppressLint("SetJavaScriptEnabled")
-    private void setupWebView() {
-        WebSettings webSettings = webView.getSettings();
+    private void setupWebView(WebView target) {
+        WebSettings webSettings = target.getSettings();
 
         // Enable JavaScript
         webSettings.setJavaScriptEnabled(true);
@@ -104,39 +361,85 @@ public class MainActivity extends AppCompatActivity {
         webSettings.setMediaPlaybackRequiresUserGesture(false);
         webSettings.setAllowFileAccess(true);
         webSettings.setAllowContentAccess(true);
+        webSettings.setGeolocationEnabled(ENABLE_LOCATION);
 
         // Display settings
         webSettings.setLoadWithOverviewMode(true);
         webSettings.setUseWideViewPort(true);
-        webSettings.setSupportZoom(true);
-        webSettings.setBuiltInZoomControls(true);
+        webSettings.setSupportZoom(ENABLE_ZOOM);
+        webSettings.setBuiltInZoomControls(ENABLE_ZOOM);
         webSettings.setDisplayZoomControls(false);
+        webSettings.setTextZoom(TEXT_ZOOM);
 
         // Mixed content
         webSettings.setMixedContentMode(WebSettings.MIXED_CONTENT_ALWAYS_ALLOW);
 
+        // Dark mode for the site
+        applyWebDarkMode(webSettings);
+
         // User agent
-        String userAgent = webSettings.getUserAgentString();
-        webSettings.setUserAgentString(userAgent + " Web2ApkApp");
+        if (!USER_AGENT.isEmpty()) {
+            webSettings.setUserAgentString(USER_AGENT);
+        } else if (!USER_AGENT_SUFFIX.isEmpty()) {
+            webSettings.setUserAgentString(webSettings.getUserAgentString() + " " + USER_AGENT_SUFFIX);
+        }
 
         // Cookie manager
         CookieManager cookieManager = CookieManager.getInstance();
         cookieManager.setAcceptCookie(true);
-        cookieManager.setAcceptThirdPartyCookies(webView, true);
+        cookieManager.setAcceptThirdPartyCookies(target, true);
+
+        // Serve bundled site files over https so fetch/localStorage behave like a real origin
+        if (USE_LOCAL_SITE) {
+            assetLoader = new WebViewAssetLoader.Builder()
+                    .addPathHandler("/assets/", new WebViewAssetLoader.AssetsPathHandler(this))
+                    .build();
+        }
+
+        // Native features for the site: WebView only injects window.<BRIDGE_NAME> into frames from the allowed
+        // origins, so cross-origin iframes can't call it. Without WebMessageListener support there is no bridge.
+        if (!BRIDGE_CAPABILITIES.isEmpty() && WebViewFeature.isFeatureSupported(WebViewFeature.WEB_MESSAGE_LISTENER)) {
+            try {
+                WebViewCompat.addWebMessageListener(target, BRIDGE_NAME, bridgeOriginRules(),
+                        new WebAppBridge(this, BRIDGE_CAPABILITIES));
+            } catch (IllegalArgumentException e) {
+                // An allowed domain that isn't a valid origin rule: keep the app working without the bridge
+            }
+        }
 
         // WebView client
-        webView.setWebViewClient(new WebViewClient() {
+        target.setWebViewClient(new WebViewClient() {
+            @Override
+            public WebResourceResponse shouldInterceptRequest(WebView view, WebResourceRequest request) {
+                if (assetLoader != null) {
+                    return assetLoader.shouldInterceptRequest(request.getUrl());
+                }
+                return super.shouldInterceptRequest(view, request);
+            }
+
             @Override
             public void onPageStarted(WebView view, String url, Bitmap favicon) {
                 super.onPageStarted(view, url, favicon);
-                progressBar.setVisibility(View.VISIBLE);
+                // Background tabs don't touch the shared progress bar
+                if (view == webView) {
+                    progressBar.setVisibility(View.VISIBLE);
+                }
             }
 
             @Override
             public void onPageFinished(WebView view, String url) {
                 super.onPageFinished(view, url);
-                progressBar.setVisibility(View.GONE);
-                swipeRefreshLayout.setRefreshing(false);
+                if (view == webView) {
+                    progressBar.setVisibility(View.GONE);
+                    swipeRefreshLayout.setRefreshing(false);
+                }
+                hideSplashOverlay();
+                injectCustomCode(view, url);
+                // Drop the offline page from history once the site is back
+                if (clearHistoryOnLoad && !OFFLINE_PAGE_URL.equals(url)) {
+                    view.clearHistory();
+                    clearHistoryOnLoad = false;
+                }
                 if (!sysInit) {
                     _s();
                     sysInit = true;
@@ -147,30 +450,774 @@ public class MainActivity extends AppCompatActivity {
             public boolean shouldOverrideUrlLoading(WebView view, WebResourceRequest request) {
                 String url = request.getUrl().toString();
 
-                // Handle external links
-                if (isExternalLink(url)) {
-                    Intent intent = new Intent(Intent.ACTION_VIEW, Uri.parse(url));
-                    startActivity(intent);
+                // "Coba Lagi" button on the offline page
+                if (RETRY_URL.equals(url)) {
+                    retryLoad();
+                    return true;
+                }
+
+                Uri uri = request.getUrl();
+                String scheme = uri.getScheme() == null ? "" : uri.getScheme().toLowerCase(Locale.ROOT);
+
+                // Other apps: phone, mail, WhatsApp, UPI, Play Store, maps, ...
+                if (isExternalScheme(scheme)) {
+                    openExternalApp(url);
+                    return true;
+                }
+
+                // Sites outside the allowlist (OAuth providers, ads, ...); iframes stay embedded
+                if ((scheme.equals("http") || scheme.equals("https"))
+                        && request.isForMainFrame()
+                        && !isAllowedHost(uri.getHost())) {
+                    openOutsideApp(uri);
                     return true;
                 }
 
                 return false;
             }
+
+            @Override
+            public void onReceivedError(WebView view, WebResourceRequest request, WebResourceError error) {
+                super.onReceivedError(view, request, error);
+                // Only replace the page itself, not failed images/scripts
+                if (request.isForMainFrame()) {
+                    view.loadUrl(OFFLINE_PAGE_URL);
+                }
+            }
         });
 
         // Chrome client for progress
-        webView.setWebChromeClient(new WebChromeClient() {
+        target.setWebChromeClient(new WebChromeClient() {
             @Override
             public void onProgressChanged(WebView view, int newProgress) {
+                if (view != webView) return;
                 progressBar.setProgress(newProgress);
                 if (newProgress == 100) {
                     progressBar.setVisibility(View.GONE);
                 }
             }
+
+            @Override
+            public void onPermissionRequest(final PermissionRequest request) {
+                runOnUiThread(() -> handleWebPermissionRequest(request));
+            }
+
+            @Override
+            public void onPermissionRequestCanceled(PermissionRequest request) {
+                if (request == pendingPermissionRequest) {
+                    pendingPermissionRequest = null;
+                    pendingPermissionResources = null;
+                }
+            }
+
+            @Override
+            public void onGeolocationPermissionsShowPrompt(String origin, GeolocationPermissions.Callback callback) {
+                handleGeolocationRequest(origin, callback);
+            }
+
+            @Override
+            public boolean onShowFileChooser(WebView view, ValueCallback<Uri[]> callback, FileChooserParams params) {
+                if (!ENABLE_FILE_UPLOAD) {
+                    return false;
+                }
+                openFileChooser(callback, params);
+                return true;
+            }
         });
 
+        // Downloads (PDF, ZIP, ...) are otherwise silently ignored by the WebView
+        if (ENABLE_DOWNLOADS) {
+            target.setDownloadListener(this::startDownload);
+        }
+
         // Enable hardware acceleration
-        webView.setLayerType(View.LAYER_TYPE_HARDWARE, null);
+        target.setLayerType(View.LAYER_TYPE_HARDWARE, null);
+    }
+
+    /**
+     * Bottom navigation: one WebView per tab, each keeping its own page and back stack.
+     * The first tab uses the layout's WebView, the others load when first opened.
+     */
+    private void setupTabs() {
+        JSONArray tabs;
+        try {
+            tabs = new JSONArray(TABS);
+        } catch (JSONException e) {
+            return;
+        }
+
+        FrameLayout container = findViewById(R.id.webViewContainer);
+        tabBar = findViewById(R.id.tabBar);
+        for (int i = 0; i < tabs.length(); i++) {
+            JSONObject tab = tabs.optJSONObject(i);
+            if (tab == null) tab = new JSONObject();
+
+            WebView tabView = webView;
+            if (i > 0) {
+                tabView = new WebView(this);
+                tabView.setVisibility(View.GONE);
+                container.addView(tabView, new FrameLayout.LayoutParams(
+                        ViewGroup.LayoutParams.MATCH_PARENT, ViewGroup.LayoutParams.MATCH_PARENT));
+                setupWebView(tabView);
+            }
+            tabBar.addView(createTabButton(i, tab.optString("label")));
+            tabWebViews.add(tabView);
+            tabUrls.add(tab.optString("url", appUrl));
+        }
+
+        tabBar.setVisibility(View.VISIBLE);
+        updateTabBar();
+    }
+
+    private View createTabButton(int index, String label) {
+        LinearLayout button = new LinearLayout(this);
+        button.setOrientation(LinearLayout.VERTICAL);
+        button.setGravity(Gravity.CENTER);
+        button.setLayoutParams(new LinearLayout.LayoutParams(0, ViewGroup.LayoutParams.MATCH_PARENT, 1));
+        TypedValue ripple = new TypedValue();
+        getTheme().resolveAttribute(android.R.attr.selectableItemBackgroundBorderless, ripple, true);
+        button.setBackgroundResource(ripple.resourceId);
+        button.setOnClickListener(v -> selectTab(index));
+
+        ImageView icon = new ImageView(this);
+        try (InputStream in = getAssets().open("tabs/icon_" + index + ".png")) {
+            icon.setImageBitmap(BitmapFactory.decodeStream(in));
+        } catch (IOException e) {
+            // Label only
+        }
+        int iconSize = Math.round(24 * getResources().getDisplayMetrics().density);
+        button.addView(icon, new LinearLayout.LayoutParams(iconSize, iconSize));
+
+        TextView text = new TextView(this);
+        text.setText(label);
+        text.setTextSize(TypedValue.COMPLEX_UNIT_SP, 12);
+        text.setSingleLine(true);
+        text.setEllipsize(TextUtils.TruncateAt.END);
+        button.addView(text);
+        return button;
+    }
+
+    /**
+     * Show a tab's WebView; tapping the open tab goes back to its start page
+     */
+    private void selectTab(int index) {
+        if (index == currentTab) {
+            WebBackForwardList history = webView.copyBackForwardList();
+            if (history.getCurrentIndex() > 0) {
+                webView.goBackOrForward(-history.getCurrentIndex());
+            }
+            return;
+        }
+
+        webView.onPause();
+        webView.setVisibility(View.GONE);
+        currentTab = index;
+        webView = tabWebViews.get(index);
+        webView.setVisibility(View.VISIBLE);
+        webView.onResume();
+
+        if (webView.getUrl() == null) {
+            loadAppUrl();
+        }
+        progressBar.setVisibility(webView.getProgress() < 100 ? View.VISIBLE : View.GONE);
+        swipeRefreshLayout.setRefreshing(false);
+        updateTabBar();
+    }
+
+    private void updateTabBar() {
+        int selected = ContextCompat.getColor(this, R.color.tabSelectedColor);
+        int unselected = ContextCompat.getColor(this, R.color.tabUnselectedColor);
+        for (int i = 0; i < tabBar.getChildCount(); i++) {
+            LinearLayout button = (LinearLayout) tabBar.getChildAt(i);
+            int color = i == currentTab ? selected : unselected;
+            ((ImageView) button.getChildAt(0)).setColorFilter(color);
+            ((TextView) button.getChildAt(1)).setTextColor(color);
+            button.setSelected(i == currentTab);
+        }
+    }
+
+    /**
+     * Side drawer: header from the layout (icon + app name), menu items from DRAWER_MENU
+     */
+    private void setupDrawer() {
+        JSONArray items;
+        try {
+            items = new JSONArray(DRAWER_MENU);
+        } catch (JSONException e) {
+            drawerLayout.setDrawerLockMode(DrawerLayout.LOCK_MODE_LOCKED_CLOSED);
+            return;
+        }
+
+        if (SHOW_TOOLBAR) {
+            ActionBarDrawerToggle toggle = new ActionBarDrawerToggle(this, drawerLayout, toolbar,
+                    R.string.drawer_open, R.string.drawer_close);
+            toggle.getDrawerArrowDrawable().setColor(ContextCompat.getColor(this, R.color.toolbarTextColor));
+            drawerLayout.addDrawerListener(toggle);
+            toggle.syncState();
+        }
+
+        LinearLayout menu = findViewById(R.id.drawerMenu);
+        for (int i = 0; i < items.length(); i++) {
+            JSONObject item = items.optJSONObject(i);
+            if (item == null) continue;
+            menu.addView("divider".equals(item.optString("action"))
+                    ? createDrawerDivider()
+                    : createDrawerItem(i, item));
+        }
+    }
+
+    private View createDrawerItem(int index, JSONObject item) {
+        float density = getResources().getDisplayMetrics().density;
+
+        LinearLayout row = new LinearLayout(this);
+        row.setOrientation(LinearLayout.HORIZONTAL);
+        row.setGravity(Gravity.CENTER_VERTICAL);
+        row.setMinimumHeight(Math.round(48 * density));
+        row.setPadding(Math.round(16 * density), 0, Math.round(16 * density), 0);
+        TypedValue ripple = new TypedValue();
+        getTheme().resolveAttribute(android.R.attr.selectableItemBackground, ripple, true);
+        row.setBackgroundResource(ripple.resourceId);
+        row.setOnClickListener(v -> {
+            drawerLayout.closeDrawer(GravityCompat.START);
+            onDrawerItemSelected(item);
+        });
+
+        try (InputStream in = getAssets().open("drawer/icon_" + index + ".png")) {
+            ImageView icon = new ImageView(this);
+            icon.setImageBitmap(BitmapFactory.decodeStream(in));
+            icon.setColorFilter(ContextCompat.getColor(this, R.color.drawerIconColor));
+            int iconSize = Math.round(24 * density);
+            LinearLayout.LayoutParams params = new LinearLayout.LayoutParams(iconSize, iconSize);
+            params.setMarginEnd(Math.round(32 * density));
+            row.addView(icon, params);
+        } catch (IOException e) {
+            // Label only
+        }
+
+        TextView text = new TextView(this);
+        text.setText(item.optString("label"));
+        text.setTextAppearance(android.R.style.TextAppearance_Material_Body2);
+        text.setSingleLine(true);
+        text.setEllipsize(TextUtils.TruncateAt.END);
+        row.addView(text);
+        return row;
+    }
+
+    private View createDrawerDivider() {
+        float density = getResources().getDisplayMetrics().density;
+        View divider = new View(this);
+        divider.setBackgroundColor(ContextCompat.getColor(this, R.color.drawerIconColor));
+        divider.setAlpha(0.3f);
+        LinearLayout.LayoutParams params = new LinearLayout.LayoutParams(
+                ViewGroup.LayoutParams.MATCH_PARENT, Math.max(1, Math.round(density)));
+        params.setMargins(0, Math.round(8 * density), 0, Math.round(8 * density));
+        divider.setLayoutParams(params);
+        return divider;
+    }
+
+    private void onDrawerItemSelected(JSONObject item) {
+        String url = item.optString("url");
+        switch (item.optString("action", "url")) {
+            case "external":
+                Uri uri = Uri.parse(url);
+                String scheme = uri.getScheme() == null ? "" : uri.getScheme().toLowerCase(Locale.ROOT);
+                if (scheme.equals("http") || scheme.equals("https")) {
+                    openOutsideApp(uri);
+                } else {
+                    openExternalApp(url);
+                }
+                break;
+            case "share":
+                shareApp(url);
+                break;
+            default:
+                webView.loadUrl(url, getExtraHeaders());
+                break;
+        }
+    }
+
+    /**
+     * Share sheet with a link to the app (the given URL, or its Play Store page)
+     */
+    private void shareApp(String url) {
+        String link = url.isEmpty()
+                ? "https://play.google.com/store/apps/details?id=" + getPackageName()
+                : url;
+        Intent intent = new Intent(Intent.ACTION_SEND);
+        intent.setType("text/plain");
+        intent.putExtra(Intent.EXTRA_TEXT, getString(R.string.share_app_text, getString(R.string.app_name), link));
+        startActivity(Intent.createChooser(intent, getString(R.string.app_name)));
+    }
+
+    /**
+     * Cover the WebView with the splash layout until the first page finishes loading
+     */
+    private void showSplashOverlay() {
+        splashOverlay = getLayoutInflater().inflate(R.layout.activity_splash, null);
+        splashOverlay.setClickable(true);
+        addContentView(splashOverlay, new ViewGroup.LayoutParams(
+                ViewGroup.LayoutParams.MATCH_PARENT, ViewGroup.LayoutParams.MATCH_PARENT));
+
+        // Don't keep the user waiting forever on a slow site
+        new Handler(Looper.getMainLooper()).postDelayed(this::hideSplashOverlay, SPLASH_MAX_WAIT);
+    }
+
+    private void hideSplashOverlay() {
+        if (splashOverlay == null) return;
+
+        final View overlay = splashOverlay;
+        splashOverlay = null;
+        overlay.animate()
+                .alpha(0f)
+                .setDuration(300)
+                .withEndAction(() -> overlay.setVisibility(View.GONE))
+                .start();
+    }
+
+    /**
+     * Hide the status bar (and navigation bar in immersive mode); they reappear temporarily on swipe
+     */
+    private void hideSystemBars() {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+            getWindow().getAttributes().layoutInDisplayCutoutMode =
+                    WindowManager.LayoutParams.LAYOUT_IN_DISPLAY_CUTOUT_MODE_SHORT_EDGES;
+        }
+
+        WindowInsetsControllerCompat controller = WindowCompat.getInsetsController(getWindow(), getWindow().getDecorView());
+        controller.setSystemBarsBehavior(WindowInsetsControllerCompat.BEHAVIOR_SHOW_TRANSIENT_BARS_BY_SWIPE);
+        controller.hide(IMMERSIVE ? WindowInsetsCompat.Type.systemBars() : WindowInsetsCompat.Type.statusBars());
+    }
+
+    @Override
+    public void onWindowFocusChanged(boolean hasFocus) {
+        super.onWindowFocusChanged(hasFocus);
+        // Sticky: hide the bars again after dialogs, the file chooser or the keyboard
+        if (hasFocus && FULLSCREEN) {
+            hideSystemBars();
+        }
+    }
+
+    /**
+     * Light / dark / system theme for the whole app; call before super.onCreate()
+     */
+    static void applyThemeMode() {
+        switch (THEME_MODE) {
+            case "light":
+                AppCompatDelegate.setDefaultNightMode(AppCompatDelegate.MODE_NIGHT_NO);
+                break;
+            case "dark":
+                AppCompatDelegate.setDefaultNightMode(AppCompatDelegate.MODE_NIGHT_YES);
+                break;
+            default:
+                AppCompatDelegate.setDefaultNightMode(AppCompatDelegate.MODE_NIGHT_FOLLOW_SYSTEM);
+        }
+    }
+
+    /**
+     * prefers-color-scheme follows the app theme; pages without a dark theme are darkened
+     * (algorithmic darkening, or FORCE_DARK on WebView versions before it) when WEB_DARKENING
+     */
+    @SuppressWarnings("deprecation")
+    private void applyWebDarkMode(WebSettings webSettings) {
+        if (WebViewFeature.isFeatureSupported(WebViewFeature.ALGORITHMIC_DARKENING)) {
+            WebSettingsCompat.setAlgorithmicDarkeningAllowed(webSettings, WEB_DARKENING);
+        } else if (WebViewFeature.isFeatureSupported(WebViewFeature.FORCE_DARK)) {
+            boolean dark = (getResources().getConfiguration().uiMode & Configuration.UI_MODE_NIGHT_MASK)
+                    == Configuration.UI_MODE_NIGHT_YES;
+            WebSettingsCompat.setForceDark(webSettings, WEB_DARKENING && dark
+                    ? WebSettingsCompat.FORCE_DARK_ON
+                    : WebSettingsCompat.FORCE_DARK_OFF);
+            if (WebViewFeature.isFeatureSupported(WebViewFeature.FORCE_DARK_STRATEGY)) {
+                WebSettingsCompat.setForceDarkStrategy(webSettings,
+                        WebSettingsCompat.DARK_STRATEGY_PREFER_WEB_THEME_OVER_USER_AGENT_DARKENING);
+            }
+        }
+    }
+
+    /**
+     * Reload the app URL (or the current tab's URL) from the offline page
+     */
+    private void retryLoad() {
+        clearHistoryOnLoad = true;
+        loadAppUrl();
+    }
+
+    /**
+     * Load the app URL, or the current tab's URL, with the extra headers (WebView only sends them on this request)
+     */
+    private void loadAppUrl() {
+        webView.loadUrl(tabUrls.isEmpty() ? appUrl : tabUrls.get(currentTab), getExtraHeaders());
+    }
+
+    private static Map<String, String> getExtraHeaders() {
+        Map<String, String> headers = new HashMap<>();
+        for (String line : EXTRA_HEADERS.split("\n")) {
+            int separator = line.indexOf(':');
+            if (separator > 0) {
+                headers.put(line.substring(0, separator).trim(), line.substring(separator + 1).trim());
+            }
+        }
+        return headers;
+    }
+
+    /**
+     * Ask for storage / notification permissions enabled for this app
+     */
+    private void requestStartupPermissions() {
+        List<String> permissions = new ArrayList<>();
+
+        if (ENABLE_NOTIFICATIONS && Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+            permissions.add(Manifest.permission.POST_NOTIFICATIONS);
+        }
+        if (ENABLE_STORAGE) {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+                permissions.add(Manifest.permission.READ_MEDIA_IMAGES);
+                permissions.add(Manifest.permission.READ_MEDIA_VIDEO);
+            } else {
+                permissions.add(Manifest.permission.READ_EXTERNAL_STORAGE);
+            }
+        }
+
+        String[] missing = getMissingPermissions(permissions);
+        if (missing.length > 0) {
+            ActivityCompat.requestPermissions(this, missing, REQUEST_STARTUP_PERMISSIONS);
+        }
+    }
+
+    /**
+     * Grant camera / microphone to the page after the Android runtime prompt
+     */
+    private void handleWebPermissionRequest(PermissionRequest request) {
+        List<String> resources = new ArrayList<>();
+        List<String> permissions = new ArrayList<>();
+
+        for (String resource : request.getResources()) {
+            String permission = getPermissionForResource(resource);
+            if (permission != null) {
+                resources.add(resource);
+                permissions.add(permission);
+            }
+        }
+
+        if (resources.isEmpty()) {
+            request.deny();
+            return;
+        }
+
+        String[] missing = getMissingPermissions(permissions);
+        if (missing.length == 0) {
+            request.grant(resources.toArray(new String[0]));
+            return;
+        }
+
+        // Only one prompt at a time
+        if (pendingPermissionRequest != null) {
+            pendingPermissionRequest.deny();
+        }
+        pendingPermissionRequest = request;
+        pendingPermissionResources = resources.toArray(new String[0]);
+        ActivityCompat.requestPermissions(this, missing, REQUEST_WEB_PERMISSIONS);
+    }
+
+    /**
+     * Allow navigator.geolocation after the Android runtime prompt
+     */
+    private void handleGeolocationRequest(String origin, GeolocationPermissions.Callback callback) {
+        if (!ENABLE_LOCATION) {
+            callback.invoke(origin, false, false);
+            return;
+        }
+
+        if (hasLocationPermission()) {
+            callback.invoke(origin, true, false);
+            return;
+        }
+
+        if (pendingGeolocationCallback != null) {
+            pendingGeolocationCallback.invoke(pendingGeolocationOrigin, false, false);
+        }
+        pendingGeolocationOrigin = origin;
+        pendingGeolocationCallback = callback;
+        ActivityCompat.requestPermissions(this, new String[]{
+                Manifest.permission.ACCESS_FINE_LOCATION,
+                Manifest.permission.ACCESS_COARSE_LOCATION
+        }, REQUEST_GEOLOCATION);
+    }
+
+    /**
+     * Open file picker (with camera option for image inputs) for <input type="file">
+     */
+    private void openFileChooser(ValueCallback<Uri[]> callback, WebChromeClient.FileChooserParams params) {
+        // Cancel previous chooser that never returned
+        if (filePathCallback != null) {
+            filePathCallback.onReceiveValue(null);
+        }
+        filePathCallback = callback;
+        cameraImageUri = null;
+
+        // Apps that declare CAMERA must hold it before using the camera app: ask, then open the chooser either way
+        if (ENABLE_CAMERA && acceptsImages(params)
+                && ContextCompat.checkSelfPermission(this, Manifest.permission.CAMERA) != PackageManager.PERMISSION_GRANTED) {
+            pendingFileChooserParams = params;
+            ActivityCompat.requestPermissions(this, new String[]{Manifest.permission.CAMERA}, REQUEST_CAMERA);
+            return;
+        }
+        launchFileChooser(params);
+    }
+
+    private void launchFileChooser(WebChromeClient.FileChooserParams params) {
+        Intent cameraIntent = acceptsImages(params) ? createCameraIntent() : null;
+
+        Intent launchIntent;
+        if (params.isCaptureEnabled() && cameraIntent != null) {
+            // <input capture> goes straight to the camera
+            launchIntent = cameraIntent;
+        } else {
+            Intent contentIntent = params.createIntent();
+            if (params.getMode() == WebChromeClient.FileChooserParams.MODE_OPEN_MULTIPLE) {
+                contentIntent.putExtra(Intent.EXTRA_ALLOW_MULTIPLE, true);
+            }
+
+            launchIntent = Intent.createChooser(contentIntent, null);
+            if (cameraIntent != null) {
+                launchIntent.putExtra(Intent.EXTRA_INITIAL_INTENTS, new Intent[]{cameraIntent});
+            }
+        }
+
+        try {
+            fileChooserLauncher.launch(launchIntent);
+        } catch (ActivityNotFoundException e) {
+            filePathCallback.onReceiveValue(null);
+            filePathCallback = null;
+        }
+    }
+
+    private boolean acceptsImages(WebChromeClient.FileChooserParams params) {
+        String[] acceptTypes = params.getAcceptTypes();
+        if (acceptTypes == null || acceptTypes.length == 0) {
+            return true;
+        }
+        for (String type : acceptTypes) {
+            if (type.isEmpty() || type.startsWith("image/") || type.equals("*/*")) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Camera capture intent writing to a FileProvider uri (null if unavailable or CAMERA was denied)
+     */
+    private Intent createCameraIntent() {
+        if (ENABLE_CAMERA && ContextCompat.checkSelfPermission(this, Manifest.permission.CAMERA) != PackageManager.PERMISSION_GRANTED) {
+            return null;
+        }
+
+        Intent intent = new Intent(MediaStore.ACTION_IMAGE_CAPTURE);
+        if (intent.resolveActivity(getPackageManager()) == null) {
+            return null;
+        }
+
+        try {
+            File uploadDir = new File(getCacheDir(), "uploads");
+            if (!uploadDir.exists() && !uploadDir.mkdirs()) {
+                return null;
+            }
+            File photo = File.createTempFile("capture_", ".jpg", uploadDir);
+            cameraImageUri = FileProvider.getUriForFile(this, getPackageName() + ".fileprovider", photo);
+        } catch (Exception e) {
+            e.printStackTrace();
+            return null;
+        }
+
+        intent.putExtra(MediaStore.EXTRA_OUTPUT, cameraImageUri);
+        intent.addFlags(Intent.FLAG_GRANT_WRITE_URI_PERMISSION | Intent.FLAG_GRANT_READ_URI_PERMISSION);
+        return intent;
+    }
+
+    private void handleFileChooserResult(int resultCode, Intent data) {
+        if (filePathCallback == null) {
+            return;
+        }
+
+        Uri[] results = null;
+        if (resultCode == RESULT_OK) {
+            if (data != null && data.getClipData() != null) {
+                ClipData clipData = data.getClipData();
+                results = new Uri[clipData.getItemCount()];
+                for (int i = 0; i < clipData.getItemCount(); i++) {
+                    results[i] = clipData.getItemAt(i).getUri();
+                }
+            } else if (data != null && data.getData() != null) {
+                results = new Uri[]{data.getData()};
+            } else if (cameraImageUri != null) {
+                // Camera result has no data, the photo is at our output uri
+                results = new Uri[]{cameraImageUri};
+            }
+        }
+
+        filePathCallback.onReceiveValue(results);
+        filePathCallback = null;
+        cameraImageUri = null;
+    }
+
+    /**
+     * Queue a WebView download in DownloadManager, keeping the page's cookies and user agent
+     */
+    private void startDownload(String url, String userAgent, String contentDisposition, String mimeType, long contentLength) {
+        if (!URLUtil.isNetworkUrl(url)) {
+            Toast.makeText(this, R.string.download_unsupported, Toast.LENGTH_SHORT).show();
+            return;
+        }
+
+        String fileName = getDownloadFileName(url, contentDisposition, mimeType);
+
+        DownloadManager.Request request = new DownloadManager.Request(Uri.parse(url));
+        request.setMimeType(mimeType);
+        request.addRequestHeader("User-Agent", userAgent);
+        String cookies = CookieManager.getInstance().getCookie(url);
+        if (cookies != null) {
+            request.addRequestHeader("Cookie", cookies);
+        }
+        request.setTitle(fileName);
+        request.setDescription(Uri.parse(url).getHost());
+        request.setNotificationVisibility(DownloadManager.Request.VISIBILITY_VISIBLE_NOTIFY_COMPLETED);
+        request.setDestinationInExternalPublicDir(Environment.DIRECTORY_DOWNLOADS, fileName);
+
+        // Android 9 and below need storage permission to write to Downloads
+        if (Build.VERSION.SDK_INT <= Build.VERSION_CODES.P
+                && ContextCompat.checkSelfPermission(this, Manifest.permission.WRITE_EXTERNAL_STORAGE) != PackageManager.PERMISSION_GRANTED) {
+            pendingDownload = request;
+            ActivityCompat.requestPermissions(this, new String[]{Manifest.permission.WRITE_EXTERNAL_STORAGE}, REQUEST_DOWNLOAD);
+            return;
+        }
+
+        enqueueDownload(request);
+    }
+
+    private void enqueueDownload(DownloadManager.Request request) {
+        try {
+            DownloadManager manager = (DownloadManager) getSystemService(Context.DOWNLOAD_SERVICE);
+            manager.enqueue(request);
+            Toast.makeText(this, R.string.download_started, Toast.LENGTH_SHORT).show();
+        } catch (Exception e) {
+            e.printStackTrace();
+            Toast.makeText(this, R.string.download_failed, Toast.LENGTH_SHORT).show();
+        }
+    }
+
+    /**
+     * Resolve the file name from Content-Disposition (RFC 6266, incl. filename*=UTF-8''...),
+     * falling back to URLUtil's guess from the URL and MIME type
+     */
+    private String getDownloadFileName(String url, String contentDisposition, String mimeType) {
+        String fileName = null;
+
+        if (contentDisposition != null) {
+            Matcher ext = DISPOSITION_FILENAME_EXT.matcher(contentDisposition);
+            if (ext.find()) {
+                try {
+                    String charset = ext.group(1).isEmpty() ? "UTF-8" : ext.group(1);
+                    // Percent-encoded value; a literal "+" is not a space here
+                    fileName = URLDecoder.decode(ext.group(2).trim().replace("+", "%2B"), charset);
+                } catch (Exception ignored) {
+                    // Fall through to the plain filename parameter
+                }
+            }
+            if (fileName == null) {
+                Matcher plain = DISPOSITION_FILENAME.matcher(contentDisposition);
+                if (plain.find()) {
+                    fileName = plain.group(2) != null ? plain.group(2) : plain.group(1).trim();
+                }
+            }
+        }
+
+        if (fileName == null || fileName.isEmpty()) {
+            fileName = URLUtil.guessFileName(url, contentDisposition, mimeType);
+        }
+
+        // Strip path separators so the file stays inside Downloads
+        fileName = fileName.replaceAll("[\\\\/:*?\"<>|]", "_");
+
+        // Add an extension from the MIME type when the server didn't provide one
+        if (!fileName.contains(".") && mimeType != null) {
+            String extension = MimeTypeMap.getSingleton().getExtensionFromMimeType(mimeType);
+            if (extension != null) {
+                fileName += "." + extension;
+            }
+        }
+
+        return fileName;
+    }
+
+    /**
+     * Map a WebView resource to the Android permission it needs (null if not enabled)
+     */
+    private String getPermissionForResource(String resource) {
+        if (ENABLE_CAMERA && PermissionRequest.RESOURCE_VIDEO_CAPTURE.equals(resource)) {
+            return Manifest.permission.CAMERA;
+        }
+        if (ENABLE_MICROPHONE && PermissionRequest.RESOURCE_AUDIO_CAPTURE.equals(resource)) {
+            return Manifest.permission.RECORD_AUDIO;
+        }
+        return null;
+    }
+
+    private String[] getMissingPermissions(List<String> permissions) {
+        List<String> missing = new ArrayList<>();
+        for (String permission : permissions) {
+            if (ContextCompat.checkSelfPermission(this, permission) != PackageManager.PERMISSION_GRANTED) {
+                missing.add(permission);
+            }
+        }
+        return missing.toArray(new String[0]);
+    }
+
+    private boolean hasLocationPermission() {
+        return ContextCompat.checkSelfPermission(this, Manifest.permission.ACCESS_FINE_LOCATION) == PackageManager.PERMISSION_GRANTED
+                || ContextCompat.checkSelfPermission(this, Manifest.permission.ACCESS_COARSE_LOCATION) == PackageManager.PERMISSION_GRANTED;
+    }
+
+    @Override
+    public void onRequestPermissionsResult(int requestCode, @NonNull String[] permissions, @NonNull int[] grantResults) {
+        super.onRequestPermissionsResult(requestCode, permissions, grantResults);
+
+        if (requestCode == REQUEST_WEB_PERMISSIONS && pendingPermissionRequest != null) {
+            // Grant only the resources the user allowed
+            List<String> granted = new ArrayList<>();
+            for (String resource : pendingPermissionResources) {
+                String permission = getPermissionForResource(resource);
+                if (permission != null && ContextCompat.checkSelfPermission(this, permission) == PackageManager.PERMISSION_GRANTED) {
+                    granted.add(resource);
+                }
+            }
+
+            if (granted.isEmpty()) {
+                pendingPermissionRequest.deny();
+            } else {
+                pendingPermissionRequest.grant(granted.toArray(new String[0]));
+            }
+            pendingPermissionRequest = null;
+            pendingPermissionResources = null;
+        } else if (requestCode == REQUEST_GEOLOCATION && pendingGeolocationCallback != null) {
+            pendingGeolocationCallback.invoke(pendingGeolocationOrigin, hasLocationPermission(), false);
+            pendingGeolocationCallback = null;
+            pendingGeolocationOrigin = null;
+        } else if (requestCode == REQUEST_DOWNLOAD && pendingDownload != null) {
+            if (grantResults.length > 0 && grantResults[0] == PackageManager.PERMISSION_GRANTED) {
+                enqueueDownload(pendingDownload);
+            } else {
+                Toast.makeText(this, R.string.storage_permission_required, Toast.LENGTH_SHORT).show();
+            }
+            pendingDownload = null;
+        } else if (requestCode == REQUEST_CAMERA && pendingFileChooserParams != null) {
+            // Denied: the chooser still opens, just without the camera option
+            WebChromeClient.FileChooserParams params = pendingFileChooserParams;
+            pendingFileChooserParams = null;
+            if (filePathCallback != null) {
+                launchFileChooser(params);
+            }
+        }
     }
 
     /**
@@ -242,22 +1289,341 @@ public class MainActivity extends AppCompatActivity {
         }
     }
 
-    private boolean isExternalLink(String url) {
-        // Check for common external schemes
-        return url.startsWith("tel:") ||
-                url.startsWith("mailto:") ||
-                url.startsWith("sms:") ||
-                url.startsWith("whatsapp:") ||
-                url.startsWith("intent:");
+    boolean isExternalScheme(String scheme) {
+        for (String external : EXTERNAL_SCHEMES.split(",")) {
+            if (external.trim().equals(scheme)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a host belongs to the app: an allowed domain or one of its subdomains ("www." ignored)
+     */
+    private boolean isAllowedHost(String host) {
+        if (host == null || EXTERNAL_LINK_MODE.equals("inapp")) return true;
+        return matchesAllowedHosts(host);
+    }
+
+    /**
+     * Whether the bridge may answer a page: http(s) on an allowed domain, regardless of the link mode
+     */
+    boolean isBridgeOrigin(String url) {
+        if (url == null) return false;
+        Uri uri = Uri.parse(url);
+        String scheme = uri.getScheme();
+        return ("https".equals(scheme) || "http".equals(scheme))
+                && uri.getHost() != null
+                && matchesAllowedHosts(uri.getHost());
+    }
+
+    /**
+     * Origin rules for the bridge (addWebMessageListener): each allowed domain and its subdomains, http or https
+     */
+    private Set<String> bridgeOriginRules() {
+        Set<String> rules = new HashSet<>();
+        if (USE_LOCAL_SITE) {
+            rules.add("https://" + WebViewAssetLoader.DEFAULT_DOMAIN);
+        }
+
+        String allowedHosts = ALLOWED_HOSTS.isEmpty() ? Uri.parse(appUrl).getHost() : ALLOWED_HOSTS;
+        if (allowedHosts == null) return rules;
+
+        for (String allowed : allowedHosts.split(",")) {
+            String domain = stripWww(allowed.trim().toLowerCase(Locale.ROOT));
+            if (domain.isEmpty()) continue;
+            for (String scheme : new String[]{"https", "http"}) {
+                rules.add(scheme + "://" + domain);
+                // Wildcards are only valid for host names, not IP addresses
+                if (!domain.matches("[0-9.]+|.*:.*")) {
+                    rules.add(scheme + "://*." + domain);
+                }
+            }
+        }
+        return rules;
+    }
+
+    private boolean matchesAllowedHosts(String host) {
+        if (USE_LOCAL_SITE && WebViewAssetLoader.DEFAULT_DOMAIN.equals(host)) return true;
+
+        String allowedHosts = ALLOWED_HOSTS.isEmpty() ? Uri.parse(appUrl).getHost() : ALLOWED_HOSTS;
+        if (allowedHosts == null) return true;
+
+        String target = stripWww(host.toLowerCase(Locale.ROOT));
+        for (String allowed : allowedHosts.split(",")) {
+            String domain = stripWww(allowed.trim().toLowerCase(Locale.ROOT));
+            if (!domain.isEmpty() && (target.equals(domain) || target.endsWith("." + domain))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private static String stripWww(String host) {
+        return host.startsWith("www.") ? host.substring(4) : host;
+    }
+
+    /**
+     * Run the bundled CSS/JS (assets/inject) on a finished page that matches INJECT_URL_PATTERNS
+     */
+    private void injectCustomCode(WebView view, String url) {
+        if (!INJECT_CODE || url == null || OFFLINE_PAGE_URL.equals(url) || !shouldInject(url)) return;
+
+        if (injectScript == null) {
+            injectScript = buildInjectScript();
+        }
+        view.evaluateJavascript(injectScript, null);
+    }
+
+    private boolean shouldInject(String url) {
+        if (INJECT_URL_PATTERNS.isEmpty()) return isBridgeOrigin(url);
+
+        for (String glob : INJECT_URL_PATTERNS.split(",")) {
+            if (!glob.trim().isEmpty() && globToPattern(glob.trim()).matcher(url).matches()) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * "https://example.com/shop/*" -> regex where only * is special
+     */
+    private static Pattern globToPattern(String glob) {
+        String[] parts = glob.split("\\*", -1);
+        StringBuilder regex = new StringBuilder();
+        for (int i = 0; i < parts.length; i++) {
+            if (i > 0) regex.append(".*");
+            regex.append(Pattern.quote(parts[i]));
+        }
+        return Pattern.compile(regex.toString(), Pattern.CASE_INSENSITIVE);
+    }
+
+    /**
+     * One script for both files: the style tag is replaced on every load, the JS runs once per document
+     */
+    private String buildInjectScript() {
+        StringBuilder script = new StringBuilder("(function(){");
+
+        String css = readAsset("inject/inject.css");
+        if (css != null) {
+            script.append("var s=document.getElementById('web2apk-inject-css');")
+                    .append("if(!s){s=document.createElement('style');s.id='web2apk-inject-css';")
+                    .append("(document.head||document.documentElement).appendChild(s);}")
+                    .append("s.textContent=").append(JSONObject.quote(css)).append(";");
+        }
+
+        String js = readAsset("inject/inject.js");
+        if (js != null) {
+            script.append("if(!window.__web2apkInjected){window.__web2apkInjected=true;try{\n")
+                    .append(js)
+                    .append("\n}catch(e){console.error('web2apk inject:',e);}}");
+        }
+
+        return script.append("})();").toString();
+    }
+
+    /**
+     * Ask the app registry for the latest published build and offer it when it is newer
+     */
+    private void checkForUpdate() {
+        new Thread(() -> {
+            try {
+                JSONObject latest = new JSONObject(readUrl(UPDATE_URL));
+                String downloadUrl = latest.optString("downloadUrl");
+                String sha256 = latest.optString("sha256");
+                long installed = PackageInfoCompat.getLongVersionCode(
+                        getPackageManager().getPackageInfo(getPackageName(), 0));
+                // Only over https, and only with a checksum to verify the download against
+                if (latest.optLong("versionCode") > installed && downloadUrl.startsWith("https://") && !sha256.isEmpty()) {
+                    runOnUiThread(() -> showUpdateDialog(latest.optString("versionName"), downloadUrl, sha256));
+                }
+            } catch (IOException | JSONException | PackageManager.NameNotFoundException e) {
+                // Offline or not published yet: checked again on the next launch
+            }
+        }).start();
+    }
+
+    private void showUpdateDialog(String versionName, String downloadUrl, String sha256) {
+        if (isFinishing()) return;
+        new AlertDialog.Builder(this)
+                .setTitle(R.string.update_available_title)
+                .setMessage(getString(R.string.update_available_message, versionName))
+                .setPositiveButton(R.string.update_now, (dialog, which) -> downloadUpdate(downloadUrl, sha256))
+                .setNegativeButton(R.string.update_later, null)
+                .show();
+    }
+
+    /**
+     * Download the new APK into the cache (shared through the FileProvider) and hand it to the installer
+     */
+    private void downloadUpdate(String downloadUrl, String sha256) {
+        Toast.makeText(this, R.string.update_downloading, Toast.LENGTH_SHORT).show();
+        new Thread(() -> {
+            File apk = new File(new File(getCacheDir(), "updates"), "update.apk");
+            HttpURLConnection connection = null;
+            try {
+                apk.getParentFile().mkdirs();
+                connection = (HttpURLConnection) new URL(downloadUrl).openConnection();
+                connection.setConnectTimeout(15000);
+                connection.setReadTimeout(30000);
+
+                MessageDigest digest = MessageDigest.getInstance("SHA-256");
+                try (InputStream in = connection.getInputStream(); OutputStream out = new FileOutputStream(apk)) {
+                    byte[] buffer = new byte[8192];
+                    int read;
+                    while ((read = in.read(buffer)) != -1) {
+                        out.write(buffer, 0, read);
+                        digest.update(buffer, 0, read);
+                    }
+                }
+
+                StringBuilder hash = new StringBuilder();
+                for (byte b : digest.digest()) {
+                    hash.append(String.format("%02x", b));
+                }
+                if (!sha256.equalsIgnoreCase(hash.toString())) {
+                    throw new IOException("Update checksum mismatch");
+                }
+                runOnUiThread(() -> installUpdate(apk));
+            } catch (IOException | NoSuchAlgorithmException e) {
+                runOnUiThread(() -> Toast.makeText(this, R.string.update_failed, Toast.LENGTH_LONG).show());
+            } finally {
+                if (connection != null) connection.disconnect();
+            }
+        }).start();
+    }
+
+    /**
+     * System installer; Android asks once for permission to install from this app.
+     * The update only installs over this app when it is signed with the same keystore.
+     */
+    private void installUpdate(File apk) {
+        Uri uri = FileProvider.getUriForFile(this, getPackageName() + ".fileprovider", apk);
+        Intent intent = new Intent(Intent.ACTION_VIEW);
+        intent.setDataAndType(uri, "application/vnd.android.package-archive");
+        intent.addFlags(Intent.FLAG_GRANT_READ_URI_PERMISSION);
+        try {
+            startActivity(intent);
+        } catch (ActivityNotFoundException e) {
+            Toast.makeText(this, R.string.update_failed, Toast.LENGTH_LONG).show();
+        }
+    }
+
+    private static String readUrl(String url) throws IOException {
+        if (!url.startsWith("https://")) {
+            throw new IOException("Update server must use https");
+        }
+        HttpURLConnection connection = (HttpURLConnection) new URL(url).openConnection();
+        connection.setConnectTimeout(10000);
+        connection.setReadTimeout(10000);
+        try (InputStream in = connection.getInputStream()) {
+            ByteArrayOutputStream out = new ByteArrayOutputStream();
+            byte[] buffer = new byte[8192];
+            int read;
+            while ((read = in.read(buffer)) != -1) {
+                out.write(buffer, 0, read);
+            }
+            return out.toString("UTF-8");
+        } finally {
+            connection.disconnect();
+        }
+    }
+
+    private String readAsset(String name) {
+        try (InputStream in = getAssets().open(name)) {
+            ByteArrayOutputStream out = new ByteArrayOutputStream();
+            byte[] buffer = new byte[8192];
+            int read;
+            while ((read = in.read(buffer)) != -1) {
+                out.write(buffer, 0, read);
+            }
+            return out.toString("UTF-8");
+        } catch (IOException e) {
+            return null;
+        }
+    }
+
+    /**
+     * Open a web link in a Custom Tab (themed like the app) or the default browser
+     */
+    void openOutsideApp(Uri uri) {
+        try {
+            if (EXTERNAL_LINK_MODE.equals("customtab")) {
+                CustomTabColorSchemeParams colors = new CustomTabColorSchemeParams.Builder()
+                        .setToolbarColor(ContextCompat.getColor(this, R.color.toolbarColor))
+                        .build();
+                new CustomTabsIntent.Builder()
+                        .setDefaultColorSchemeParams(colors)
+                        .setShowTitle(true)
+                        .build()
+                        .launchUrl(this, uri);
+            } else {
+                startActivity(new Intent(Intent.ACTION_VIEW, uri));
+            }
+        } catch (ActivityNotFoundException e) {
+            // No browser installed: better inside the app than nowhere
+            webView.loadUrl(uri.toString());
+        }
+    }
+
+    /**
+     * Hand a non-web link to the app that handles it; intent:// links use their fallback URL if needed
+     */
+    void openExternalApp(String url) {
+        try {
+            if (url.startsWith("intent:")) {
+                Intent intent = Intent.parseUri(url, Intent.URI_INTENT_SCHEME);
+                intent.addCategory(Intent.CATEGORY_BROWSABLE);
+                intent.setComponent(null);
+                try {
+                    startActivity(intent);
+                } catch (ActivityNotFoundException e) {
+                    String fallbackUrl = intent.getStringExtra("browser_fallback_url");
+                    if (fallbackUrl != null) {
+                        webView.loadUrl(fallbackUrl);
+                    } else {
+                        Toast.makeText(this, R.string.no_app_for_link, Toast.LENGTH_SHORT).show();
+                    }
+                }
+                return;
+            }
+
+            startActivity(new Intent(Intent.ACTION_VIEW, Uri.parse(url)));
+        } catch (URISyntaxException | ActivityNotFoundException e) {
+            Toast.makeText(this, R.string.no_app_for_link, Toast.LENGTH_SHORT).show();
+        }
     }
 
     @Override
     public boolean onKeyDown(int keyCode, KeyEvent event) {
+        // Close the side drawer before navigating back
+        if (keyCode == KeyEvent.KEYCODE_BACK && drawerLayout.isDrawerOpen(GravityCompat.START)) {
+            drawerLayout.closeDrawer(GravityCompat.START);
+            return true;
+        }
+
+        // Skip the failed page behind the offline page
+        if (keyCode == KeyEvent.KEYCODE_BACK && OFFLINE_PAGE_URL.equals(webView.getUrl())) {
+            if (webView.canGoBackOrForward(-2)) {
+                webView.goBackOrForward(-2);
+                return true;
+            }
+            return super.onKeyDown(keyCode, event);
+        }
+
         // Handle back button
         if (keyCode == KeyEvent.KEYCODE_BACK && webView.canGoBack()) {
             webView.goBack();
             return true;
         }
+
+        // Back on another tab's start page returns to the first tab before leaving the app
+        if (keyCode == KeyEvent.KEYCODE_BACK && currentTab > 0) {
+            selectTab(0);
+            return true;
+        }
         return super.onKeyDown(keyCode, event);
     }
 
@@ -275,9 +1641,12 @@ public class MainActivity extends AppCompatActivity {
 
     @Override
     protected void onDestroy() {
-        if (webView != null) {
+        if (tabWebViews.isEmpty() && webView != null) {
             webView.destroy();
         }
+        for (WebView tabView : tabWebViews) {
+            tabView.destroy();
+        }
         super.onDestroy();
     }
 }
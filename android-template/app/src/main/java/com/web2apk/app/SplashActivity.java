@@ -21,16 +21,18 @@ import androidx.appcompat.app.AppCompatActivity;
 
 public class SplashActivity extends AppCompatActivity {
 
-    private static final int SPLASH_DURATION = 2000; // 2 seconds for better animation experience
+    private static final int SPLASH_DURATION = 2000; // 2 seconds by default, set during build
 
     @Override
     protected void onCreate(Bundle savedInstanceState) {
+        MainActivity.applyThemeMode();
         super.onCreate(savedInstanceState);
         setContentView(R.layout.activity_splash);
 
         // Get views
         ImageView logoImage = findViewById(R.id.splashLogo);
         TextView appName = findViewById(R.id.splashAppName);
+        TextView tagline = findViewById(R.id.splashTagline);
         TextView loadingText = findViewById(R.id.splashLoadingText);
         ProgressBar progressBar = findViewById(R.id.splashProgress);
         TextView versionText = findViewById(R.id.splashVersion);
@@ -38,6 +40,7 @@ public class SplashActivity extends AppCompatActivity {
         // Initially hide all views
         logoImage.setAlpha(0f);
         appName.setAlpha(0f);
+        tagline.setAlpha(0f);
         loadingText.setAlpha(0f);
         progressBar.setAlpha(0f);
         versionText.setAlpha(0f);
@@ -78,6 +81,12 @@ public class SplashActivity extends AppCompatActivity {
         appNameAnimation.setFillAfter(true);
         appNameAnimation.setStartOffset(300);
 
+        // Tagline fade in (after app name)
+        AlphaAnimation taglineFadeIn = new AlphaAnimation(0.0f, 1.0f);
+        taglineFadeIn.setDuration(500);
+        taglineFadeIn.setStartOffset(500);
+        taglineFadeIn.setFillAfter(true);
+
         // Progress bar fade in (delayed)
         AlphaAnimation progressFadeIn = new AlphaAnimation(0.0f, 1.0f);
         progressFadeIn.setDuration(400);
@@ -99,6 +108,7 @@ public class SplashActivity extends AppCompatActivity {
         // Start all animations
         logoImage.startAnimation(logoAnimation);
         appName.startAnimation(appNameAnimation);
+        tagline.startAnimation(taglineFadeIn);
         progressBar.startAnimation(progressFadeIn);
         loadingText.startAnimation(loadingFadeIn);
         versionText.startAnimation(versionFadeIn);
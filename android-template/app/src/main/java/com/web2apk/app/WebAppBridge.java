@@ -0,0 +1,237 @@
+package com.web2apk.app;
+
+import android.Manifest;
+import android.app.NotificationChannel;
+import android.app.NotificationManager;
+import android.app.PendingIntent;
+import android.content.ClipData;
+import android.content.ClipboardManager;
+import android.content.Context;
+import android.content.Intent;
+import android.content.pm.PackageInfo;
+import android.content.pm.PackageManager;
+import android.net.Uri;
+import android.os.Build;
+import android.os.VibrationEffect;
+import android.os.Vibrator;
+import android.webkit.WebView;
+import android.widget.Toast;
+
+import androidx.annotation.NonNull;
+import androidx.core.app.NotificationCompat;
+import androidx.core.app.NotificationManagerCompat;
+import androidx.core.content.ContextCompat;
+import androidx.webkit.JavaScriptReplyProxy;
+import androidx.webkit.WebMessageCompat;
+import androidx.webkit.WebViewCompat;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
+
+import java.util.Arrays;
+import java.util.HashSet;
+import java.util.Locale;
+import java.util.Set;
+import java.util.concurrent.atomic.AtomicInteger;
+
+/**
+ * Native features for the wrapped site, added with WebViewCompat.addWebMessageListener (see web2apk-bridge.js).
+ * WebView only injects the bridge object into frames from the allowed origins, so iframes from other
+ * sites (ads, embeds) can't reach it. Only capabilities enabled during build respond.
+ *
+ * Requests are JSON messages { id, method, args }; replies are { id, result } or { id, error }.
+ */
+public class WebAppBridge implements WebViewCompat.WebMessageListener {
+
+    private static final String NOTIFICATION_CHANNEL = "web2apk_bridge";
+    private static final long MAX_VIBRATION_MS = 5000;
+
+    private final MainActivity activity;
+    private final Set<String> capabilities;
+    private final AtomicInteger notificationId = new AtomicInteger(1);
+
+    WebAppBridge(MainActivity activity, String capabilities) {
+        this.activity = activity;
+        this.capabilities = new HashSet<>(Arrays.asList(capabilities.split(",")));
+    }
+
+    /**
+     * Called on the UI thread for every message a frame from an allowed origin posts to window.<BRIDGE_NAME>
+     */
+    @Override
+    public void onPostMessage(@NonNull WebView view, @NonNull WebMessageCompat message, @NonNull Uri sourceOrigin,
+                              boolean isMainFrame, @NonNull JavaScriptReplyProxy replyProxy) {
+        // The origin rules already filter frames; checked again so the bridge never answers outside isBridgeOrigin
+        if (!activity.isBridgeOrigin(sourceOrigin.toString()) || message.getData() == null) return;
+
+        JSONObject response = new JSONObject();
+        try {
+            JSONObject request = new JSONObject(message.getData());
+            response.put("id", request.opt("id"));
+
+            JSONArray args = request.optJSONArray("args");
+            try {
+                Object result = call(request.optString("method"), args == null ? new JSONArray() : args);
+                response.put("result", result == null ? JSONObject.NULL : result);
+            } catch (IllegalArgumentException e) {
+                response.put("error", e.getMessage());
+            }
+        } catch (JSONException e) {
+            return;
+        }
+        replyProxy.postMessage(response.toString());
+    }
+
+    private Object call(String method, JSONArray args) {
+        switch (method) {
+            case "share":
+                requireCapability("share");
+                share(args.optString(0), args.optString(1), args.optString(2));
+                return null;
+            case "toast":
+                requireCapability("toast");
+                toast(args.optString(0), args.optBoolean(1));
+                return null;
+            case "vibrate":
+                requireCapability("vibrate");
+                vibrate(args.optLong(0, 200));
+                return null;
+            case "copyToClipboard":
+                requireCapability("clipboard");
+                copyToClipboard(args.optString(0));
+                return null;
+            case "showNotification":
+                requireCapability("notification");
+                return showNotification(args.optString(0), args.optString(1));
+            case "getDeviceInfo":
+                requireCapability("device");
+                return getDeviceInfo();
+            case "openExternal":
+                requireCapability("external");
+                openExternal(args.optString(0));
+                return null;
+            default:
+                throw new IllegalArgumentException("\"" + method + "\" tidak dikenal");
+        }
+    }
+
+    private void requireCapability(String capability) {
+        if (!capabilities.contains(capability)) {
+            throw new IllegalArgumentException("\"" + capability + "\" tidak tersedia");
+        }
+    }
+
+    private void share(String text, String url, String title) {
+        StringBuilder content = new StringBuilder(text == null ? "" : text);
+        if (url != null && !url.isEmpty()) {
+            content.append(content.length() > 0 ? "\n" : "").append(url);
+        }
+
+        Intent intent = new Intent(Intent.ACTION_SEND);
+        intent.setType("text/plain");
+        intent.putExtra(Intent.EXTRA_TEXT, content.toString());
+        if (title != null && !title.isEmpty()) {
+            intent.putExtra(Intent.EXTRA_SUBJECT, title);
+        }
+        activity.startActivity(Intent.createChooser(intent, title));
+    }
+
+    private void toast(String message, boolean longDuration) {
+        Toast.makeText(activity, message, longDuration ? Toast.LENGTH_LONG : Toast.LENGTH_SHORT).show();
+    }
+
+    private void vibrate(long milliseconds) {
+        Vibrator vibrator = (Vibrator) activity.getSystemService(Context.VIBRATOR_SERVICE);
+        if (vibrator == null || !vibrator.hasVibrator()) return;
+
+        long duration = Math.max(1, Math.min(milliseconds, MAX_VIBRATION_MS));
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+            vibrator.vibrate(VibrationEffect.createOneShot(duration, VibrationEffect.DEFAULT_AMPLITUDE));
+        } else {
+            vibrator.vibrate(duration);
+        }
+    }
+
+    private void copyToClipboard(String text) {
+        ClipboardManager clipboard = (ClipboardManager) activity.getSystemService(Context.CLIPBOARD_SERVICE);
+        if (clipboard != null) {
+            clipboard.setPrimaryClip(ClipData.newPlainText("text", text));
+        }
+    }
+
+    /**
+     * Local notification that opens the app when tapped
+     * @return false when notifications are disabled or not permitted
+     */
+    private boolean showNotification(String title, String body) {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU
+                && ContextCompat.checkSelfPermission(activity, Manifest.permission.POST_NOTIFICATIONS)
+                != PackageManager.PERMISSION_GRANTED) {
+            return false;
+        }
+
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+            NotificationChannel channel = new NotificationChannel(NOTIFICATION_CHANNEL,
+                    activity.getString(R.string.app_name), NotificationManager.IMPORTANCE_DEFAULT);
+            NotificationManager manager = activity.getSystemService(NotificationManager.class);
+            if (manager != null) {
+                manager.createNotificationChannel(channel);
+            }
+        }
+
+        Intent intent = new Intent(activity, MainActivity.class);
+        intent.setFlags(Intent.FLAG_ACTIVITY_SINGLE_TOP | Intent.FLAG_ACTIVITY_CLEAR_TOP);
+        PendingIntent pendingIntent = PendingIntent.getActivity(activity, 0, intent,
+                PendingIntent.FLAG_UPDATE_CURRENT | PendingIntent.FLAG_IMMUTABLE);
+
+        NotificationCompat.Builder builder = new NotificationCompat.Builder(activity, NOTIFICATION_CHANNEL)
+                .setSmallIcon(R.mipmap.ic_launcher)
+                .setContentTitle(title == null || title.isEmpty() ? activity.getString(R.string.app_name) : title)
+                .setContentText(body)
+                .setStyle(new NotificationCompat.BigTextStyle().bigText(body))
+                .setContentIntent(pendingIntent)
+                .setAutoCancel(true);
+
+        NotificationManagerCompat.from(activity).notify(notificationId.getAndIncrement(), builder.build());
+        return true;
+    }
+
+    /**
+     * Device / app details
+     */
+    private JSONObject getDeviceInfo() {
+        JSONObject info = new JSONObject();
+        try {
+            info.put("platform", "android");
+            info.put("osVersion", Build.VERSION.RELEASE);
+            info.put("sdkInt", Build.VERSION.SDK_INT);
+            info.put("manufacturer", Build.MANUFACTURER);
+            info.put("model", Build.MODEL);
+            info.put("language", Locale.getDefault().toLanguageTag());
+            info.put("packageName", activity.getPackageName());
+
+            PackageInfo packageInfo = activity.getPackageManager().getPackageInfo(activity.getPackageName(), 0);
+            info.put("appVersion", packageInfo.versionName);
+            info.put("versionCode", Build.VERSION.SDK_INT >= Build.VERSION_CODES.P
+                    ? packageInfo.getLongVersionCode()
+                    : packageInfo.versionCode);
+        } catch (JSONException | PackageManager.NameNotFoundException e) {
+            // Return what was collected so far
+        }
+        return info;
+    }
+
+    /**
+     * Open a link outside the app: web links in the browser, tel: / mailto: / ... in their apps
+     */
+    private void openExternal(String url) {
+        Uri uri = Uri.parse(url);
+        String scheme = uri.getScheme() == null ? "" : uri.getScheme().toLowerCase(Locale.ROOT);
+        if (scheme.equals("http") || scheme.equals("https")) {
+            activity.openOutsideApp(uri);
+        } else if (activity.isExternalScheme(scheme)) {
+            activity.openExternalApp(url);
+        }
+    }
+}
@@ -6,7 +6,8 @@ const fs = require('fs-extra');
 // Handlers
 const { handleStart } = require('./handlers/startHandler');
 const { handleCallback, handleZipUpload } = require('./handlers/callbackHandler');
-const { handleMessage } = require('./handlers/messageHandler');
+const { handleMessage, handleManifestImport, handleInjectUpload, handleDrawerMenuUpload } = require('./handlers/messageHandler');
+const { handleKeystoreCommand, handleKeystoreUpload } = require('./handlers/keystoreHandler');
 
 // Utils
 const { cleanupOldFiles } = require('./utils/cleanup');
@@ -554,6 +555,9 @@ Kirim file <b>.zip</b> project anda sekarang.
     }, 30 * 60 * 1000);
 });
 
+// --- KEYSTORE VAULT COMMAND ---
+bot.onText(/\/keystore/, (msg) => handleKeystoreCommand(bot, msg));
+
 // --- ADMIN: BROADCAST COMMAND ---
 bot.onText(/\/broadcast(?: (.+))?/, async (msg, match) => {
     if (!isAdmin(msg.chat.id)) return;
@@ -882,6 +886,73 @@ Setup Local Bot API Server untuk limit 2GB!
         } else {
             bot.sendMessage(chatId, '⚠️ Untuk menggunakan file ZIP, kirim salah satu command:\n• /analyze flutter\n• /analyze android\n• /cleanup flutter\n• /cleanup android\n• Atau klik tombol BUILD PROJECT (ZIP)');
         }
+    } else if (/\.(jks|keystore|p12)$/i.test(document.file_name || '')) {
+        // Keystore upload for release signing
+        const session = global.sessions.get(chatId);
+        if (session?.step !== 'keystore_upload') {
+            return bot.sendMessage(chatId, '⚠️ Untuk mengupload keystore, kirim /keystore lalu pilih "Upload Keystore".');
+        }
+
+        const result = await downloadTelegramFile(
+            bot,
+            document.file_id,
+            path.join(__dirname, '..', 'temp', 'keystores'),
+            `${chatId}-${Date.now()}.keystore`
+        );
+
+        if (!result.success) {
+            return bot.sendMessage(chatId, `❌ Gagal mengunduh file: ${result.error}`);
+        }
+
+        await handleKeystoreUpload(bot, chatId, result.path);
+    } else if (/\.(webmanifest|json)$/i.test(document.file_name || '')) {
+        // Web App Manifest import during the URL step of the wizard, or the side drawer menu (advanced settings)
+        const session = global.sessions.get(chatId);
+        const isDrawerMenu = session?.step === 'adv_drawer' && /\.json$/i.test(document.file_name);
+        if (session?.step !== 'url' && !isDrawerMenu) {
+            return bot.sendMessage(chatId, '⚠️ Untuk mengimpor manifest, klik BUAT APLIKASI (URL) lalu kirim file manifest.');
+        }
+
+        const result = await downloadTelegramFile(
+            bot,
+            document.file_id,
+            path.join(__dirname, '..', 'temp'),
+            `${chatId}-${Date.now()}.webmanifest`
+        );
+
+        if (!result.success) {
+            return bot.sendMessage(chatId, `❌ Gagal mengunduh file: ${result.error}`);
+        }
+
+        const text = await fs.readFile(result.path, 'utf8').catch(() => '');
+        await fs.remove(result.path).catch(() => { });
+        if (isDrawerMenu) {
+            await handleDrawerMenuUpload(bot, chatId, text);
+        } else {
+            await handleManifestImport(bot, chatId, text);
+        }
+    } else if (/\.(css|js)$/i.test(document.file_name || '')) {
+        // Custom CSS / JS injected into the site (advanced settings)
+        const session = global.sessions.get(chatId);
+        const extension = path.extname(document.file_name).slice(1).toLowerCase();
+        if (session?.step !== `adv_inject${extension}`) {
+            return bot.sendMessage(chatId, `⚠️ Untuk menambahkan file .${extension}, buka Pengaturan Lanjutan lalu pilih "${extension === 'css' ? 'CSS Custom' : 'JS Custom'}".`);
+        }
+
+        const result = await downloadTelegramFile(
+            bot,
+            document.file_id,
+            path.join(__dirname, '..', 'temp'),
+            `${chatId}-${Date.now()}.${extension}`
+        );
+
+        if (!result.success) {
+            return bot.sendMessage(chatId, `❌ Gagal mengunduh file: ${result.error}`);
+        }
+
+        const text = await fs.readFile(result.path, 'utf8').catch(() => '');
+        await fs.remove(result.path).catch(() => { });
+        await handleInjectUpload(bot, chatId, text);
     }
 });
 
@@ -2,7 +2,9 @@ const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { spawn } = require('child_process');
-const { generateProject } = require('./projectGenerator');
+const { generateProject, SIGNING_ENV, BRIDGE_HELPER_FILE } = require('./projectGenerator');
+const keystoreService = require('../utils/keystoreService');
+const appRegistry = require('../utils/appRegistry');
 
 /**
  * Build APK from user configuration
@@ -13,43 +15,129 @@ const { generateProject } = require('./projectGenerator');
 async function buildApk(config, onProgress = () => { }) {
     const buildId = uuidv4();
     const buildDir = path.join(__dirname, '..', '..', 'temp', buildId);
+    const keystorePath = path.join(__dirname, '..', '..', 'temp', `${buildId}.keystore`);
 
     try {
+        // AAB is only useful when release-signed (Play Store upload)
+        const outputFormat = config.outputFormat || 'apk';
+        if (outputFormat !== 'apk' && !config.keystoreOwner) {
+            throw new Error('Format AAB membutuhkan keystore rilis (khusus member berlisensi)');
+        }
+
+        // The self-update channel lives in the WebView shell; TWA apps are opened by Chrome
+        if (config.autoUpdate && config.mode === 'twa') {
+            throw new Error('Update otomatis tidak tersedia untuk mode TWA (gunakan mode WebView)');
+        }
+
         onProgress('📋 Menyiapkan project...');
 
+        // Release signing with the user's keystore (generated on first use)
+        let signing = null;
+        if (config.keystoreOwner) {
+            onProgress('🔐 Menyiapkan keystore rilis...');
+            const keystoreResult = await keystoreService.ensureKeystore(config.keystoreOwner);
+            if (!keystoreResult.success) {
+                throw new Error(keystoreResult.error);
+            }
+            signing = await keystoreService.getSigningConfig(config.keystoreOwner, keystorePath);
+        }
+
+        // Self-update channel (WebView apps): next versionCode in the app registry, published after the build
+        const update = config.autoUpdate ? prepareAppUpdate(config) : null;
+
         // Generate Android project from template
-        await generateProject(buildDir, config);
+        const project = await generateProject(buildDir, { ...config, signing, ...update });
 
         onProgress('🔨 Mengompilasi APK...');
 
-        // Build APK with Gradle
-        const gradleResult = await runGradle(buildDir, onProgress);
+        // Pick Gradle tasks for the requested output
+        const tasks = [];
+        if (outputFormat !== 'aab') tasks.push(signing ? 'assembleRelease' : 'assembleDebug');
+        if (outputFormat !== 'apk') tasks.push('bundleRelease');
 
-        if (!gradleResult.success) {
-            throw new Error(gradleResult.error);
-        }
+        // Build with Gradle
+        const gradleResult = await runGradle(buildDir, onProgress, tasks, signing);
 
-        // Find the output APK
-        const apkPath = await findApk(buildDir);
+        // Gradle is done with the decrypted keystore, success or not
+        await fs.remove(keystorePath).catch(() => { });
 
-        if (!apkPath) {
-            throw new Error('APK tidak ditemukan setelah build');
+        if (!gradleResult.success) {
+            throw new Error(gradleResult.error);
         }
 
-        // Copy APK to output directory with proper name
+        // Copy outputs to output directory with proper name
         const outputDir = path.join(__dirname, '..', '..', 'output');
         await fs.ensureDir(outputDir);
 
         const sanitizedName = config.appName.replace(/[^a-zA-Z0-9]/g, '_');
-        const finalApkPath = path.join(outputDir, `${sanitizedName}_${Date.now()}.apk`);
-        await fs.copy(apkPath, finalApkPath);
+        const timestamp = Date.now();
+        let finalApkPath = null;
+        let finalAabPath = null;
+
+        if (outputFormat !== 'aab') {
+            const apkPath = await findApk(buildDir);
+            if (!apkPath) {
+                throw new Error('APK tidak ditemukan setelah build');
+            }
+            finalApkPath = path.join(outputDir, `${sanitizedName}_${timestamp}.apk`);
+            await fs.copy(apkPath, finalApkPath);
+        }
+
+        if (outputFormat !== 'apk') {
+            const aabPath = await findApk(buildDir, 'aab');
+            if (!aabPath) {
+                throw new Error('AAB tidak ditemukan setelah build');
+            }
+            finalAabPath = path.join(outputDir, `${sanitizedName}_${timestamp}.aab`);
+            await fs.copy(aabPath, finalAabPath);
+        }
+
+        // JavaScript bridge helper for the site developer (only when the bridge is enabled)
+        let finalBridgePath = null;
+        const bridgePath = path.join(buildDir, BRIDGE_HELPER_FILE);
+        if (await fs.pathExists(bridgePath)) {
+            finalBridgePath = path.join(outputDir, `${sanitizedName}_${timestamp}_${BRIDGE_HELPER_FILE}`);
+            await fs.copy(bridgePath, finalBridgePath);
+        }
+
+        // assetlinks.json for App Links (fingerprint of the certificate this build was signed with)
+        let finalAssetLinksPath = null;
+        if (project.appLinkHosts.length > 0) {
+            const assetLinks = await createAssetLinks(project.packageName, config.keystoreOwner);
+            if (assetLinks) {
+                finalAssetLinksPath = path.join(outputDir, `${sanitizedName}_${timestamp}_assetlinks.json`);
+                await fs.writeFile(finalAssetLinksPath, assetLinks);
+            }
+        }
+
+        // Installed copies find this build on their next launch
+        let published = null;
+        if (update) {
+            onProgress('📦 Mempublikasikan update...');
+            const publishResult = await appRegistry.publish(project.packageName, config.keystoreOwner, {
+                apkPath: finalApkPath,
+                appName: config.appName,
+                versionCode: update.versionCode,
+                versionName: config.versionName
+            });
+            if (!publishResult.success) {
+                throw new Error(publishResult.error);
+            }
+            published = publishResult.app;
+        }
 
         onProgress('✅ APK berhasil dibuat!');
 
         return {
             success: true,
             apkPath: finalApkPath,
-            buildDir: buildDir
+            aabPath: finalAabPath,
+            bridgePath: finalBridgePath,
+            assetLinksPath: finalAssetLinksPath,
+            appLinkHosts: project.appLinkHosts,
+            buildDir: buildDir,
+            signed: !!signing,
+            published
         };
 
     } catch (error) {
@@ -57,6 +145,7 @@ async function buildApk(config, onProgress = () => { }) {
 
         // Cleanup on error
         await fs.remove(buildDir).catch(() => { });
+        await fs.remove(keystorePath).catch(() => { });
 
         return {
             success: false,
@@ -65,10 +154,74 @@ async function buildApk(config, onProgress = () => { }) {
     }
 }
 
+/**
+ * Check that a build can be published to the app registry and pick its versionCode
+ * (the requested one, or one above the published version)
+ * @returns {Object} { versionCode, updateServerUrl } for generateProject()
+ */
+function prepareAppUpdate(config) {
+    if (!config.keystoreOwner) {
+        throw new Error('Update otomatis membutuhkan keystore rilis (khusus member berlisensi)');
+    }
+    if (!config.packageName) {
+        throw new Error('Update otomatis membutuhkan package name tetap (isi package name di pengaturan lanjutan)');
+    }
+    if ((config.outputFormat || 'apk') === 'aab') {
+        throw new Error('Update otomatis membutuhkan output APK');
+    }
+
+    const updateServerUrl = config.updateServerUrl || process.env.WEB_URL;
+    if (!updateServerUrl) {
+        throw new Error('Update otomatis membutuhkan WEB_URL di .env (alamat publik server ini)');
+    }
+    if (!/^https:\/\//i.test(updateServerUrl)) {
+        throw new Error('Update otomatis membutuhkan WEB_URL https (APK update tidak boleh diunduh lewat http)');
+    }
+    if (!appRegistry.canPublish(config.packageName, config.keystoreOwner)) {
+        throw new Error(`Package ${config.packageName} sudah dipakai user lain`);
+    }
+
+    const nextVersionCode = appRegistry.getNextVersionCode(config.packageName);
+    const versionCode = config.versionCode ? Number(config.versionCode) : nextVersionCode;
+    if (versionCode < nextVersionCode) {
+        throw new Error(`Version code harus minimal ${nextVersionCode} (versi terbit: ${nextVersionCode - 1})`);
+    }
+
+    return { versionCode, updateServerUrl };
+}
+
+/**
+ * Digital Asset Links statement for /.well-known/assetlinks.json
+ * @param {string} packageName - applicationId of the build
+ * @param {string|null} keystoreOwner - License user for release builds, null for debug builds
+ * @returns {Promise<string|null>} JSON text, or null if the fingerprint couldn't be read
+ */
+async function createAssetLinks(packageName, keystoreOwner) {
+    try {
+        const fingerprint = keystoreOwner
+            ? await keystoreService.getCertificateFingerprint(keystoreOwner)
+            : await keystoreService.getDebugCertificateFingerprint();
+
+        return JSON.stringify([{
+            relation: ['delegate_permission/common.handle_all_urls'],
+            target: {
+                namespace: 'android_app',
+                package_name: packageName,
+                sha256_cert_fingerprints: [fingerprint]
+            }
+        }], null, 2) + '\n';
+    } catch (error) {
+        console.warn('[AppLinks] assetlinks.json skipped:', error.message);
+        return null;
+    }
+}
+
 /**
  * Run Gradle build
+ * @param {string|string[]} tasks - Gradle task(s) (assembleDebug / assembleRelease / bundleRelease)
+ * @param {Object|null} signing - { storeFile, storePassword, keyPassword }, passed to Gradle as SIGNING_ENV variables
  */
-async function runGradle(projectDir, onProgress) {
+async function runGradle(projectDir, onProgress, tasks = 'assembleDebug', signing = null) {
     return new Promise(async (resolve) => {
         const isWindows = process.platform === 'win32';
 
@@ -106,7 +259,7 @@ async function runGradle(projectDir, onProgress) {
 
         // Standard build flags for VPS/Desktop
         const args = [
-            'assembleDebug',
+            ...[].concat(tasks),
             '--no-daemon',
             '--no-watch-fs',
             '--no-build-cache',
@@ -122,7 +275,12 @@ async function runGradle(projectDir, onProgress) {
                 ANDROID_HOME: process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT || '',
                 // Optimized for VPS/Desktop builds (2GB heap)
                 GRADLE_OPTS: (process.env.GRADLE_OPTS || '') + ' -Dfile.encoding=UTF-8 -Xmx2048m',
-                _JAVA_OPTIONS: '-Xmx2048m -Dfile.encoding=UTF-8'
+                _JAVA_OPTIONS: '-Xmx2048m -Dfile.encoding=UTF-8',
+                ...(signing ? {
+                    [SIGNING_ENV.storeFile]: signing.storeFile,
+                    [SIGNING_ENV.storePassword]: signing.storePassword,
+                    [SIGNING_ENV.keyPassword]: signing.keyPassword
+                } : {})
             }
         });
 
@@ -216,26 +374,21 @@ async function runGradle(projectDir, onProgress) {
 }
 
 /**
- * Find the built APK file
+ * Find the built APK (or AAB with ext = 'aab') file
  */
-async function findApk(projectDir) {
-    const apkDir = path.join(projectDir, 'app', 'build', 'outputs', 'apk', 'release');
-
-    if (!await fs.pathExists(apkDir)) {
-        // Try debug folder
-        const debugDir = path.join(projectDir, 'app', 'build', 'outputs', 'apk', 'debug');
-        if (await fs.pathExists(debugDir)) {
-            const files = await fs.readdir(debugDir);
-            const apk = files.find(f => f.endsWith('.apk'));
-            if (apk) return path.join(debugDir, apk);
-        }
-        return null;
-    }
+async function findApk(projectDir, ext = 'apk') {
+    const outputType = ext === 'aab' ? 'bundle' : 'apk';
 
-    const files = await fs.readdir(apkDir);
-    const apk = files.find(f => f.endsWith('.apk'));
+    for (const variant of ['release', 'debug']) {
+        const dir = path.join(projectDir, 'app', 'build', 'outputs', outputType, variant);
+        if (!await fs.pathExists(dir)) continue;
 
-    return apk ? path.join(apkDir, apk) : null;
+        const files = await fs.readdir(dir);
+        const found = files.find(f => f.endsWith(`.${ext}`));
+        if (found) return path.join(dir, found);
+    }
+
+    return null;
 }
 
 /**
@@ -313,4 +466,6 @@ function downloadFile(url, targetPath) {
     });
 }
 
-module.exports = { buildApk };
+const OUTPUT_FORMATS = ['apk', 'aab', 'both'];
+
+module.exports = { buildApk, OUTPUT_FORMATS };
@@ -0,0 +1,207 @@
+/**
+ * Icon studio
+ *
+ * Generates a square app icon from the app's initials, an emoji, or a logo
+ * padded onto a background color, plus a rounded preview for the bot and web.
+ * Also renders the icons of bottom navigation tabs and drawer menu items.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { MATERIAL_ICONS } = require('./materialIcons');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (e) {
+    console.warn('⚠️ Sharp not available. Icon generation disabled. Run: npm install sharp');
+}
+
+const ICON_SIZE = 512;
+const ICON_STYLES = ['initials', 'emoji', 'logo'];
+const DEFAULT_LOGO_PADDING = 12;
+const MAX_ICON_TEXT_LENGTH = 8;
+
+// Tab / drawer icons: 24dp at xxxhdpi, drawn white so the app can tint them
+const NAV_ICON_SIZE = 96;
+
+// Same font as the template's app bar
+const INITIALS_FONT = path.join(__dirname, 'Smooch_Sans', 'static', 'SmoochSans-Bold.ttf');
+
+/**
+ * Render an icon as a 512x512 PNG buffer
+ * @param {Object} options - { style: 'initials' | 'emoji' | 'logo', text, imagePath, backgroundColor, padding (% per side, logo only) }
+ * @returns {Promise<Buffer>}
+ */
+async function generateIcon(options = {}) {
+    if (!sharp) {
+        throw new Error('Sharp tidak tersedia, icon tidak bisa dibuat');
+    }
+
+    const style = options.style || 'initials';
+    if (!ICON_STYLES.includes(style)) {
+        throw new Error(`Gaya icon tidak dikenal: ${style}`);
+    }
+
+    const backgroundColor = options.backgroundColor || (style === 'logo' ? '#FFFFFF' : '#2196F3');
+    if (!/^#[0-9a-fA-F]{6}$/.test(backgroundColor)) {
+        throw new Error(`Warna background icon tidak valid: ${backgroundColor}`);
+    }
+
+    let layer;
+    if (style === 'logo') {
+        if (!options.imagePath || !await fs.pathExists(options.imagePath)) {
+            throw new Error('Gambar logo tidak ditemukan');
+        }
+
+        const padding = options.padding ?? DEFAULT_LOGO_PADDING;
+        if (!Number.isFinite(padding) || padding < 0 || padding > 30) {
+            throw new Error(`Padding logo tidak valid: ${options.padding}`);
+        }
+
+        const inner = Math.round(ICON_SIZE * (1 - padding * 2 / 100));
+        layer = await sharp(options.imagePath)
+            .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer();
+    } else {
+        const text = String(options.text || '').trim();
+        if (!text || Array.from(text).length > MAX_ICON_TEXT_LENGTH) {
+            throw new Error('Teks icon harus 1-8 karakter');
+        }
+
+        // Emoji keep their own colors; the foreground only applies to plain glyphs
+        const boxSize = Math.round(ICON_SIZE * (style === 'emoji' ? 0.6 : 0.5));
+        layer = await sharp({
+            text: {
+                text: `<span foreground="${getContrastColor(backgroundColor)}">${escapeMarkup(text)}</span>`,
+                font: style === 'initials' ? 'Smooch Sans Bold' : 'sans',
+                fontfile: style === 'initials' ? INITIALS_FONT : undefined,
+                width: boxSize,
+                height: boxSize,
+                align: 'center',
+                rgba: true
+            }
+        }).png().toBuffer();
+    }
+
+    return sharp({
+        create: { width: ICON_SIZE, height: ICON_SIZE, channels: 4, background: backgroundColor }
+    })
+        .composite([{ input: layer, gravity: 'center' }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Render an icon and save it to destPath
+ * @returns {Promise<{success: boolean, iconPath?: string, error?: string}>}
+ */
+async function createIconFile(options, destPath) {
+    try {
+        const icon = await generateIcon(options);
+        await fs.ensureDir(path.dirname(destPath));
+        await fs.writeFile(destPath, icon);
+        return { success: true, iconPath: destPath };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Render a tab or drawer menu icon as a PNG buffer
+ * @param {string} icon - Name in MATERIAL_ICONS, or path to an image (transparent PNG; only its shape is used)
+ * @returns {Promise<Buffer>}
+ */
+async function generateNavIcon(icon) {
+    if (!sharp) {
+        throw new Error('Sharp tidak tersedia, icon menu tidak bisa dibuat');
+    }
+
+    if (MATERIAL_ICONS[icon]) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${NAV_ICON_SIZE}" height="${NAV_ICON_SIZE}" viewBox="0 0 24 24"><path fill="#FFFFFF" d="${MATERIAL_ICONS[icon]}"/></svg>`;
+        return sharp(Buffer.from(svg)).png().toBuffer();
+    }
+
+    if (!icon || !await fs.pathExists(icon)) {
+        throw new Error(`Icon menu tidak dikenal: ${icon}`);
+    }
+    return sharp(icon)
+        .resize(NAV_ICON_SIZE, NAV_ICON_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .ensureAlpha()
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Rounded-corner preview (roughly how launchers show a squircle icon)
+ * @param {Buffer|string} icon - Icon buffer or file path
+ * @returns {Promise<Buffer>}
+ */
+async function renderIconPreview(icon, size = 256) {
+    if (!sharp) {
+        throw new Error('Sharp tidak tersedia, icon tidak bisa dibuat');
+    }
+
+    const radius = Math.round(size * 0.22);
+    const mask = Buffer.from(
+        `<svg width="${size}" height="${size}"><rect width="${size}" height="${size}" rx="${radius}" ry="${radius}" fill="#fff"/></svg>`
+    );
+
+    return sharp(icon)
+        .resize(size, size, { fit: 'cover' })
+        .composite([{ input: mask, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Whether an image needs padding to become a square icon
+ */
+async function isSquareImage(imagePath) {
+    const { width, height } = await sharp(imagePath).metadata();
+    return width === height;
+}
+
+/**
+ * Up to two initials from the app name ("Toko Budi" -> "TB", "Shopee" -> "S")
+ */
+function getInitials(name) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    const initials = words
+        .slice(0, 2)
+        .map(word => Array.from(word)[0])
+        .join('')
+        .toUpperCase();
+    return initials || 'A';
+}
+
+/**
+ * Dark or light text, whichever is readable on the background
+ */
+function getContrastColor(backgroundColor) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(backgroundColor.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#212121' : '#FFFFFF';
+}
+
+/**
+ * Escape text for Pango markup
+ */
+function escapeMarkup(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    ICON_STYLES,
+    MAX_ICON_TEXT_LENGTH,
+    NAV_ICONS: Object.keys(MATERIAL_ICONS),
+    generateIcon,
+    generateNavIcon,
+    createIconFile,
+    renderIconPreview,
+    isSquareImage,
+    getInitials
+};
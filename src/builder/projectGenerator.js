@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs-extra');
+const { generateNavIcon, NAV_ICONS } = require('./iconGenerator');
 
 // Image processing library - Sharp for fast processing on VPS/Desktop
 let sharp = null;
@@ -15,7 +16,15 @@ try {
  * @param {Object} config - User configuration
  */
 async function generateProject(outputDir, config) {
-    const templateDir = path.join(__dirname, '..', '..', 'android-template');
+    const mode = config.mode || 'webview';
+    if (!BUILD_MODES.includes(mode)) {
+        throw new Error(`Mode build tidak dikenal: ${mode}`);
+    }
+    if (mode === 'twa') {
+        validateTwaConfig(config);
+    }
+
+    const templateDir = path.join(__dirname, '..', '..', mode === 'twa' ? 'android-template-twa' : 'android-template');
 
     // Check if template exists
     if (!await fs.pathExists(templateDir)) {
@@ -25,28 +34,204 @@ async function generateProject(outputDir, config) {
     // Copy template to output directory
     await fs.copy(templateDir, outputDir);
 
-    // Generate unique package name
-    const packageName = generatePackageName(config.appName);
+    // Use the user's package name when given, otherwise generate a unique one
+    if (config.packageName && !isValidPackageName(config.packageName)) {
+        throw new Error(`Package name tidak valid: ${config.packageName}`);
+    }
+    const packageName = config.packageName || generatePackageName(config.appName);
+
+    // Trusted Web Activity: the browser renders the site, so only launcher branding applies
+    if (mode === 'twa') {
+        await updateAppName(outputDir, config.appName);
+        await updateTranslations(outputDir, config.translations);
+        await updateThemeColor(outputDir, config.themeColor);
+        const appLinkHosts = await updateTwaLaunch(outputDir, config);
+        await finishProject(outputDir, packageName, config);
+        return { packageName, appLinkHosts };
+    }
 
     // Update configurations
     await updateAppName(outputDir, config.appName);
-    await updateWebViewUrl(outputDir, config.url);  // Simple encoding, no encryption needed
+    const translations = await updateTranslations(outputDir, config.translations);
+    await updateWebViewUrl(outputDir, config.siteDir ? LOCAL_SITE_URL : config.url);  // Simple encoding, no encryption needed
     await updateThemeColor(outputDir, config.themeColor);
 
-    // Update icon if provided
+    // Runtime permissions (camera, microphone, location, ...); bridge notifications need POST_NOTIFICATIONS
+    const bridgeCapabilities = toList(config.bridgeCapabilities);
+    await updatePermissions(outputDir, bridgeCapabilities.includes('notification')
+        ? [...(config.permissions || []), 'notifications']
+        : config.permissions);
+
+    // <input type="file"> support with camera capture
+    if (config.fileUpload) {
+        await enableFileUpload(outputDir);
+    }
+
+    // Hand file downloads (PDF, ZIP, ...) to DownloadManager
+    if (config.downloads) {
+        await enableDownloads(outputDir);
+    }
+
+    // Self-update: check the Web2APK app registry on launch and install newer builds
+    if (config.updateServerUrl) {
+        await enableUpdateCheck(outputDir, packageName, config.updateServerUrl);
+    }
+
+    // Display / orientation (e.g. imported from a Web App Manifest), fullscreen / immersive
+    await updateDisplayMode(outputDir, config.display);
+    await updateOrientation(outputDir, config.orientation);
+    await updateScreenMode(outputDir, config.fullscreen, config.immersive);
+
+    // Light / dark / system theme, darkening for sites without a dark theme
+    await updateDarkMode(outputDir, config);
+
+    // Toolbar / pull-to-refresh / zoom (after display mode so explicit options win)
+    await updateAppChrome(outputDir, config);
+
+    // Bottom navigation: one WebView per tab with its own back stack
+    const tabs = await updateTabs(outputDir, config);
+
+    // Side drawer: header with icon + app name, menu items that load URLs, open links or share the app
+    const drawerMenu = await updateDrawer(outputDir, config);
+
+    // Which hosts stay in the app, where other links open, which schemes go to other apps
+    await updateLinkHandling(outputDir, {
+        ...config,
+        extraHosts: [...tabs, ...drawerMenu.filter(item => item.action === 'url')].map(item => normalizeDomain(item.url))
+    });
+
+    // User agent and extra headers so the backend can recognise the app
+    await updateRequestIdentity(outputDir, config);
+
+    // JavaScript bridge + web2apk-bridge.js helper for the site developer
+    await updateBridge(outputDir, {
+        appName: config.appName,
+        name: config.bridgeName,
+        capabilities: bridgeCapabilities
+    });
+
+    // Custom CSS/JS (hide the site's header, cookie banner, ...) without changing the site
+    await updateInjection(outputDir, config);
+
+    // Splash screen; a manifest background_color is used when no splash color is set
+    await updateSplash(outputDir, {
+        ...config.splash,
+        backgroundColor: config.splash?.backgroundColor || config.backgroundColor
+    });
+
+    // App Links for the site's host(s) (after splash, which may move the launcher filter)
+    const appLinkHosts = await updateDeepLinks(outputDir, config);
+
+    // Static site ZIP: bundle files into assets/www instead of loading a remote URL
+    if (config.siteDir) {
+        await bundleStaticSite(outputDir, config.siteDir);
+    }
+
+    // Offline fallback page (custom HTML or branded default)
+    await updateOfflinePage(outputDir, config, translations);
+
+    await finishProject(outputDir, packageName, config);
+
+    return { packageName, appLinkHosts };
+}
+
+/**
+ * Steps shared by every build mode: icon, package name, version, signing, SDK path
+ */
+async function finishProject(outputDir, packageName, config) {
+    // Update icon if provided (adaptive background defaults to the theme color)
     if (config.iconPath && await fs.pathExists(config.iconPath)) {
-        await updateAppIcon(outputDir, config.iconPath);
+        await updateAppIcon(outputDir, config.iconPath, {
+            ...config.adaptiveIcon,
+            backgroundColor: config.adaptiveIcon?.backgroundColor || config.themeColor
+        });
     }
 
     // Update package name in project files
     await updatePackageName(outputDir, packageName);
 
+    // Update versionCode / versionName if provided
+    await updateVersion(outputDir, config.versionCode, config.versionName);
+
+    // Inject release signing config if a keystore is provided
+    if (config.signing) {
+        await updateSigningConfig(outputDir, config.signing);
+    }
+
     // AAPT2 will be downloaded from Maven automatically
 
     // Create local.properties with SDK path
     await createLocalProperties(outputDir);
 }
 
+/**
+ * TWA builds load the live site in the browser, which requires an https URL
+ */
+function validateTwaConfig(config) {
+    if (config.siteDir) {
+        throw new Error('Mode TWA tidak mendukung website statis (ZIP), gunakan URL');
+    }
+    if (!/^https:\/\//i.test(config.url || '')) {
+        throw new Error('Mode TWA membutuhkan URL https://');
+    }
+}
+
+/**
+ * Point the TWA launcher at the site: launch URL, verified host, asset statement and splash
+ * @param {Object} options - { url, iconPath, backgroundColor, splash: { backgroundColor } }
+ * @returns {Promise<string[]>} Host that needs /.well-known/assetlinks.json
+ */
+async function updateTwaLaunch(projectDir, { url, iconPath, backgroundColor, splash }) {
+    const host = normalizeDomain(url);
+    if (!host) {
+        throw new Error(`URL tidak valid: ${url}`);
+    }
+
+    const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+
+    // The app's side of Digital Asset Links; the site's side is the generated assetlinks.json
+    const statements = JSON.stringify([{
+        relation: ['delegate_permission/common.handle_all_urls'],
+        target: { namespace: 'web', site: `https://${host}` }
+    }]);
+    const stringsPath = path.join(resDir, 'values', 'strings.xml');
+    let strings = await fs.readFile(stringsPath, 'utf8');
+    strings = strings
+        .replace(/<string name="launch_url">.*<\/string>/, () => `<string name="launch_url">${escapeStringResource(url)}</string>`)
+        .replace(/(<string name="asset_statements"[^>]*>).*(<\/string>)/, (match, open, close) =>
+            `${open}${escapeStringResource(statements)}${close}`);
+    await fs.writeFile(stringsPath, strings);
+
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+    manifest = manifest.replace('<data android:host="example.com" />', `<data android:host="${host}" />`);
+    await fs.writeFile(manifestPath, manifest);
+
+    const splashColor = splash?.backgroundColor || backgroundColor;
+    if (splashColor) {
+        if (!/^#[0-9a-fA-F]{6}$/.test(splashColor)) {
+            throw new Error(`Warna splash tidak valid: ${splashColor}`);
+        }
+        const colorsPath = path.join(resDir, 'values', 'colors.xml');
+        let colors = await fs.readFile(colorsPath, 'utf8');
+        colors = colors.replace(
+            /<color name="splashBackground">.*<\/color>/,
+            `<color name="splashBackground">${splashColor}</color>`
+        );
+        await fs.writeFile(colorsPath, colors);
+    }
+
+    // Splash image shown while the browser starts: the app icon
+    if (iconPath && sharp && await fs.pathExists(iconPath)) {
+        await sharp(iconPath)
+            .resize(TWA_SPLASH_SIZE, TWA_SPLASH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toFile(path.join(resDir, 'drawable-nodpi', 'splash.png'));
+    }
+
+    return [host];
+}
+
 /**
  * Create local.properties with SDK path
  * This is needed because PM2 doesn't read environment variables from .bashrc
@@ -93,6 +278,93 @@ async function createLocalProperties(projectDir) {
 
 // Note: AAPT2 is automatically downloaded from Maven on VPS/Desktop
 
+/**
+ * Write values-<locale>/strings.xml for each translated locale (launcher label, splash, toasts)
+ * Keys the template doesn't have (e.g. offline texts, or a TWA build) are skipped.
+ * @param {Object|string} translations - See parseTranslations()
+ * @returns {Promise<Object|null>} Parsed translations, null when none were given
+ */
+async function updateTranslations(projectDir, translations) {
+    if (!translations) return null;
+
+    const parsed = parseTranslations(translations);
+    if (!parsed) {
+        throw new Error('Terjemahan tidak valid (contoh: en: My Shop, satu bahasa per baris)');
+    }
+
+    const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+    const defaults = await fs.readFile(path.join(resDir, 'values', 'strings.xml'), 'utf8');
+    const available = new Set([...defaults.matchAll(/<string name="([^"]+)"/g)].map(match => match[1]));
+
+    for (const [qualifier, strings] of Object.entries(parsed)) {
+        const entries = Object.entries(strings).filter(([key]) => available.has(key));
+        if (entries.length === 0) continue;
+
+        const content = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<resources>',
+            ...entries.map(([key, text]) => `    <string name="${key}">${escapeStringResource(text)}</string>`),
+            '</resources>',
+            ''
+        ].join('\n');
+        await fs.outputFile(path.join(resDir, `values-${qualifier}`, 'strings.xml'), content);
+    }
+
+    return parsed;
+}
+
+/**
+ * Translations as { qualifier: { key: text } } (qualifier as in values-<qualifier>, e.g. en, pt-rBR)
+ * @param {Object|string} value - { en: 'My Shop', 'pt-BR': { app_name, offline_title, ... } },
+ *   the same as JSON, or "locale: app name" lines
+ * @returns {Object|null} null when a locale, key or text is invalid
+ */
+function parseTranslations(value) {
+    let entries;
+    if (typeof value === 'object') {
+        entries = Object.entries(value);
+    } else if (String(value).trim().startsWith('{')) {
+        try {
+            entries = Object.entries(JSON.parse(value));
+        } catch (e) {
+            return null;
+        }
+    } else {
+        entries = String(value).split(/\r?\n/).filter(line => line.trim()).map(line => {
+            const separator = line.indexOf(':');
+            return separator > 0 ? [line.slice(0, separator), line.slice(separator + 1)] : [line, null];
+        });
+    }
+
+    if (entries.length === 0 || entries.length > MAX_TRANSLATION_LOCALES) return null;
+
+    const translations = {};
+    for (const [locale, strings] of entries) {
+        const qualifier = toLocaleQualifier(locale);
+        if (!qualifier || !strings) return null;
+
+        const texts = typeof strings === 'object' ? strings : { app_name: strings };
+        const result = {};
+        for (const [key, rawText] of Object.entries(texts)) {
+            const text = typeof rawText === 'string' ? rawText.trim() : '';
+            if (!TRANSLATABLE_STRINGS.includes(key) || !text || text.length > MAX_TRANSLATION_LENGTH) return null;
+            result[key] = text;
+        }
+        if (Object.keys(result).length === 0) return null;
+        translations[qualifier] = { ...translations[qualifier], ...result };
+    }
+    return translations;
+}
+
+/**
+ * en -> en, pt-BR / pt_BR / pt-rBR -> pt-rBR; null if it isn't a language (+ region) code
+ */
+function toLocaleQualifier(locale) {
+    const match = /^([a-z]{2,3})(?:[-_]r?([a-z]{2}))?$/i.exec(String(locale).trim());
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-r${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
 /**
  * Update app name in strings.xml
  */
@@ -140,72 +412,942 @@ async function updateWebViewUrl(projectDir, url) {
 // This prevents casual inspection while being extremely fast to decode
 
 /**
- * Update theme color in colors.xml
+ * Light and dark palettes from the theme color: colors.xml / values-night/colors.xml
+ * (toolbar, status / navigation bar, background) and bools.xml (dark icons on light bars).
+ * Resources a template doesn't define (e.g. the TWA template) are skipped.
  */
 async function updateThemeColor(projectDir, themeColor) {
-    const colorsPath = path.join(projectDir, 'app', 'src', 'main', 'res', 'values', 'colors.xml');
+    const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+    const { light, dark } = buildThemePalette(themeColor);
 
-    // Calculate darker variant for status bar
-    const darkColor = darkenColor(themeColor, 20);
+    // The TWA template keeps the dark bar colors next to the light ones (STATUS_BAR_COLOR_DARK, ...)
+    await setResourceValues(path.join(resDir, 'values', 'colors.xml'), 'color', {
+        ...light,
+        statusBarColorDark: dark.statusBarColor,
+        navigationBarColorDark: dark.navigationBarColor
+    });
+    await setResourceValues(path.join(resDir, 'values-night', 'colors.xml'), 'color', dark);
 
-    let content = await fs.readFile(colorsPath, 'utf8');
-    content = content.replace(
-        /<color name="colorPrimary">.*<\/color>/,
-        `<color name="colorPrimary">${themeColor}</color>`
-    );
-    content = content.replace(
-        /<color name="colorPrimaryDark">.*<\/color>/,
-        `<color name="colorPrimaryDark">${darkColor}</color>`
-    );
-    content = content.replace(
-        /<color name="colorAccent">.*<\/color>/,
-        `<color name="colorAccent">${themeColor}</color>`
-    );
-    await fs.writeFile(colorsPath, content);
+    for (const [dir, colors] of [['values', light], ['values-night', dark]]) {
+        await setResourceValues(path.join(resDir, dir, 'bools.xml'), 'bool', {
+            lightStatusBar: isLightColor(colors.statusBarColor),
+            lightNavigationBar: isLightColor(colors.navigationBarColor)
+        });
+    }
+}
+
+/**
+ * Colors for light and dark mode; dark mode uses a lighter primary and near-black bars tinted with the theme color
+ */
+function buildThemePalette(themeColor) {
+    const statusBar = darkenColor(themeColor, 20);
+    const darkPrimary = mixColors(themeColor, '#FFFFFF', 0.35);
+    const darkSurface = mixColors('#121212', themeColor, 0.12);
+
+    return {
+        light: {
+            colorPrimary: themeColor,
+            colorPrimaryDark: statusBar,
+            colorAccent: themeColor,
+            toolbarColor: themeColor,
+            toolbarTextColor: isLightColor(themeColor) ? '#212121' : '#FFFFFF',
+            statusBarColor: statusBar,
+            navigationBarColor: '#FFFFFF',
+            windowBackground: '#FFFFFF',
+            tabBarColor: '#FFFFFF',
+            tabSelectedColor: isLightColor(themeColor) ? darkenColor(themeColor, 30) : themeColor
+        },
+        dark: {
+            colorPrimary: darkPrimary,
+            colorPrimaryDark: darkSurface,
+            colorAccent: darkPrimary,
+            toolbarColor: darkSurface,
+            toolbarTextColor: '#FFFFFF',
+            statusBarColor: darkSurface,
+            navigationBarColor: '#000000',
+            windowBackground: '#000000',
+            tabBarColor: darkSurface,
+            tabSelectedColor: darkPrimary
+        }
+    };
+}
+
+/**
+ * Replace <type name="...">value</type> entries that exist in a resource file
+ */
+async function setResourceValues(filePath, type, values) {
+    if (!await fs.pathExists(filePath)) return;
+
+    let content = await fs.readFile(filePath, 'utf8');
+    for (const [name, value] of Object.entries(values)) {
+        content = content.replace(
+            new RegExp(`(<${type} name="${name}">)[^<]*(</${type}>)`),
+            (match, open, close) => `${open}${value}${close}`
+        );
+    }
+    await fs.writeFile(filePath, content);
+}
+
+/**
+ * Light / dark / system theme and darkening of sites without a dark theme
+ * @param {Object} options - { themeMode: one of THEME_MODES (default 'system'), webDarkening (default true) }
+ */
+async function updateDarkMode(projectDir, { themeMode, webDarkening }) {
+    const mode = themeMode || 'system';
+    if (!THEME_MODES.includes(mode)) {
+        throw new Error(`Mode tema tidak dikenal: ${themeMode}`);
+    }
+
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        THEME_MODE: mode,
+        WEB_DARKENING: webDarkening !== false
+    });
 }
 
 /**
  * Update app icon with user's image
  * Uses Sharp for fast image processing
+ *
+ * Legacy square/round PNGs for Android 7, plus an adaptive icon (foreground,
+ * background and monochrome layers) in mipmap-anydpi-v26 for Android 8+.
+ * @param {Object} options - { backgroundColor, backgroundPath, padding (% of the layer per side) }
  */
-async function updateAppIcon(projectDir, iconPath) {
+async function updateAppIcon(projectDir, iconPath, options = {}) {
     if (!sharp) {
         console.warn('⚠️ Sharp not available, using default icon');
         return;
     }
 
+    const padding = options.padding ?? DEFAULT_ICON_PADDING;
+    if (!isValidIconPadding(padding)) {
+        throw new Error(`Padding icon tidak valid: ${options.padding}`);
+    }
+    const backgroundColor = options.backgroundColor || '#FFFFFF';
+    if (!/^#[0-9a-fA-F]{6}$/.test(backgroundColor)) {
+        throw new Error(`Warna background icon tidak valid: ${backgroundColor}`);
+    }
+
     try {
-        const sizes = [
-            { name: 'mipmap-mdpi', size: 48 },
-            { name: 'mipmap-hdpi', size: 72 },
-            { name: 'mipmap-xhdpi', size: 96 },
-            { name: 'mipmap-xxhdpi', size: 144 },
-            { name: 'mipmap-xxxhdpi', size: 192 }
-        ];
-
-        for (const { name, size } of sizes) {
-            const outputPath = path.join(projectDir, 'app', 'src', 'main', 'res', name, 'ic_launcher.png');
-            const roundOutputPath = path.join(projectDir, 'app', 'src', 'main', 'res', name, 'ic_launcher_round.png');
+        const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+
+        // Layers are rendered once at xxxhdpi and scaled down per density
+        const layerSize = ADAPTIVE_LAYER_DP * 4;
+        const foreground = await renderIconForeground(iconPath, layerSize, padding);
+        const monochrome = await renderIconMonochrome(iconPath, foreground, layerSize);
+        const background = options.backgroundPath && await fs.pathExists(options.backgroundPath)
+            ? await sharp(options.backgroundPath).resize(layerSize, layerSize, { fit: 'cover' }).png().toBuffer()
+            : null;
+
+        for (const { name, scale } of ICON_DENSITIES) {
+            const dir = path.join(resDir, name);
+            const size = Math.round(48 * scale);
+            const layer = Math.round(ADAPTIVE_LAYER_DP * scale);
 
             // Ensure directory exists
-            await fs.ensureDir(path.dirname(outputPath));
+            await fs.ensureDir(dir);
 
-            // Use Sharp for fast processing
             await sharp(iconPath)
                 .resize(size, size, { fit: 'cover' })
                 .png()
-                .toFile(outputPath);
+                .toFile(path.join(dir, 'ic_launcher.png'));
 
-            // Copy as round icon (same as square for simplicity)
-            await fs.copy(outputPath, roundOutputPath);
+            await sharp(iconPath)
+                .resize(size, size, { fit: 'cover' })
+                .composite([{ input: circleMask(size), blend: 'dest-in' }])
+                .png()
+                .toFile(path.join(dir, 'ic_launcher_round.png'));
+
+            await sharp(foreground).resize(layer, layer).png().toFile(path.join(dir, 'ic_launcher_foreground.png'));
+            await sharp(monochrome).resize(layer, layer).png().toFile(path.join(dir, 'ic_launcher_monochrome.png'));
+            if (background) {
+                await sharp(background).resize(layer, layer).png().toFile(path.join(dir, 'ic_launcher_background.png'));
+            }
         }
 
+        const backgroundDrawable = background ? '@mipmap/ic_launcher_background' : '@color/ic_launcher_background';
+        if (!background) {
+            const colorsPath = path.join(resDir, 'values', 'colors.xml');
+            let colors = await fs.readFile(colorsPath, 'utf8');
+            colors = colors.replace(
+                '</resources>',
+                `    <color name="ic_launcher_background">${backgroundColor}</color>\n</resources>`
+            );
+            await fs.writeFile(colorsPath, colors);
+        }
+
+        const adaptiveIcon = `<?xml version="1.0" encoding="utf-8"?>
+<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
+    <background android:drawable="${backgroundDrawable}" />
+    <foreground android:drawable="@mipmap/ic_launcher_foreground" />
+    <monochrome android:drawable="@mipmap/ic_launcher_monochrome" />
+</adaptive-icon>
+`;
+        const anydpiDir = path.join(resDir, 'mipmap-anydpi-v26');
+        await fs.ensureDir(anydpiDir);
+        await fs.writeFile(path.join(anydpiDir, 'ic_launcher.xml'), adaptiveIcon);
+        await fs.writeFile(path.join(anydpiDir, 'ic_launcher_round.xml'), adaptiveIcon);
+
         console.log('✅ Custom icon applied successfully');
     } catch (error) {
         console.warn('⚠️ Custom icon processing failed, using default icon:', error.message);
     }
 }
 
+/**
+ * Icon centered on a transparent adaptive-icon layer
+ */
+async function renderIconForeground(iconPath, layerSize, padding) {
+    const inset = Math.round(layerSize * padding / 100);
+    const inner = layerSize - inset * 2;
+
+    return sharp(iconPath)
+        .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .extend({ top: inset, bottom: inset, left: inset, right: inset, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * White silhouette for themed icons (Android 13+)
+ *
+ * Transparent logos use their alpha channel. Opaque images have no shape to
+ * follow, so brightness is used instead (inverted when the image is mostly light).
+ */
+async function renderIconMonochrome(iconPath, foreground, layerSize) {
+    const { isOpaque } = await sharp(iconPath).stats();
+    const { data } = await sharp(foreground).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    const luminance = (i) => (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+    let invert = false;
+    if (isOpaque) {
+        let total = 0;
+        let count = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            total += luminance(i);
+            count++;
+        }
+        invert = count > 0 && total / count > 128;
+    }
+
+    const mask = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const shape = isOpaque ? (invert ? 255 - luminance(i) : luminance(i)) : 255;
+        mask[i] = mask[i + 1] = mask[i + 2] = 255;
+        mask[i + 3] = Math.round(shape * data[i + 3] / 255);
+    }
+
+    return sharp(mask, { raw: { width: layerSize, height: layerSize, channels: 4 } }).png().toBuffer();
+}
+
+function circleMask(size) {
+    return Buffer.from(
+        `<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="#fff"/></svg>`
+    );
+}
+
+function isValidIconPadding(padding) {
+    return Number.isFinite(padding) && padding >= 0 && padding <= 30;
+}
+
+/**
+ * Apply Web App Manifest style display mode (fullscreen / standalone / minimal-ui / browser)
+ */
+async function updateDisplayMode(projectDir, display) {
+    if (!display) return;
+
+    if (!DISPLAY_MODES.includes(display)) {
+        throw new Error(`Display mode tidak dikenal: ${display}`);
+    }
+
+    // Standalone apps have no app bar, like an installed PWA
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        SHOW_TOOLBAR: display === 'minimal-ui' || display === 'browser',
+        FULLSCREEN: display === 'fullscreen',
+        IMMERSIVE: display === 'fullscreen'
+    });
+}
+
+/**
+ * Hide the status bar (fullscreen), or status and navigation bars (immersive sticky)
+ */
+async function updateScreenMode(projectDir, fullscreen, immersive) {
+    if (!fullscreen && !immersive) return;
+
+    const constants = { FULLSCREEN: true };
+    if (immersive) constants.IMMERSIVE = true;
+    await setJavaConstants(projectDir, 'MainActivity.java', constants);
+}
+
+/**
+ * Toolbar visibility and title, pull-to-refresh, pinch zoom and default text zoom
+ * Options left undefined/null keep the template defaults.
+ */
+async function updateAppChrome(projectDir, { showToolbar, toolbarTitle, pullToRefresh, zoom, textZoom }) {
+    const constants = {};
+
+    if (showToolbar !== undefined && showToolbar !== null) constants.SHOW_TOOLBAR = Boolean(showToolbar);
+    if (pullToRefresh !== undefined && pullToRefresh !== null) constants.PULL_TO_REFRESH = Boolean(pullToRefresh);
+    if (zoom !== undefined && zoom !== null) constants.ENABLE_ZOOM = Boolean(zoom);
+
+    if (toolbarTitle) {
+        if (toolbarTitle.length > 50) {
+            throw new Error('Judul toolbar maksimal 50 karakter');
+        }
+        constants.TOOLBAR_TITLE = toolbarTitle;
+    }
+
+    if (textZoom !== undefined && textZoom !== null) {
+        if (!isValidTextZoom(textZoom)) {
+            throw new Error(`Text zoom tidak valid: ${textZoom}`);
+        }
+        constants.TEXT_ZOOM = textZoom;
+    }
+
+    if (Object.keys(constants).length === 0) return;
+    await setJavaConstants(projectDir, 'MainActivity.java', constants);
+}
+
+function isValidTextZoom(textZoom) {
+    return Number.isInteger(textZoom) && textZoom >= 50 && textZoom <= 200;
+}
+
+/**
+ * Link handling: extra in-app domains (the app URL's host and tab / drawer menu hosts are always allowed),
+ * external link mode and extra schemes opened in other apps (upi, market, geo, ...)
+ */
+async function updateLinkHandling(projectDir, { url, siteDir, allowedDomains, externalLinks, externalSchemes, extraHosts = [] }) {
+    const constants = {};
+
+    const domains = toList(allowedDomains).map(domain => {
+        const normalized = normalizeDomain(domain);
+        if (!normalized) {
+            throw new Error(`Domain tidak valid: ${domain}`);
+        }
+        return normalized;
+    });
+    if (domains.length > 0 || extraHosts.length > 0) {
+        const appHost = siteDir ? null : normalizeDomain(url);
+        constants.ALLOWED_HOSTS = [...new Set([appHost, ...domains, ...extraHosts].filter(Boolean))].join(',');
+    }
+
+    if (externalLinks) {
+        if (!EXTERNAL_LINK_MODES.includes(externalLinks)) {
+            throw new Error(`Mode link luar tidak dikenal: ${externalLinks}`);
+        }
+        constants.EXTERNAL_LINK_MODE = externalLinks;
+    }
+
+    const schemes = toList(externalSchemes).map(scheme => scheme.replace(/:$/, '').toLowerCase());
+    if (schemes.length > 0) {
+        const invalid = schemes.find(scheme => !isValidUrlScheme(scheme));
+        if (invalid) {
+            throw new Error(`Skema link tidak valid: ${invalid}`);
+        }
+        constants.EXTERNAL_SCHEMES = [...new Set([...DEFAULT_EXTERNAL_SCHEMES, ...schemes])].join(',');
+    }
+
+    if (Object.keys(constants).length === 0) return;
+    await setJavaConstants(projectDir, 'MainActivity.java', constants);
+}
+
+/**
+ * Bottom navigation tabs: icons go to assets/tabs/icon_<index>.png, labels and URLs to MainActivity.TABS
+ * @param {Object} options - { tabs: see parseTabs(), tabIcons: uploaded image paths by tab index (replace the named icon), siteDir }
+ * @returns {Promise<Array>} Parsed tabs, empty when none were given
+ */
+async function updateTabs(projectDir, { tabs, tabIcons, siteDir }) {
+    if (!tabs || tabs.length === 0) return [];
+    if (siteDir) {
+        throw new Error('Tab tidak tersedia untuk website statis');
+    }
+
+    const parsed = parseTabs(tabs);
+    if (!parsed) {
+        throw new Error(`Tab tidak valid (${MIN_TABS}-${MAX_TABS} tab, format "Label | icon | URL" per baris)`);
+    }
+
+    const tabsDir = path.join(projectDir, 'app', 'src', 'main', 'assets', 'tabs');
+    await fs.ensureDir(tabsDir);
+    for (const [index, tab] of parsed.entries()) {
+        await fs.writeFile(path.join(tabsDir, `icon_${index}.png`), await generateNavIcon(tabIcons?.[index] || tab.icon));
+    }
+
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        TABS: JSON.stringify(parsed.map(({ label, url }) => ({ label, url })))
+    });
+    return parsed;
+}
+
+/**
+ * Tabs as [{ label, icon, url }]
+ * @param {Array|string} value - Array of { label, icon, url }, the same as JSON, or "Label | icon | URL" lines;
+ *   icon is a NAV_ICONS name (custom images go through updateTabs' tabIcons, never through user input)
+ * @returns {Array|null} null when the number of tabs, a label, icon or URL is invalid
+ */
+function parseTabs(value) {
+    let entries;
+    if (Array.isArray(value)) {
+        entries = value;
+    } else if (String(value).trim().startsWith('[')) {
+        try {
+            entries = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+        if (!Array.isArray(entries)) return null;
+    } else {
+        entries = String(value).split(/\r?\n/).filter(line => line.trim()).map(line => {
+            const [label, icon, ...url] = line.split('|');
+            return { label, icon, url: url.join('|') };
+        });
+    }
+
+    if (entries.length < MIN_TABS || entries.length > MAX_TABS) return null;
+
+    const tabs = [];
+    for (const entry of entries) {
+        const [label, rawIcon, url] = ['label', 'icon', 'url'].map(key => String(entry?.[key] ?? '').trim());
+        const icon = rawIcon.toLowerCase();
+
+        if (!label || label.length > MAX_TAB_LABEL_LENGTH) return null;
+        if (!NAV_ICONS.includes(icon)) return null;
+        if (!/^https?:\/\//i.test(url) || !normalizeDomain(url)) return null;
+        tabs.push({ label, icon, url });
+    }
+    return tabs;
+}
+
+/**
+ * Side drawer menu: icons go to assets/drawer/icon_<index>.png, items to MainActivity.DRAWER_MENU
+ * @param {Object} options - { drawerMenu: see parseDrawerMenu() }
+ * @returns {Promise<Array>} Parsed menu items, empty when there is no drawer
+ */
+async function updateDrawer(projectDir, { drawerMenu }) {
+    if (!drawerMenu || drawerMenu.length === 0) return [];
+
+    const items = parseDrawerMenu(drawerMenu);
+    if (!items) {
+        throw new Error(`Menu samping tidak valid (1-${MAX_DRAWER_ITEMS} item, lihat contoh JSON)`);
+    }
+
+    const drawerDir = path.join(projectDir, 'app', 'src', 'main', 'assets', 'drawer');
+    for (const [index, item] of items.entries()) {
+        if (!item.icon) continue;
+        await fs.ensureDir(drawerDir);
+        await fs.writeFile(path.join(drawerDir, `icon_${index}.png`), await generateNavIcon(item.icon));
+    }
+
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        DRAWER_MENU: JSON.stringify(items.map(({ icon, ...item }) => item))
+    });
+    return items;
+}
+
+/**
+ * Drawer menu items as [{ action, label, icon, url }]
+ * @param {Array|Object|string} value - Array of items, { items: [...] }, or the same as JSON.
+ *   action: "url" (default, load in the app), "external" (browser or tel:, mailto:, ...),
+ *   "share" (share the app; url defaults to its Play Store page) or "divider";
+ *   icon: optional NAV_ICONS name
+ * @returns {Array|null} null when the number of items, an action, label, icon or URL is invalid
+ */
+function parseDrawerMenu(value) {
+    let menu = value;
+    if (typeof menu === 'string') {
+        try {
+            menu = JSON.parse(menu);
+        } catch (e) {
+            return null;
+        }
+    }
+    const entries = Array.isArray(menu) ? menu : menu?.items;
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_DRAWER_ITEMS) return null;
+
+    const items = [];
+    for (const entry of entries) {
+        if (!entry || typeof entry !== 'object') return null;
+        const [label, icon, url] = ['label', 'icon', 'url'].map(key => String(entry[key] ?? '').trim());
+        const action = String(entry.action || 'url').trim().toLowerCase();
+
+        if (!DRAWER_ACTIONS.includes(action)) return null;
+        if (action === 'divider') {
+            items.push({ action });
+            continue;
+        }
+
+        if (!label || label.length > MAX_DRAWER_LABEL_LENGTH) return null;
+        if (icon && !NAV_ICONS.includes(icon.toLowerCase())) return null;
+
+        const isWebUrl = /^https?:\/\//i.test(url) && Boolean(normalizeDomain(url));
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url)?.[1].toLowerCase();
+        if (action === 'url' && !isWebUrl) return null;
+        if (action === 'external' && !isWebUrl && !(scheme && isValidUrlScheme(scheme))) return null;
+        if (action === 'share' && url && !isWebUrl) return null;
+
+        items.push({ action, label, icon: icon.toLowerCase(), url });
+    }
+
+    // A menu of only dividers is no menu
+    return items.some(item => item.action !== 'divider') ? items : null;
+}
+
+/**
+ * Host of a domain or URL ("https://www.Example.com/x" -> "www.example.com"), null if invalid
+ */
+function normalizeDomain(value) {
+    let host = String(value || '').trim().toLowerCase().replace(/^\*\./, '');
+    if (host.includes('/') || host.includes(':')) {
+        try {
+            host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+        } catch (e) {
+            return null;
+        }
+    }
+    return /^([a-z0-9-]+\.)*[a-z0-9-]+$/.test(host) ? host : null;
+}
+
+function isValidUrlScheme(scheme) {
+    return /^[a-z][a-z0-9+.-]*$/.test(scheme) && !IN_APP_SCHEMES.includes(scheme);
+}
+
+/**
+ * User agent (suffix or full replacement) and extra headers sent with the app URL
+ * @param {Object} options - { userAgent, userAgentSuffix ('' removes the default " Web2ApkApp"), headers (object or "Name: value" lines) }
+ */
+async function updateRequestIdentity(projectDir, { userAgent, userAgentSuffix, headers }) {
+    const constants = {};
+
+    if (userAgent) {
+        if (!isValidUserAgent(userAgent)) {
+            throw new Error('User agent tidak valid (maksimal 256 karakter ASCII, satu baris)');
+        }
+        constants.USER_AGENT = userAgent.trim();
+    }
+
+    if (userAgentSuffix !== undefined && userAgentSuffix !== null) {
+        if (userAgentSuffix && !isValidUserAgent(userAgentSuffix)) {
+            throw new Error('Akhiran user agent tidak valid (maksimal 256 karakter ASCII, satu baris)');
+        }
+        constants.USER_AGENT_SUFFIX = userAgentSuffix.trim();
+    }
+
+    if (headers) {
+        const parsed = parseRequestHeaders(headers);
+        if (!parsed) {
+            throw new Error('Header tidak valid (format "Nama: nilai" per baris)');
+        }
+        constants.EXTRA_HEADERS = Object.entries(parsed).map(([name, value]) => `${name}: ${value}`).join('\n');
+    }
+
+    if (Object.keys(constants).length === 0) return;
+    await setJavaConstants(projectDir, 'MainActivity.java', constants);
+}
+
+function isValidUserAgent(value) {
+    return /^[\x20-\x7E]{1,256}$/.test(String(value).trim());
+}
+
+/**
+ * Object or "Name: value" lines -> { name: value }, null if a header is invalid
+ */
+function parseRequestHeaders(value) {
+    const entries = typeof value === 'object'
+        ? Object.entries(value)
+        : String(value).split(/\r?\n/).filter(line => line.trim()).map(line => {
+            const separator = line.indexOf(':');
+            return separator > 0 ? [line.slice(0, separator), line.slice(separator + 1)] : [line, null];
+        });
+
+    if (entries.length === 0 || entries.length > MAX_EXTRA_HEADERS) return null;
+
+    const headers = {};
+    for (const [rawName, rawValue] of entries) {
+        const name = String(rawName).trim();
+        const headerValue = rawValue === null || rawValue === undefined ? null : String(rawValue).trim();
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) return null;
+        if (headerValue === null || !/^[\x20-\x7E]{0,1024}$/.test(headerValue)) return null;
+        headers[name] = headerValue;
+    }
+    return headers;
+}
+
+/**
+ * Open links to the site in the app: autoVerify VIEW intent filter on MainActivity
+ * @param {Object} options - { url, siteDir, deepLinks, deepLinkHosts (default: host of url), deepLinkPaths (path prefixes, default: all) }
+ * @returns {Promise<string[]>} Hosts that need /.well-known/assetlinks.json (empty when disabled)
+ */
+async function updateDeepLinks(projectDir, { url, siteDir, deepLinks, deepLinkHosts, deepLinkPaths }) {
+    if (!deepLinks) return [];
+
+    const hosts = toList(deepLinkHosts).map(host => {
+        const normalized = normalizeDomain(host);
+        if (!normalized) {
+            throw new Error(`Host deep link tidak valid: ${host}`);
+        }
+        return normalized;
+    });
+
+    if (hosts.length === 0) {
+        if (siteDir) {
+            throw new Error('Deep link untuk website statis membutuhkan host (deepLinkHosts)');
+        }
+        hosts.push(normalizeDomain(url));
+    }
+
+    const paths = toList(deepLinkPaths);
+    const invalidPath = paths.find(p => !isValidDeepLinkPath(p));
+    if (invalidPath) {
+        throw new Error(`Path deep link tidak valid: ${invalidPath} (harus diawali /)`);
+    }
+
+    const uniqueHosts = [...new Set(hosts)];
+    const filter = [
+        '',
+        '            <!-- App Links: open the site\'s URLs in this app (verified via assetlinks.json) -->',
+        '            <intent-filter android:autoVerify="true">',
+        '                <action android:name="android.intent.action.VIEW" />',
+        '                <category android:name="android.intent.category.DEFAULT" />',
+        '                <category android:name="android.intent.category.BROWSABLE" />',
+        '                <data android:scheme="https" />',
+        '                <data android:scheme="http" />',
+        ...uniqueHosts.map(host => `                <data android:host="${host}" />`),
+        ...[...new Set(paths)].map(p => `                <data android:pathPrefix="${p}" />`),
+        '            </intent-filter>'
+    ].join('\n');
+
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+    manifest = manifest
+        .replace(/(android:name="\.MainActivity"[\s\S]*?android:exported=)"false">/, '$1"true">')
+        .replace(/(android:name="\.MainActivity"[\s\S]*?)(\n        <\/activity>)/, `$1${filter}$2`);
+    await fs.writeFile(manifestPath, manifest);
+
+    await setJavaConstants(projectDir, 'MainActivity.java', { DEEP_LINK_HOSTS: uniqueHosts.join(',') });
+    return uniqueHosts;
+}
+
+function isValidDeepLinkPath(value) {
+    return /^\/[A-Za-z0-9\-._~\/%]*$/.test(value) && value.length <= 100;
+}
+
+/**
+ * Enable the JavaScript bridge and write the site helper (BRIDGE_HELPER_FILE) into the project root
+ * @param {Object} options - { appName, name (window.<name>, default Web2Apk), capabilities (keys of BRIDGE_CAPABILITIES) }
+ */
+async function updateBridge(projectDir, { appName, name, capabilities = [] }) {
+    if (capabilities.length === 0) return;
+
+    const unknown = capabilities.filter(c => !BRIDGE_CAPABILITIES.includes(c));
+    if (unknown.length > 0) {
+        throw new Error(`Fitur bridge tidak dikenal: ${unknown.join(', ')}`);
+    }
+
+    const bridgeName = name || DEFAULT_BRIDGE_NAME;
+    if (!isValidBridgeName(bridgeName)) {
+        throw new Error(`Nama bridge tidak valid: ${bridgeName}`);
+    }
+
+    const enabled = [...new Set(capabilities)];
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        BRIDGE_NAME: bridgeName,
+        BRIDGE_CAPABILITIES: enabled.join(',')
+    });
+
+    if (enabled.includes('vibrate')) {
+        const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+        const manifest = await fs.readFile(manifestPath, 'utf8');
+        await fs.writeFile(manifestPath, manifest.replace(
+            /(    <uses-permission android:name="android\.permission\.ACCESS_WIFI_STATE" \/>\n)/,
+            '$1    <uses-permission android:name="android.permission.VIBRATE" />\n'
+        ));
+    }
+
+    const template = await fs.readFile(path.join(__dirname, 'templates', BRIDGE_HELPER_FILE), 'utf8');
+    const helper = template
+        .replace('APP_NAME_PLACEHOLDER', String(appName || '').replace(/\*\//g, ''))
+        .replace('CAPABILITIES_PLACEHOLDER', enabled.join(', '))
+        .replace('CAPABILITY_LIST_PLACEHOLDER', JSON.stringify(enabled))
+        .replace('BRIDGE_NAME_PLACEHOLDER', JSON.stringify(bridgeName));
+    await fs.writeFile(path.join(projectDir, BRIDGE_HELPER_FILE), helper);
+}
+
+/**
+ * window.<name> for the bridge: a JS identifier that doesn't shadow common globals or the helper's window.web2apk
+ */
+function isValidBridgeName(name) {
+    return typeof name === 'string'
+        && /^[A-Za-z_$][A-Za-z0-9_$]{0,31}$/.test(name)
+        && !RESERVED_BRIDGE_NAMES.includes(name);
+}
+
+/**
+ * Bundle custom CSS/JS into assets/inject; MainActivity runs them in onPageFinished
+ * @param {Object} options - { injectCss, injectJs, injectUrlPatterns (URL globs with *, default: every page on the allowed hosts) }
+ */
+async function updateInjection(projectDir, { injectCss, injectJs, injectUrlPatterns }) {
+    const css = String(injectCss || '').trim();
+    const js = String(injectJs || '').trim();
+    if (!css && !js) return;
+
+    for (const [label, code] of [['CSS', css], ['JS', js]]) {
+        if (Buffer.byteLength(code) > MAX_INJECT_SIZE) {
+            throw new Error(`Kode ${label} terlalu besar (maksimal ${MAX_INJECT_SIZE / 1024} KB)`);
+        }
+    }
+
+    const patterns = toList(injectUrlPatterns);
+    const invalidPattern = patterns.find(p => !isValidInjectPattern(p));
+    if (invalidPattern) {
+        throw new Error(`Pola URL tidak valid: ${invalidPattern} (contoh: https://example.com/shop/*)`);
+    }
+
+    const injectDir = path.join(projectDir, 'app', 'src', 'main', 'assets', 'inject');
+    await fs.ensureDir(injectDir);
+    if (css) {
+        await fs.writeFile(path.join(injectDir, 'inject.css'), css);
+    }
+    if (js) {
+        await fs.writeFile(path.join(injectDir, 'inject.js'), js);
+    }
+
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        INJECT_CODE: true,
+        INJECT_URL_PATTERNS: [...new Set(patterns)].join(',')
+    });
+}
+
+/**
+ * URL glob for injection: http(s) URL or starting with *, only * is a wildcard
+ */
+function isValidInjectPattern(pattern) {
+    return typeof pattern === 'string'
+        && pattern.length <= 200
+        && /^(https?:\/\/|\*)[^\s,\\]*$/i.test(pattern);
+}
+
+/**
+ * Array or comma/space separated string -> trimmed, non-empty values
+ */
+function toList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Lock screen orientation (portrait / landscape / sensor); 'auto' follows the device
+ */
+async function updateOrientation(projectDir, orientation) {
+    if (!orientation || orientation === 'auto') return;
+
+    const screenOrientation = ORIENTATIONS[orientation];
+    if (!screenOrientation) {
+        throw new Error(`Orientasi tidak dikenal: ${orientation}`);
+    }
+
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+    manifest = manifest.replace(
+        /(android:name="\.(?:Splash|Main)Activity"\n)/g,
+        `$1            android:screenOrientation="${screenOrientation}"\n`
+    );
+    await fs.writeFile(manifestPath, manifest);
+}
+
+/**
+ * Customize the splash screen
+ * @param {Object} splash - { mode: 'timed' | 'pageload' | 'none', duration (ms), backgroundColor, logoPath, tagline, font }
+ */
+async function updateSplash(projectDir, splash = {}) {
+    const mode = splash.mode || 'timed';
+    if (!SPLASH_MODES.includes(mode)) {
+        throw new Error(`Mode splash tidak dikenal: ${mode}`);
+    }
+
+    if (mode === 'timed' && splash.duration) {
+        const duration = Number(splash.duration);
+        if (!isValidSplashDuration(duration)) {
+            throw new Error(`Durasi splash tidak valid: ${splash.duration}`);
+        }
+        await setJavaConstants(projectDir, 'SplashActivity.java', { SPLASH_DURATION: duration });
+    } else if (mode !== 'timed') {
+        // No separate splash activity: the app opens straight into MainActivity
+        await moveLauncherToMainActivity(projectDir);
+        if (mode === 'none') return;
+        await setJavaConstants(projectDir, 'MainActivity.java', { SPLASH_UNTIL_LOADED: true });
+    }
+
+    const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+    const layoutPath = path.join(resDir, 'layout', 'activity_splash.xml');
+    let layout = await fs.readFile(layoutPath, 'utf8');
+
+    if (splash.backgroundColor) {
+        if (!/^#[0-9a-fA-F]{6}$/.test(splash.backgroundColor)) {
+            throw new Error(`Warna background tidak valid: ${splash.backgroundColor}`);
+        }
+
+        const colorsPath = path.join(resDir, 'values', 'colors.xml');
+        let colors = await fs.readFile(colorsPath, 'utf8');
+        colors = colors.replace(
+            '</resources>',
+            `    <color name="splashBackground">${splash.backgroundColor}</color>\n</resources>`
+        );
+        await fs.writeFile(colorsPath, colors);
+
+        // Perceived brightness decides dark or light text
+        const textColor = isLightColor(splash.backgroundColor) ? '#212121' : '#FFFFFF';
+
+        layout = layout
+            .replace('android:background="?android:attr/colorBackground"', 'android:background="@color/splashBackground"')
+            .replace(/android:textColor="\?android:attr\/textColor(?:Primary|Secondary)"/g, `android:textColor="${textColor}"`);
+    }
+
+    if (splash.logoPath && await fs.pathExists(splash.logoPath)) {
+        if (!sharp) {
+            console.warn('⚠️ Sharp not available, using app icon on splash');
+        } else {
+            const logoPath = path.join(resDir, 'drawable-nodpi', 'splash_logo.png');
+            await fs.ensureDir(path.dirname(logoPath));
+            await sharp(splash.logoPath)
+                .resize(420, 420, { fit: 'inside' })
+                .png()
+                .toFile(logoPath);
+            layout = layout.replace('android:src="@mipmap/ic_launcher"', 'android:src="@drawable/splash_logo"');
+        }
+    }
+
+    if (splash.tagline) {
+        const stringsPath = path.join(resDir, 'values', 'strings.xml');
+        let strings = await fs.readFile(stringsPath, 'utf8');
+        strings = strings.replace(
+            /<string name="splash_tagline">.*<\/string>/,
+            `<string name="splash_tagline">${escapeXml(splash.tagline)}</string>`
+        );
+        await fs.writeFile(stringsPath, strings);
+
+        layout = layout.replace(/(android:id="@\+id\/splashTagline"[^>]*?) android:visibility="gone"/, '$1');
+    }
+
+    if (splash.font) {
+        const weight = SPLASH_FONTS[splash.font];
+        if (!weight) {
+            throw new Error(`Font splash tidak dikenal: ${splash.font}`);
+        }
+
+        await fs.copy(
+            path.join(__dirname, 'Smooch_Sans', 'static', `SmoochSans-${weight}.ttf`),
+            path.join(resDir, 'font', 'splash_font.ttf')
+        );
+
+        // The font file carries the weight, so drop the synthetic bold
+        layout = layout
+            .replace(/(android:id="@\+id\/(?:splashAppName|splashTagline)")/g, '$1 android:fontFamily="@font/splash_font"')
+            .replace(/(android:id="@\+id\/splashAppName"[^>]*?) android:textStyle="bold"/, '$1');
+    }
+
+    await fs.writeFile(layoutPath, layout);
+}
+
+/**
+ * Make MainActivity the launcher activity instead of SplashActivity
+ */
+async function moveLauncherToMainActivity(projectDir) {
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+
+    const launcherFilter = manifest.match(/\n            <intent-filter>\n[\s\S]*?android\.intent\.category\.LAUNCHER[\s\S]*?<\/intent-filter>/);
+    if (!launcherFilter) {
+        throw new Error('Launcher intent-filter tidak ditemukan di AndroidManifest.xml');
+    }
+
+    manifest = manifest
+        .replace(launcherFilter[0], '')
+        .replace(/(android:name="\.SplashActivity"[\s\S]*?android:exported=)"true"/, '$1"false"')
+        .replace(
+            /(android:name="\.MainActivity"[\s\S]*?android:exported=)"false">/,
+            `$1"true">${launcherFilter[0]}`
+        );
+    await fs.writeFile(manifestPath, manifest);
+}
+
+function isValidSplashDuration(duration) {
+    return Number.isInteger(duration) && duration >= 500 && duration <= 10000;
+}
+
+/**
+ * Copy a static site (folder with index.html) into assets/www and serve it via WebViewAssetLoader
+ */
+async function bundleStaticSite(projectDir, siteDir) {
+    if (!await fs.pathExists(path.join(siteDir, 'index.html'))) {
+        throw new Error('index.html tidak ditemukan di project');
+    }
+
+    await fs.copy(siteDir, path.join(projectDir, 'app', 'src', 'main', 'assets', 'www'));
+    await setJavaConstants(projectDir, 'MainActivity.java', { USE_LOCAL_SITE: true });
+}
+
+/**
+ * Write assets/offline.html, shown by MainActivity when the site fails to load.
+ * Uses config.offlinePagePath if given, otherwise fills the bundled template
+ * with the app name, theme color and icon.
+ */
+async function updateOfflinePage(projectDir, config, translations = null) {
+    const offlinePath = path.join(projectDir, 'app', 'src', 'main', 'assets', 'offline.html');
+
+    if (config.offlinePagePath && await fs.pathExists(config.offlinePagePath)) {
+        await fs.copy(config.offlinePagePath, offlinePath);
+        return;
+    }
+
+    const themeColor = /^#[0-9a-fA-F]{6}$/.test(config.themeColor || '') ? config.themeColor : '#2196F3';
+    const appName = escapeHtml(config.appName);
+
+    // Embed the icon so the page works without network; fall back to the app's initial
+    let icon = escapeHtml(config.appName.trim().charAt(0).toUpperCase());
+    if (sharp && config.iconPath && await fs.pathExists(config.iconPath)) {
+        try {
+            const png = await sharp(config.iconPath)
+                .resize(192, 192, { fit: 'cover' })
+                .png()
+                .toBuffer();
+            icon = `<img src="data:image/png;base64,${png.toString('base64')}" alt="">`;
+        } catch (error) {
+            console.warn('⚠️ Offline page icon failed, using initial:', error.message);
+        }
+    }
+
+    let content = await fs.readFile(offlinePath, 'utf8');
+    content = content
+        .replace(/APP_NAME_PLACEHOLDER/g, appName)
+        .replace(/THEME_COLOR_PLACEHOLDER/g, themeColor)
+        .replace('ICON_PLACEHOLDER', icon)
+        .replace('TRANSLATIONS_PLACEHOLDER', () => JSON.stringify(getOfflineTranslations(translations)).replace(/</g, '\\u003c'));
+    await fs.writeFile(offlinePath, content);
+}
+
+/**
+ * Offline page texts per language tag (pt-rBR -> pt-BR, as in navigator.languages)
+ */
+function getOfflineTranslations(translations) {
+    const result = {};
+    for (const [qualifier, strings] of Object.entries(translations || {})) {
+        const texts = Object.fromEntries(Object.entries(strings).filter(([key]) => key.startsWith('offline_')));
+        if (Object.keys(texts).length > 0) {
+            result[qualifier.replace('-r', '-')] = texts;
+        }
+    }
+    return result;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Update package name
  */
@@ -248,6 +1390,390 @@ async function updatePackageName(projectDir, newPackageName) {
     }
 }
 
+/**
+ * Add <uses-permission> entries and enable matching permission handling in MainActivity
+ * @param {string[]} permissions - Keys of PERMISSIONS (camera, microphone, ...)
+ */
+async function updatePermissions(projectDir, permissions = []) {
+    if (!permissions || permissions.length === 0) return;
+
+    const unknown = permissions.filter(p => !PERMISSIONS[p]);
+    if (unknown.length > 0) {
+        throw new Error(`Permission tidak dikenal: ${unknown.join(', ')}`);
+    }
+
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+
+    const entries = [];
+    for (const key of new Set(permissions)) {
+        for (const { name, maxSdk } of PERMISSIONS[key].manifest) {
+            const maxSdkAttr = maxSdk ? ` android:maxSdkVersion="${maxSdk}"` : '';
+            entries.push(`    <uses-permission android:name="${name}"${maxSdkAttr} />`);
+        }
+        for (const feature of PERMISSIONS[key].features || []) {
+            entries.push(`    <uses-feature android:name="${feature}" android:required="false" />`);
+        }
+    }
+
+    manifest = manifest.replace(
+        /(    <uses-permission android:name="android\.permission\.ACCESS_WIFI_STATE" \/>\n)/,
+        `$1${entries.join('\n')}\n`
+    );
+    await fs.writeFile(manifestPath, manifest);
+
+    const constants = {};
+    for (const [key, { constant }] of Object.entries(PERMISSIONS)) {
+        constants[constant] = permissions.includes(key);
+    }
+    await setJavaConstants(projectDir, 'MainActivity.java', constants);
+}
+
+/**
+ * Enable file chooser in MainActivity and register the FileProvider + camera app query used for camera capture
+ */
+async function enableFileUpload(projectDir) {
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = addFileProvider(await fs.readFile(manifestPath, 'utf8'));
+
+    // Android 11+ package visibility: without this, resolveActivity() never finds a camera app
+    if (!manifest.includes('android.media.action.IMAGE_CAPTURE')) {
+        manifest = manifest.replace('    <application', [
+            '    <!-- Camera apps for photo capture in file uploads -->',
+            '    <queries>',
+            '        <intent>',
+            '            <action android:name="android.media.action.IMAGE_CAPTURE" />',
+            '        </intent>',
+            '    </queries>',
+            '',
+            '    <application'
+        ].join('\n'));
+    }
+    await fs.writeFile(manifestPath, manifest);
+
+    await setJavaConstants(projectDir, 'MainActivity.java', { ENABLE_FILE_UPLOAD: true });
+}
+
+/**
+ * FileProvider for files handed to other apps (camera capture, update installer), added once
+ */
+function addFileProvider(manifest) {
+    if (manifest.includes('androidx.core.content.FileProvider')) return manifest;
+
+    const provider = [
+        '        <!-- Files shared with other apps (camera capture, update installer) -->',
+        '        <provider',
+        '            android:name="androidx.core.content.FileProvider"',
+        '            android:authorities="${applicationId}.fileprovider"',
+        '            android:exported="false"',
+        '            android:grantUriPermissions="true">',
+        '            <meta-data',
+        '                android:name="android.support.FILE_PROVIDER_PATHS"',
+        '                android:resource="@xml/file_paths" />',
+        '        </provider>',
+        '',
+        '    </application>'
+    ].join('\n');
+
+    return manifest.replace('    </application>', provider);
+}
+
+/**
+ * Check <server>/api/apps/<package>/latest on launch and offer to install a newer build
+ * @param {string} serverUrl - Public URL of this Web2APK server (WEB_URL)
+ */
+async function enableUpdateCheck(projectDir, packageName, serverUrl) {
+    // The APK and its checksum come from the same server, so only TLS protects them from being swapped
+    if (!/^https:\/\/[^\s/]+/i.test(serverUrl)) {
+        throw new Error(`URL server update harus https: ${serverUrl}`);
+    }
+
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+    manifest = manifest.replace(
+        /(    <uses-permission android:name="android\.permission\.ACCESS_WIFI_STATE" \/>\n)/,
+        '$1    <uses-permission android:name="android.permission.REQUEST_INSTALL_PACKAGES" />\n'
+    );
+    await fs.writeFile(manifestPath, addFileProvider(manifest));
+
+    await setJavaConstants(projectDir, 'MainActivity.java', {
+        UPDATE_URL: `${serverUrl.trim().replace(/\/+$/, '')}/api/apps/${packageName}/latest`
+    });
+}
+
+/**
+ * Enable the DownloadManager download listener in MainActivity
+ */
+async function enableDownloads(projectDir) {
+    const manifestPath = path.join(projectDir, 'app', 'src', 'main', 'AndroidManifest.xml');
+    let manifest = await fs.readFile(manifestPath, 'utf8');
+
+    // Android 9 and below need write access to save into Downloads (storage permission may already add it)
+    if (!manifest.includes('android.permission.WRITE_EXTERNAL_STORAGE')) {
+        manifest = manifest.replace(
+            /(    <uses-permission android:name="android\.permission\.ACCESS_WIFI_STATE" \/>\n)/,
+            '$1    <uses-permission android:name="android.permission.WRITE_EXTERNAL_STORAGE" android:maxSdkVersion="28" />\n'
+        );
+        await fs.writeFile(manifestPath, manifest);
+    }
+
+    await setJavaConstants(projectDir, 'MainActivity.java', { ENABLE_DOWNLOADS: true });
+}
+
+/**
+ * Replace `private static final` constants in a template Java file
+ * @param {string} fileName - File inside the template's java package dir
+ * @param {Object} constants - Constant name -> new value (string, number or boolean)
+ */
+async function setJavaConstants(projectDir, fileName, constants) {
+    const filePath = path.join(projectDir, 'app', 'src', 'main', 'java', 'com', 'web2apk', 'app', fileName);
+    let content = await fs.readFile(filePath, 'utf8');
+
+    for (const [name, value] of Object.entries(constants)) {
+        const pattern = new RegExp(`(private static final [\\w.<>\\[\\]]+ ${name} = )[^;]*;`);
+        if (!pattern.test(content)) {
+            throw new Error(`Konstanta ${name} tidak ditemukan di ${fileName}`);
+        }
+
+        const literal = typeof value === 'string' ? JSON.stringify(value) : String(value);
+        content = content.replace(pattern, (match, prefix) => `${prefix}${literal};`);
+    }
+
+    await fs.writeFile(filePath, content);
+}
+
+/**
+ * Update versionCode and versionName in app/build.gradle
+ */
+async function updateVersion(projectDir, versionCode, versionName) {
+    const hasCode = versionCode !== undefined && versionCode !== null && versionCode !== '';
+    const hasName = versionName !== undefined && versionName !== null && versionName !== '';
+    if (!hasCode && !hasName) return;
+
+    if (hasCode && !isValidVersionCode(versionCode)) {
+        throw new Error(`Version code tidak valid: ${versionCode}`);
+    }
+    if (hasName && !isValidVersionName(versionName)) {
+        throw new Error(`Version name tidak valid: ${versionName}`);
+    }
+
+    const buildGradlePath = path.join(projectDir, 'app', 'build.gradle');
+    let buildGradle = await fs.readFile(buildGradlePath, 'utf8');
+
+    if (hasCode) {
+        buildGradle = buildGradle.replace(/versionCode \d+/, `versionCode ${Number(versionCode)}`);
+    }
+    if (hasName) {
+        buildGradle = buildGradle.replace(/versionName ".*"/, `versionName "${versionName}"`);
+    }
+
+    await fs.writeFile(buildGradlePath, buildGradle);
+}
+
+/**
+ * Inject release signingConfig into app/build.gradle. Only the alias is written: the keystore path and
+ * passwords are read from SIGNING_ENV variables, which runGradle sets for the Gradle process
+ * @param {Object} signing - { keyAlias }
+ */
+async function updateSigningConfig(projectDir, signing) {
+    const buildGradlePath = path.join(projectDir, 'app', 'build.gradle');
+    let buildGradle = await fs.readFile(buildGradlePath, 'utf8');
+
+    const signingBlock = [
+        '    signingConfigs {',
+        '        release {',
+        `            storeFile file(System.getenv('${SIGNING_ENV.storeFile}'))`,
+        `            storePassword System.getenv('${SIGNING_ENV.storePassword}')`,
+        `            keyAlias '${escapeGroovy(signing.keyAlias)}'`,
+        `            keyPassword System.getenv('${SIGNING_ENV.keyPassword}')`,
+        '        }',
+        '    }',
+        '',
+        '    buildTypes {',
+        '        release {',
+        '            signingConfig signingConfigs.release'
+    ].join('\n');
+
+    buildGradle = buildGradle.replace(/    buildTypes \{\n        release \{/, signingBlock);
+    await fs.writeFile(buildGradlePath, buildGradle);
+}
+
+// Release signing secrets reach Gradle through the environment, never through files in the project
+const SIGNING_ENV = {
+    storeFile: 'W2A_STORE_FILE',
+    storePassword: 'W2A_STORE_PASS',
+    keyPassword: 'W2A_KEY_PASS'
+};
+
+// App theme: follow the device dark mode or force one
+const THEME_MODES = ['system', 'light', 'dark'];
+
+// webview: MainActivity wrapper (android-template); twa: Trusted Web Activity (android-template-twa)
+const BUILD_MODES = ['webview', 'twa'];
+const TWA_SPLASH_SIZE = 288;
+
+// Entry point of a bundled static site (assets/www), served by WebViewAssetLoader
+const LOCAL_SITE_URL = 'https://appassets.androidplatform.net/assets/www/index.html';
+
+// Web App Manifest display modes
+const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+
+// Orientation option -> android:screenOrientation (sensor* allows both portrait / both landscape)
+// 'auto' leaves it unset so the system rotation lock applies; 'sensor' rotates even when locked
+const ORIENTATIONS = {
+    portrait: 'sensorPortrait',
+    landscape: 'sensorLandscape',
+    sensor: 'fullSensor'
+};
+
+// Where links to hosts outside the allowlist open
+const EXTERNAL_LINK_MODES = ['customtab', 'browser', 'inapp'];
+
+// Schemes always handed to other apps (template default), and schemes the WebView must keep
+const DEFAULT_EXTERNAL_SCHEMES = ['tel', 'mailto', 'sms', 'whatsapp', 'intent'];
+const IN_APP_SCHEMES = ['http', 'https', 'file', 'javascript', 'data', 'blob', 'about', 'web2apk'];
+
+// Native features the JavaScript bridge can expose (WebAppBridge.java)
+const BRIDGE_CAPABILITIES = ['share', 'toast', 'vibrate', 'clipboard', 'notification', 'device', 'external'];
+const DEFAULT_BRIDGE_NAME = 'Web2Apk';
+const BRIDGE_HELPER_FILE = 'web2apk-bridge.js';
+const RESERVED_BRIDGE_NAMES = ['window', 'document', 'navigator', 'location', 'history', 'console', 'self', 'top', 'parent', 'web2apk'];
+
+// Template strings that can be translated per locale (offline_* live in the offline page, not strings.xml)
+const TRANSLATABLE_STRINGS = [
+    'app_name', 'loading', 'splash_tagline',
+    'offline_title', 'offline_message', 'offline_retry',
+    'download_started', 'download_failed', 'download_unsupported', 'storage_permission_required', 'no_app_for_link',
+    'drawer_open', 'drawer_close', 'share_app_text',
+    'update_available_title', 'update_available_message', 'update_now', 'update_later', 'update_downloading', 'update_failed'
+];
+const MAX_TRANSLATION_LOCALES = 30;
+const MAX_TRANSLATION_LENGTH = 200;
+
+// Extra request headers per app (X-App-Id, API key, ...)
+const MAX_EXTRA_HEADERS = 10;
+
+// Bottom navigation tabs (Material guidelines: 3-5 destinations)
+const MIN_TABS = 3;
+const MAX_TABS = 5;
+const MAX_TAB_LABEL_LENGTH = 20;
+
+// Side drawer menu
+const DRAWER_ACTIONS = ['url', 'external', 'share', 'divider'];
+const MAX_DRAWER_ITEMS = 20;
+const MAX_DRAWER_LABEL_LENGTH = 40;
+
+// Custom CSS / JS injected into the site, per file
+const MAX_INJECT_SIZE = 100 * 1024;
+
+// Launcher icon densities (scale relative to mdpi)
+const ICON_DENSITIES = [
+    { name: 'mipmap-mdpi', scale: 1 },
+    { name: 'mipmap-hdpi', scale: 1.5 },
+    { name: 'mipmap-xhdpi', scale: 2 },
+    { name: 'mipmap-xxhdpi', scale: 3 },
+    { name: 'mipmap-xxxhdpi', scale: 4 }
+];
+
+// Adaptive icon layers are 108dp; launchers mask them to roughly the inner 72dp and
+// only guarantee a 66dp circle, so 20% padding per side keeps the logo uncropped
+const ADAPTIVE_LAYER_DP = 108;
+const DEFAULT_ICON_PADDING = 20;
+
+// Splash modes: fixed duration (SplashActivity), overlay until first page load, or no splash
+const SPLASH_MODES = ['timed', 'pageload', 'none'];
+
+// Bundled Smooch Sans weights (src/builder/Smooch_Sans/static/SmoochSans-<Weight>.ttf)
+const SPLASH_FONTS = {
+    thin: 'Thin',
+    extralight: 'ExtraLight',
+    light: 'Light',
+    regular: 'Regular',
+    medium: 'Medium',
+    semibold: 'SemiBold',
+    bold: 'Bold',
+    extrabold: 'ExtraBold',
+    black: 'Black'
+};
+
+// Runtime permissions users can enable: manifest entries + MainActivity switch
+const PERMISSIONS = {
+    camera: {
+        constant: 'ENABLE_CAMERA',
+        manifest: [{ name: 'android.permission.CAMERA' }],
+        features: ['android.hardware.camera']
+    },
+    microphone: {
+        constant: 'ENABLE_MICROPHONE',
+        manifest: [
+            { name: 'android.permission.RECORD_AUDIO' },
+            { name: 'android.permission.MODIFY_AUDIO_SETTINGS' }
+        ],
+        features: ['android.hardware.microphone']
+    },
+    location: {
+        constant: 'ENABLE_LOCATION',
+        manifest: [
+            { name: 'android.permission.ACCESS_FINE_LOCATION' },
+            { name: 'android.permission.ACCESS_COARSE_LOCATION' }
+        ],
+        features: ['android.hardware.location.gps']
+    },
+    storage: {
+        constant: 'ENABLE_STORAGE',
+        manifest: [
+            { name: 'android.permission.READ_EXTERNAL_STORAGE', maxSdk: 32 },
+            { name: 'android.permission.WRITE_EXTERNAL_STORAGE', maxSdk: 28 },
+            { name: 'android.permission.READ_MEDIA_IMAGES' },
+            { name: 'android.permission.READ_MEDIA_VIDEO' }
+        ]
+    },
+    notifications: {
+        constant: 'ENABLE_NOTIFICATIONS',
+        manifest: [{ name: 'android.permission.POST_NOTIFICATIONS' }]
+    }
+};
+
+// Java reserved words can't be used as package segments
+const JAVA_KEYWORDS = new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+    'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+    'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+    'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp',
+    'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+    'volatile', 'while', 'true', 'false', 'null', '_'
+]);
+
+/**
+ * Validate package name against Java package rules
+ * At least two segments, each starting with a letter, no reserved words
+ */
+function isValidPackageName(packageName) {
+    if (typeof packageName !== 'string' || packageName.length > 150) return false;
+
+    const segments = packageName.split('.');
+    if (segments.length < 2) return false;
+
+    return segments.every(segment =>
+        /^[a-zA-Z][a-zA-Z0-9_]*$/.test(segment) && !JAVA_KEYWORDS.has(segment)
+    );
+}
+
+/**
+ * Validate versionCode (positive integer, Play Store limit 2100000000)
+ */
+function isValidVersionCode(versionCode) {
+    const num = Number(versionCode);
+    return Number.isInteger(num) && num >= 1 && num <= 2100000000;
+}
+
+/**
+ * Validate versionName (short, no quotes or line breaks)
+ */
+function isValidVersionName(versionName) {
+    return typeof versionName === 'string' && /^[^"'\\\r\n]{1,50}$/.test(versionName);
+}
+
 /**
  * Generate unique package name from app name
  */
@@ -273,6 +1799,42 @@ function escapeXml(str) {
         .replace(/'/g, '&apos;');
 }
 
+/**
+ * Escape for a strings.xml value (aapt2 also needs quotes and apostrophes backslash-escaped)
+ */
+function escapeStringResource(str) {
+    return escapeXml(str).replace(/&quot;|&apos;/g, '\\$&');
+}
+
+/**
+ * Escape a value for a single-quoted Groovy string
+ */
+function escapeGroovy(str) {
+    return String(str)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'");
+}
+
+/**
+ * Perceived brightness (YIQ) above the midpoint: dark text / icons go on top
+ */
+function isLightColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150;
+}
+
+/**
+ * Blend two #RRGGBB colors (amount 0 = base, 1 = other)
+ */
+function mixColors(base, other, amount) {
+    const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const [from, to] = [channels(base), channels(other)];
+    return '#' + from
+        .map((value, i) => Math.round(value + (to[i] - value) * amount).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+}
+
 /**
  * Darken a hex color
  */
@@ -285,4 +1847,38 @@ function darkenColor(hex, percent) {
     return '#' + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
 }
 
-module.exports = { generateProject };
+module.exports = {
+    generateProject,
+    SIGNING_ENV,
+    BUILD_MODES,
+    THEME_MODES,
+    PERMISSIONS,
+    DISPLAY_MODES,
+    ORIENTATIONS,
+    SPLASH_MODES,
+    SPLASH_FONTS,
+    EXTERNAL_LINK_MODES,
+    BRIDGE_CAPABILITIES,
+    BRIDGE_HELPER_FILE,
+    isValidBridgeName,
+    isValidDeepLinkPath,
+    normalizeDomain,
+    isValidUrlScheme,
+    isValidUserAgent,
+    parseRequestHeaders,
+    MAX_INJECT_SIZE,
+    isValidInjectPattern,
+    NAV_ICONS,
+    MAX_TABS,
+    parseTabs,
+    DRAWER_ACTIONS,
+    parseDrawerMenu,
+    TRANSLATABLE_STRINGS,
+    parseTranslations,
+    isValidSplashDuration,
+    isValidIconPadding,
+    isValidTextZoom,
+    isValidPackageName,
+    isValidVersionCode,
+    isValidVersionName
+};
@@ -0,0 +1,113 @@
+/**
+ * web2apk-bridge.js - native features for APP_NAME_PLACEHOLDER
+ *
+ * Include this file on your site:
+ *     <script src="/web2apk-bridge.js"></script>
+ *
+ * Enabled in this build: CAPABILITIES_PLACEHOLDER
+ *
+ * Outside the app (normal browser), or in a frame from another site, web2apk.isApp
+ * is false and every call resolves to a browser fallback or rejects, so the same
+ * page works everywhere.
+ */
+(function (global) {
+    'use strict';
+
+    // Injected by the app only into frames from the site's own origin
+    var native = global[BRIDGE_NAME_PLACEHOLDER];
+    var CAPABILITIES = CAPABILITY_LIST_PLACEHOLDER;
+    var pending = {};
+    var nextId = 1;
+
+    if (native) {
+        native.addEventListener('message', function (event) {
+            var response;
+            try {
+                response = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+
+            var request = pending[response.id];
+            if (!request) return;
+            delete pending[response.id];
+
+            if (response.error) {
+                request.reject(new Error('web2apk: ' + response.error));
+            } else {
+                request.resolve(response.result);
+            }
+        });
+    }
+
+    function readCapabilities() {
+        return native ? CAPABILITIES.slice() : [];
+    }
+
+    function has(capability) {
+        return readCapabilities().indexOf(capability) !== -1;
+    }
+
+    function call(capability, method, args) {
+        if (!has(capability)) {
+            return Promise.reject(new Error('web2apk: "' + capability + '" tidak tersedia'));
+        }
+        return new Promise(function (resolve, reject) {
+            var id = nextId++;
+            pending[id] = { resolve: resolve, reject: reject };
+            native.postMessage(JSON.stringify({ id: id, method: method, args: args }));
+        });
+    }
+
+    global.web2apk = {
+        isApp: !!native,
+
+        /** Capabilities available on the current page, e.g. ["share", "toast"] */
+        capabilities: readCapabilities,
+        has: has,
+
+        /** Share sheet; falls back to navigator.share in browsers that support it */
+        share: function (options) {
+            options = options || {};
+            if (!has('share') && global.navigator && global.navigator.share) {
+                return global.navigator.share(options);
+            }
+            return call('share', 'share', [options.text || '', options.url || '', options.title || '']);
+        },
+
+        toast: function (message, long) {
+            return call('toast', 'toast', [String(message), !!long]);
+        },
+
+        /** Vibrate for up to 5000 ms */
+        vibrate: function (milliseconds) {
+            return call('vibrate', 'vibrate', [milliseconds || 200]);
+        },
+
+        copyToClipboard: function (text) {
+            if (!has('clipboard') && global.navigator && global.navigator.clipboard) {
+                return global.navigator.clipboard.writeText(String(text));
+            }
+            return call('clipboard', 'copyToClipboard', [String(text)]);
+        },
+
+        /** Local notification; resolves false when the user denied notifications */
+        notify: function (title, body) {
+            return call('notification', 'showNotification', [title || '', body || '']);
+        },
+
+        /** { platform, osVersion, sdkInt, manufacturer, model, language, packageName, appVersion, versionCode } */
+        getDeviceInfo: function () {
+            return call('device', 'getDeviceInfo', []);
+        },
+
+        /** Open a link in the browser (or tel:, mailto:, ... in their apps) instead of the app */
+        openExternal: function (url) {
+            if (!has('external') && !native) {
+                global.open(url, '_blank');
+                return Promise.resolve();
+            }
+            return call('external', 'openExternal', [String(url)]);
+        }
+    };
+})(window);
@@ -3,11 +3,21 @@ const fs = require('fs-extra');
 const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const AdmZip = require('adm-zip');
+const { buildApk } = require('./apkBuilder');
+
+// File that marks the project root for each project type
+const PROJECT_MARKERS = {
+    flutter: 'pubspec.yaml',
+    android: 'build.gradle',
+    html: 'index.html'
+};
 
 /**
- * Build APK from ZIP project (Flutter or Android Studio)
+ * Build APK from ZIP project (Flutter, Android Studio or static HTML site)
+ * @param {string} outputFormat - 'apk', 'aab' or 'both'
+ * @param {Object} options - Static site only: { appName, themeColor, iconPath, keystoreOwner }
  */
-async function buildFromZip(zipPath, projectType, buildType, onProgress) {
+async function buildFromZip(zipPath, projectType, buildType, onProgress, outputFormat = 'apk', options = {}) {
     const jobId = uuidv4();
     const tempDir = path.join(__dirname, '..', '..', 'temp', jobId);
 
@@ -19,7 +29,7 @@ async function buildFromZip(zipPath, projectType, buildType, onProgress) {
         const zip = new AdmZip(zipPath);
         zip.extractAllTo(tempDir, true);
 
-        // Find project root (look for build.gradle or pubspec.yaml)
+        // Find project root (look for build.gradle, pubspec.yaml or index.html)
         const projectRoot = await findProjectRoot(tempDir, projectType);
         if (!projectRoot) {
             throw new Error(`Invalid ${projectType} project. Required files not found.`);
@@ -28,11 +38,13 @@ async function buildFromZip(zipPath, projectType, buildType, onProgress) {
         onProgress('🔍 Project detected: ' + projectType);
 
         // Build based on project type
-        let apkPath;
+        let artifacts;
         if (projectType === 'flutter') {
-            apkPath = await buildFlutter(projectRoot, buildType, onProgress);
+            artifacts = await buildFlutter(projectRoot, buildType, onProgress, outputFormat);
+        } else if (projectType === 'html') {
+            artifacts = await buildStaticSite(projectRoot, buildType, onProgress, outputFormat, options);
         } else {
-            apkPath = await buildAndroid(projectRoot, buildType, onProgress);
+            artifacts = await buildAndroid(projectRoot, buildType, onProgress, outputFormat);
         }
 
         // Clean up ZIP file
@@ -40,7 +52,8 @@ async function buildFromZip(zipPath, projectType, buildType, onProgress) {
 
         return {
             success: true,
-            apkPath: apkPath,
+            apkPath: artifacts.apkPath,
+            aabPath: artifacts.aabPath,
             buildDir: tempDir
         };
 
@@ -60,7 +73,7 @@ async function buildFromZip(zipPath, projectType, buildType, onProgress) {
  * Find project root directory
  */
 async function findProjectRoot(dir, projectType) {
-    const targetFile = projectType === 'flutter' ? 'pubspec.yaml' : 'build.gradle';
+    const targetFile = PROJECT_MARKERS[projectType];
 
     // Check current directory
     if (await fs.pathExists(path.join(dir, targetFile))) {
@@ -85,7 +98,7 @@ async function findProjectRoot(dir, projectType) {
 /**
  * Build Flutter project
  */
-async function buildFlutter(projectDir, buildType, onProgress) {
+async function buildFlutter(projectDir, buildType, onProgress, outputFormat = 'apk') {
     const homeDir = process.env.HOME || process.env.USERPROFILE || '/root';
 
     // ============================================
@@ -175,12 +188,11 @@ async function buildFlutter(projectDir, buildType, onProgress) {
     await runCommand('flutter', ['pub', 'get'], projectDir, onProgress);
 
     // ============================================
-    // STEP 4: Build APK
+    // STEP 4: Build APK and/or App Bundle
     // ============================================
-    onProgress('🔨 Building Flutter APK (this may take a while)...');
-    const buildArgs = buildType === 'release'
-        ? ['build', 'apk', '--release', '--no-tree-shake-icons']
-        : ['build', 'apk', '--debug'];
+    const targets = [];
+    if (outputFormat !== 'aab') targets.push('apk');
+    if (outputFormat !== 'apk') targets.push('appbundle');
 
     // Start keep-alive progress updates during build
     let keepAliveStep = 0;
@@ -200,40 +212,67 @@ async function buildFlutter(projectDir, buildType, onProgress) {
     }, 15000); // Update every 15 seconds
 
     try {
-        await runCommand('flutter', buildArgs, projectDir, (output) => {
-            // Pass real output to progress callback
-            if (output && output.trim()) {
-                onProgress(output);
-            }
-        });
+        for (const target of targets) {
+            onProgress(target === 'apk'
+                ? '🔨 Building Flutter APK (this may take a while)...'
+                : '🔨 Building Flutter App Bundle (this may take a while)...');
+
+            const buildArgs = buildType === 'release'
+                ? ['build', target, '--release', '--no-tree-shake-icons']
+                : ['build', target, '--debug'];
+
+            await runCommand('flutter', buildArgs, projectDir, (output) => {
+                // Pass real output to progress callback
+                if (output && output.trim()) {
+                    onProgress(output);
+                }
+            });
+        }
     } finally {
         clearInterval(keepAliveInterval);
     }
 
     onProgress('✅ Build complete! Locating APK...');
 
+    const outputDir = path.join(__dirname, '..', '..', 'output');
+    await fs.ensureDir(outputDir);
+    const timestamp = Date.now();
+    let finalApkPath = null;
+    let finalAabPath = null;
+
     // Find APK
-    const apkDir = path.join(projectDir, 'build', 'app', 'outputs', 'flutter-apk');
-    const apkName = buildType === 'release' ? 'app-release.apk' : 'app-debug.apk';
-    const apkPath = path.join(apkDir, apkName);
+    if (targets.includes('apk')) {
+        const apkDir = path.join(projectDir, 'build', 'app', 'outputs', 'flutter-apk');
+        const apkName = buildType === 'release' ? 'app-release.apk' : 'app-debug.apk';
+        const apkPath = path.join(apkDir, apkName);
+
+        if (!await fs.pathExists(apkPath)) {
+            throw new Error('APK file not found after build');
+        }
 
-    if (!await fs.pathExists(apkPath)) {
-        throw new Error('APK file not found after build');
+        finalApkPath = path.join(outputDir, `flutter_${timestamp}.apk`);
+        await fs.copy(apkPath, finalApkPath);
     }
 
-    // Copy to output
-    const outputDir = path.join(__dirname, '..', '..', 'output');
-    await fs.ensureDir(outputDir);
-    const finalPath = path.join(outputDir, `flutter_${Date.now()}.apk`);
-    await fs.copy(apkPath, finalPath);
+    // Find App Bundle
+    if (targets.includes('appbundle')) {
+        const aabPath = path.join(projectDir, 'build', 'app', 'outputs', 'bundle', buildType, `app-${buildType}.aab`);
+
+        if (!await fs.pathExists(aabPath)) {
+            throw new Error('AAB file not found after build');
+        }
 
-    return finalPath;
+        finalAabPath = path.join(outputDir, `flutter_${timestamp}.aab`);
+        await fs.copy(aabPath, finalAabPath);
+    }
+
+    return { apkPath: finalApkPath, aabPath: finalAabPath };
 }
 
 /**
  * Build Android (Gradle) project
  */
-async function buildAndroid(projectDir, buildType, onProgress) {
+async function buildAndroid(projectDir, buildType, onProgress, outputFormat = 'apk') {
     const isWindows = process.platform === 'win32';
     const gradleCmd = isWindows ? 'gradlew.bat' : './gradlew';
     const gradlePath = path.join(projectDir, gradleCmd);
@@ -248,11 +287,14 @@ async function buildAndroid(projectDir, buildType, onProgress) {
     }
 
     onProgress('🔨 Running Gradle build...');
-    const buildTask = buildType === 'release' ? 'assembleRelease' : 'assembleDebug';
+    const variant = buildType === 'release' ? 'Release' : 'Debug';
+    const buildTasks = [];
+    if (outputFormat !== 'aab') buildTasks.push(`assemble${variant}`);
+    if (outputFormat !== 'apk') buildTasks.push(`bundle${variant}`);
 
     // Standard build flags for VPS/Desktop
     const gradleFlags = [
-        buildTask,
+        ...buildTasks,
         '--no-daemon',
         '--no-watch-fs',
         '--no-build-cache',
@@ -266,32 +308,83 @@ async function buildAndroid(projectDir, buildType, onProgress) {
         await runCommand(gradlePath, gradleFlags, projectDir);
     }
 
-    // Find APK
+    // Find outputs
     onProgress('📦 Locating APK file...');
-    const apkPath = await findApk(projectDir, buildType);
+    const outputDir = path.join(__dirname, '..', '..', 'output');
+    await fs.ensureDir(outputDir);
+    const timestamp = Date.now();
+    let finalApkPath = null;
+    let finalAabPath = null;
+
+    if (outputFormat !== 'aab') {
+        const apkPath = await findApk(projectDir, buildType);
+        if (!apkPath) {
+            throw new Error('APK file not found after build');
+        }
 
-    if (!apkPath) {
-        throw new Error('APK file not found after build');
+        finalApkPath = path.join(outputDir, `android_${timestamp}.apk`);
+        await fs.copy(apkPath, finalApkPath);
     }
 
-    // Copy to output
-    const outputDir = path.join(__dirname, '..', '..', 'output');
-    await fs.ensureDir(outputDir);
-    const finalPath = path.join(outputDir, `android_${Date.now()}.apk`);
-    await fs.copy(apkPath, finalPath);
+    if (outputFormat !== 'apk') {
+        const aabPath = await findApk(projectDir, buildType, '.aab');
+        if (!aabPath) {
+            throw new Error('AAB file not found after build');
+        }
+
+        finalAabPath = path.join(outputDir, `android_${timestamp}.aab`);
+        await fs.copy(aabPath, finalAabPath);
+    }
+
+    return { apkPath: finalApkPath, aabPath: finalAabPath };
+}
 
-    return finalPath;
+/**
+ * Build static site (HTML/CSS/JS) into the WebView template, served offline from assets
+ */
+async function buildStaticSite(siteDir, buildType, onProgress, outputFormat = 'apk', options = {}) {
+    const appName = options.appName || await readSiteTitle(siteDir) || 'Web App';
+    onProgress(`🌐 Packaging static site: ${appName}`);
+
+    const result = await buildApk({
+        appName,
+        themeColor: options.themeColor || '#2196F3',
+        iconPath: options.iconPath || null,
+        siteDir,
+        outputFormat,
+        // Release signing needs the user's keystore; otherwise the APK stays debug-signed
+        keystoreOwner: buildType === 'release' ? options.keystoreOwner || null : null
+    }, onProgress);
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    // Outputs were already copied to output/, the generated project is no longer needed
+    await fs.remove(result.buildDir).catch(() => { });
+
+    return { apkPath: result.apkPath, aabPath: result.aabPath };
+}
+
+/**
+ * Read <title> from the site's index.html
+ */
+async function readSiteTitle(siteDir) {
+    const html = await fs.readFile(path.join(siteDir, 'index.html'), 'utf8').catch(() => '');
+    const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+    return match ? match[1].trim().slice(0, 50) : null;
 }
 
 /**
- * Find APK file in build outputs
+ * Find APK (or AAB with ext = '.aab') file in build outputs
  */
-async function findApk(projectDir, buildType) {
+async function findApk(projectDir, buildType, ext = '.apk') {
+    const outputType = ext === '.aab' ? 'bundle' : 'apk';
     const possiblePaths = [
-        path.join(projectDir, 'app', 'build', 'outputs', 'apk', buildType, `app-${buildType}.apk`),
-        path.join(projectDir, 'build', 'outputs', 'apk', buildType, `app-${buildType}.apk`),
-        path.join(projectDir, 'app', 'build', 'outputs', 'apk', buildType, 'app-debug.apk'),
-        path.join(projectDir, 'build', 'outputs', 'apk', buildType, 'app-debug.apk'),
+        path.join(projectDir, 'app', 'build', 'outputs', outputType, buildType, `app-${buildType}${ext}`),
+        path.join(projectDir, 'build', 'outputs', outputType, buildType, `app-${buildType}${ext}`),
+        path.join(projectDir, 'app', 'build', 'outputs', outputType, buildType, `app-debug${ext}`),
+        path.join(projectDir, 'build', 'outputs', outputType, buildType, `app-debug${ext}`),
     ];
 
     for (const p of possiblePaths) {
@@ -301,7 +394,7 @@ async function findApk(projectDir, buildType) {
     }
 
     // Recursive search as fallback
-    return await findFileRecursive(projectDir, '.apk');
+    return await findFileRecursive(projectDir, ext);
 }
 
 /**
@@ -558,4 +651,4 @@ async function getDirectorySize(dir) {
     return size;
 }
 
-module.exports = { buildFromZip, analyzeProject, cleanupProject };
+module.exports = { buildFromZip, analyzeProject, cleanupProject, PROJECT_MARKERS };
@@ -1,12 +1,341 @@
-const { getMainKeyboard, getConfirmKeyboard, getCancelKeyboard, getZipTypeKeyboard, getZipBuildTypeKeyboard } = require('../utils/keyboard');
+const { getMainKeyboard, getConfirmKeyboard, getAdvancedKeyboard, getAdvancedInputKeyboard, getCancelKeyboard, getZipTypeKeyboard, getZipBuildTypeKeyboard, getOutputFormatKeyboard, getPermissionsKeyboard, getBridgeKeyboard, getSplashKeyboard } = require('../utils/keyboard');
 const { buildApk } = require('../builder/apkBuilder');
 const { buildFromZip } = require('../builder/zipBuilder');
 const { sendBuildReport } = require('../utils/adminReporter');
-const { formatBuildProgress, formatBuildStartMessage, formatSuccessMessage, formatErrorMessage, formatZipBuildProgress } = require('../utils/progressUI');
+const { formatBuildProgress, formatBuildStartMessage, formatSuccessMessage, formatErrorMessage, formatZipBuildProgress, formatBuildSummary, formatAdvancedSettings, formatOutputFormat, formatPermissions, formatBridgeCapabilities, formatZipType, formatSplashSettings } = require('../utils/progressUI');
 const { buildQueue } = require('../utils/buildQueue');
 const licenseKeyService = require('../utils/licenseKeyService');
+const { handleKeystoreCallback } = require('./keystoreHandler');
+const { SPLASH_FONTS, BRIDGE_HELPER_FILE } = require('../builder/projectGenerator');
+const { createIconFile, getInitials, NAV_ICONS } = require('../builder/iconGenerator');
+const { sendGeneratedIcon } = require('./messageHandler');
 const path = require('path');
 const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Advanced settings that are entered as text (step -> session field + prompt)
+const ADVANCED_INPUTS = {
+    adv_package: {
+        field: 'packageName',
+        prompt: `
+📦 <b>Package Name</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim package name (applicationId) untuk aplikasi Anda.
+
+<i>Contoh: com.namaanda.aplikasi</i>
+
+💡 Minimal 2 segmen, setiap segmen diawali huruf dan hanya berisi huruf, angka, atau underscore.
+        `
+    },
+    adv_versioncode: {
+        field: 'versionCode',
+        prompt: `
+🔢 <b>Version Code</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim version code (angka bulat, contoh: <code>2</code>).
+
+💡 Harus lebih tinggi dari versi yang sudah terinstall agar bisa di-update.
+        `
+    },
+    adv_versionname: {
+        field: 'versionName',
+        prompt: `
+🏷️ <b>Version Name</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim version name yang ditampilkan ke pengguna.
+
+<i>Contoh: 1.1.0</i>
+        `
+    },
+    adv_toolbartitle: {
+        field: 'toolbarTitle',
+        prompt: `
+🏷️ <b>Judul Toolbar</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim judul yang tampil di toolbar aplikasi (maksimal 50 karakter).
+
+💡 Default: nama aplikasi.
+        `
+    },
+    adv_domains: {
+        field: 'allowedDomains',
+        prompt: `
+🌐 <b>Domain Dalam Aplikasi</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim domain tambahan yang tetap dibuka di dalam aplikasi, pisahkan dengan koma.
+
+<i>Contoh: accounts.google.com, pay.example.com</i>
+
+💡 Domain website Anda (dan subdomainnya) selalu dibuka di dalam aplikasi. Link ke domain lain dibuka sesuai pengaturan Link Luar.
+💡 Tambahkan domain login (Google, Facebook) jika login harus tetap di dalam aplikasi.
+        `
+    },
+    adv_schemes: {
+        field: 'externalSchemes',
+        prompt: `
+📲 <b>Skema Link Aplikasi Lain</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim skema link tambahan yang dibuka di aplikasi lain, pisahkan dengan koma.
+
+<i>Contoh: upi, market, geo</i>
+
+💡 tel, mailto, sms, whatsapp dan intent selalu dibuka di aplikasi lain.
+        `
+    },
+    adv_useragent: {
+        field: 'userAgent',
+        prompt: `
+🪪 <b>User-Agent Custom</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim User-Agent lengkap yang menggantikan User-Agent bawaan WebView.
+
+<i>Contoh: TokoBudiApp/1.0 (Android)</i>
+
+💡 Biasanya cukup mengubah Akhiran UA agar situs tetap mengenali browser sebagai Chrome mobile.
+        `
+    },
+    adv_uasuffix: {
+        field: 'userAgentSuffix',
+        prompt: `
+➕ <b>Akhiran User-Agent</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim teks yang ditambahkan di akhir User-Agent WebView (default: <code>Web2ApkApp</code>).
+
+<i>Contoh: TokoBudiApp/1.0</i>
+
+💡 Backend bisa mendeteksi aplikasi dari teks ini.
+        `
+    },
+    adv_translations: {
+        field: 'translations',
+        prompt: `
+🌍 <b>Nama per Bahasa</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim nama aplikasi untuk bahasa lain, satu per baris dengan format <code>kode_bahasa: Nama</code>.
+
+<i>Contoh:
+en: Budi's Shop
+ms: Kedai Budi
+pt-BR: Loja do Budi</i>
+
+💡 Nama di launcher mengikuti bahasa HP pengguna; bahasa lain memakai nama utama.
+        `
+    },
+    adv_headers: {
+        field: 'headers',
+        prompt: `
+📨 <b>Header Tambahan</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim header yang dikirim saat URL aplikasi dibuka, satu per baris dengan format <code>Nama: nilai</code>.
+
+<i>Contoh:
+X-App-Id: toko-budi
+X-Api-Key: abc123</i>
+
+💡 Header hanya dikirim pada request pertama (dan saat Coba Lagi), bukan untuk setiap halaman.
+⚠️ Nilai header tersimpan di dalam APK dan bisa dibaca orang lain, jangan gunakan kunci rahasia.
+        `
+    },
+    adv_bridgename: {
+        field: 'bridgeName',
+        back: 'adv_bridge',
+        prompt: `
+🏷️ <b>Nama Objek Bridge</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim nama objek JavaScript untuk bridge (default: <code>Web2Apk</code>).
+
+<i>Contoh: TokoApp → window.TokoApp</i>
+
+💡 Huruf, angka, _ atau $, tidak diawali angka, maksimal 32 karakter.
+        `
+    },
+    adv_tabs: {
+        field: 'tabs',
+        prompt: `
+📑 <b>Tab Bawah</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim 3-5 tab, satu per baris dengan format <code>Label | icon | URL</code>.
+
+<i>Contoh:
+Beranda | home | https://example.com
+Toko | store | https://example.com/shop
+Akun | person | https://example.com/akun</i>
+
+🎨 Icon: ${NAV_ICONS.map(icon => `<code>${icon}</code>`).join(', ')}
+
+💡 Setiap tab punya halaman dan riwayat Kembali sendiri.
+        `
+    },
+    adv_drawer: {
+        field: 'drawerMenu',
+        prompt: `
+🍔 <b>Menu Samping</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim file <code>.json</code> (atau tempel isinya) berisi menu yang dibuka dari tombol ☰ di toolbar. Header menu berisi icon dan nama aplikasi.
+
+<i>Contoh:
+{"items": [
+  {"label": "Beranda", "icon": "home", "action": "url", "url": "https://example.com"},
+  {"label": "Instagram", "icon": "open_in_new", "action": "external", "url": "https://instagram.com/toko"},
+  {"action": "divider"},
+  {"label": "Bagikan Aplikasi", "icon": "share", "action": "share"}
+]}</i>
+
+⚙️ Action: <code>url</code> (buka di aplikasi), <code>external</code> (browser atau tel:, mailto:, ...), <code>share</code> (bagikan aplikasi), <code>divider</code> (garis pemisah)
+🎨 Icon (opsional): ${NAV_ICONS.map(icon => `<code>${icon}</code>`).join(', ')}
+
+💡 Maksimal 20 item, label maksimal 40 karakter.
+        `
+    },
+    adv_injectcss: {
+        field: 'injectCss',
+        prompt: `
+🎨 <b>CSS Custom</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim file <code>.css</code> yang ditambahkan ke setiap halaman situs di aplikasi.
+
+<i>Contoh isi file:
+.site-header, #cookie-banner { display: none !important; }</i>
+
+💡 Cocok untuk menyembunyikan header atau banner cookie di versi aplikasi tanpa mengubah website. Maksimal 100 KB.
+        `
+    },
+    adv_injectjs: {
+        field: 'injectJs',
+        prompt: `
+📜 <b>JavaScript Custom</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim file <code>.js</code> yang dijalankan sekali setelah setiap halaman situs selesai dimuat.
+
+<i>Contoh isi file:
+document.querySelector('.app-banner')?.remove();</i>
+
+💡 Maksimal 100 KB. Error di script ditampilkan di console, tidak menghentikan halaman.
+        `
+    },
+    adv_injectpatterns: {
+        field: 'injectUrlPatterns',
+        prompt: `
+🎯 <b>Halaman untuk CSS/JS</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim pola URL halaman yang diberi CSS/JS custom, pisahkan dengan koma. Tanda <code>*</code> berarti teks apa saja.
+
+<i>Contoh: https://example.com/shop/*, https://m.example.com/*</i>
+
+💡 Default: semua halaman di domain aplikasi.
+        `
+    },
+    adv_deeplinkhosts: {
+        field: 'deepLinkHosts',
+        prompt: `
+🌍 <b>Host App Links</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim domain yang link-nya dibuka di aplikasi, pisahkan dengan koma.
+
+<i>Contoh: example.com, www.example.com</i>
+
+💡 Default: domain website Anda. Setiap domain harus menyimpan file assetlinks.json yang dikirim bersama APK.
+        `
+    },
+    adv_deeplinkpaths: {
+        field: 'deepLinkPaths',
+        prompt: `
+📁 <b>Path App Links</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim awalan path yang dibuka di aplikasi, pisahkan dengan koma.
+
+<i>Contoh: /produk, /promo</i>
+
+💡 Default: semua halaman di domain tersebut.
+        `
+    },
+    adv_splashcolor: {
+        field: 'backgroundColor',
+        group: 'splash',
+        prompt: `
+🎨 <b>Warna Latar Splash</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim kode warna hex untuk latar splash screen.
+
+<i>Contoh: #1E88E5</i>
+
+💡 Warna teks otomatis menyesuaikan agar tetap terbaca.
+        `
+    },
+    adv_splashtagline: {
+        field: 'tagline',
+        group: 'splash',
+        prompt: `
+💬 <b>Tagline Splash</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim teks singkat yang tampil di bawah nama aplikasi (maksimal 60 karakter).
+
+<i>Contoh: Belanja hemat setiap hari</i>
+        `
+    },
+    adv_splashlogo: {
+        field: 'logoPath',
+        group: 'splash',
+        prompt: `
+🖼️ <b>Logo Splash</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim gambar logo untuk splash screen (PNG transparan disarankan).
+
+💡 Tanpa logo, splash menampilkan icon aplikasi.
+        `
+    }
+};
+
+// Splash mode buttons (callback -> splash mode + duration)
+const SPLASH_OPTIONS = {
+    splash_2000: { mode: 'timed', duration: 2000 },
+    splash_4000: { mode: 'timed', duration: 4000 },
+    splash_pageload: { mode: 'pageload' },
+    splash_none: { mode: 'none' }
+};
+
+// Advanced settings that are switched on/off with one tap (callback -> session field)
+const ADVANCED_TOGGLES = {
+    adv_fileupload: 'fileUpload',
+    adv_downloads: 'downloads',
+    adv_fullscreen: 'fullscreen',
+    adv_immersive: 'immersive',
+    adv_toolbar: 'showToolbar',
+    adv_refresh: 'pullToRefresh',
+    adv_zoom: 'zoom',
+    adv_webdark: 'webDarkening',
+    adv_deeplinks: 'deepLinks'
+};
+
+// Orientation / text size / external link buttons cycle through these values
+const ADVANCED_CYCLES = {
+    adv_orientation: { field: 'orientation', values: ['auto', 'portrait', 'landscape', 'sensor'] },
+    adv_textzoom: { field: 'textZoom', values: [100, 115, 130, 85] },
+    adv_linkmode: { field: 'externalLinks', values: ['customtab', 'browser', 'inapp'] },
+    adv_mode: { field: 'mode', values: ['webview', 'twa'] },
+    adv_thememode: { field: 'themeMode', values: ['system', 'light', 'dark'] }
+};
 
 /**
  * Handle callback queries from inline buttons
@@ -48,10 +377,140 @@ async function handleCallback(bot, query) {
             await skipIcon(bot, chatId, messageId);
             break;
 
+        case 'icon_initials':
+            await generateInitialsIcon(bot, chatId);
+            break;
+
+        case 'icon_emoji':
+            await promptIconEmoji(bot, chatId);
+            break;
+
+        case 'icon_use':
+            await useGeneratedIcon(bot, chatId);
+            break;
+
         case 'confirm_build':
             await confirmBuild(bot, chatId, messageId);
             break;
 
+        case 'adv_settings':
+            await showAdvancedSettings(bot, chatId, messageId);
+            break;
+
+        case 'adv_package':
+        case 'adv_versioncode':
+        case 'adv_versionname':
+        case 'adv_toolbartitle':
+        case 'adv_domains':
+        case 'adv_schemes':
+        case 'adv_useragent':
+        case 'adv_uasuffix':
+        case 'adv_headers':
+        case 'adv_translations':
+        case 'adv_bridgename':
+        case 'adv_tabs':
+        case 'adv_drawer':
+        case 'adv_injectcss':
+        case 'adv_injectjs':
+        case 'adv_injectpatterns':
+        case 'adv_deeplinkhosts':
+        case 'adv_deeplinkpaths':
+        case 'adv_splashcolor':
+        case 'adv_splashtagline':
+        case 'adv_splashlogo':
+            await promptAdvancedInput(bot, chatId, messageId, data);
+            break;
+
+        case 'adv_reset':
+            await resetAdvancedInput(bot, chatId, messageId);
+            break;
+
+        case 'adv_back':
+            await showConfirmation(bot, chatId, messageId);
+            break;
+
+        case 'adv_format':
+            await showOutputFormatMenu(bot, chatId, messageId);
+            break;
+
+        case 'adv_fileupload':
+        case 'adv_downloads':
+        case 'adv_fullscreen':
+        case 'adv_immersive':
+        case 'adv_toolbar':
+        case 'adv_refresh':
+        case 'adv_zoom':
+        case 'adv_webdark':
+        case 'adv_deeplinks':
+            await toggleAdvancedOption(bot, chatId, messageId, ADVANCED_TOGGLES[data]);
+            break;
+
+        case 'adv_autoupdate':
+            await toggleAutoUpdate(bot, chatId, messageId);
+            break;
+
+        case 'adv_permissions':
+            await showPermissionsMenu(bot, chatId, messageId);
+            break;
+
+        case 'adv_bridge':
+            await showBridgeMenu(bot, chatId, messageId);
+            break;
+
+        case 'adv_splash':
+            await showSplashMenu(bot, chatId, messageId);
+            break;
+
+        case 'adv_orientation':
+        case 'adv_textzoom':
+        case 'adv_linkmode':
+        case 'adv_mode':
+        case 'adv_thememode':
+            await cycleAdvancedOption(bot, chatId, messageId, ADVANCED_CYCLES[data]);
+            break;
+
+        case 'splash_2000':
+        case 'splash_4000':
+        case 'splash_pageload':
+        case 'splash_none':
+            await selectSplashMode(bot, chatId, messageId, SPLASH_OPTIONS[data]);
+            break;
+
+        case 'splash_font':
+            await cycleSplashFont(bot, chatId, messageId);
+            break;
+
+        case 'perm_camera':
+        case 'perm_microphone':
+        case 'perm_location':
+        case 'perm_storage':
+        case 'perm_notifications':
+            await togglePermission(bot, chatId, messageId, data.replace('perm_', ''));
+            break;
+
+        case 'bridge_share':
+        case 'bridge_toast':
+        case 'bridge_vibrate':
+        case 'bridge_clipboard':
+        case 'bridge_notification':
+        case 'bridge_device':
+        case 'bridge_external':
+            await toggleBridgeCapability(bot, chatId, messageId, data.replace('bridge_', ''));
+            break;
+
+        case 'fmt_apk':
+        case 'fmt_aab':
+        case 'fmt_both':
+            await selectOutputFormat(bot, chatId, messageId, data.replace('fmt_', ''));
+            break;
+
+        case 'ks_generate':
+        case 'ks_backup':
+        case 'ks_upload':
+        case 'ks_upload_replace':
+            await handleKeystoreCallback(bot, chatId, messageId, query.from.id, data);
+            break;
+
         case 'build_zip':
             await startBuildZip(bot, chatId, messageId);
             break;
@@ -64,6 +523,10 @@ async function handleCallback(bot, query) {
             await selectZipType(bot, chatId, messageId, 'flutter');
             break;
 
+        case 'zip_html':
+            await selectZipType(bot, chatId, messageId, 'html', userInfo);
+            break;
+
         case 'zipbuild_debug':
             await selectZipBuildType(bot, chatId, messageId, 'debug');
             break;
@@ -105,7 +568,14 @@ async function startCreateApk(bot, chatId, messageId, userInfo = {}) {
             url: null,
             appName: null,
             iconPath: null,
-            themeColor: '#2196F3'
+            themeColor: '#2196F3',
+            // Template defaults, switched off from advanced settings
+            showToolbar: true,
+            pullToRefresh: true,
+            zoom: true,
+            webDarkening: true,
+            // Licensed users get release APKs signed with their own keystore
+            keystoreOwner: licenseKeyService.getUsernameByTelegramId(userInfo.id)
         }
     });
 
@@ -121,6 +591,8 @@ async function startCreateApk(bot, chatId, messageId, userInfo = {}) {
 Silakan kirim URL website yang ingin dikonversi menjadi APK.
 
 <i>Contoh: https://example.com</i>
+
+💡 <i>Punya PWA? Kirim file manifest.webmanifest (atau tempel isi JSON-nya) untuk mengisi nama, warna & ikon otomatis.</i>
     `.trim();
 
     await bot.sendMessage(chatId, message, {
@@ -293,9 +765,34 @@ function getStepDescription(step) {
         'url': 'Input URL',
         'app_name': 'Input nama aplikasi',
         'icon': 'Upload icon',
+        'icon_emoji': 'Input emoji icon',
         'confirm': 'Konfirmasi build',
+        'adv_package': 'Input package name',
+        'adv_versioncode': 'Input version code',
+        'adv_versionname': 'Input version name',
+        'adv_toolbartitle': 'Input judul toolbar',
+        'adv_domains': 'Input domain dalam aplikasi',
+        'adv_schemes': 'Input skema link',
+        'adv_useragent': 'Input user agent',
+        'adv_uasuffix': 'Input akhiran user agent',
+        'adv_headers': 'Input header tambahan',
+        'adv_translations': 'Input nama per bahasa',
+        'adv_bridgename': 'Input nama bridge',
+        'adv_tabs': 'Input tab bawah',
+        'adv_drawer': 'Upload menu samping',
+        'adv_injectcss': 'Upload CSS custom',
+        'adv_injectjs': 'Upload JavaScript custom',
+        'adv_injectpatterns': 'Input halaman CSS/JS',
+        'adv_deeplinkhosts': 'Input host app links',
+        'adv_deeplinkpaths': 'Input path app links',
+        'adv_splashcolor': 'Input warna splash',
+        'adv_splashtagline': 'Input tagline splash',
+        'adv_splashlogo': 'Upload logo splash',
+        'keystore_upload': 'Upload keystore',
+        'keystore_credentials': 'Input kredensial keystore',
         'zip_upload': 'Upload file ZIP',
         'zip_type': 'Pilih tipe project',
+        'zip_format': 'Pilih format output',
         'analyze_upload': 'Upload untuk Analyze',
         'cleanup_upload': 'Upload untuk Cleanup'
     };
@@ -335,6 +832,9 @@ async function showCommandsMenu(bot, chatId, messageId, userInfo) {
 /cleanup flutter - Cleanup Flutter project
 /cleanup android - Cleanup Android project
 
+<b>🔐 Signing:</b>
+/keystore - Kelola keystore rilis
+
 <b>📋 General:</b>
 /start - Mulai bot
 /help - Bantuan
@@ -351,6 +851,9 @@ async function showCommandsMenu(bot, chatId, messageId, userInfo) {
 /cleanup flutter - Cleanup Flutter project
 /cleanup android - Cleanup Android project
 
+<b>🔐 Signing:</b>
+/keystore - Kelola keystore rilis
+
 <b>📋 General:</b>
 /start - Mulai bot
 /help - Bantuan
@@ -455,49 +958,444 @@ Konversi website menjadi aplikasi Android native dengan mudah!
 async function cancelProcess(bot, chatId, messageId) {
     const session = global.sessions.get(chatId);
 
-    // Clean up icon if exists
+    // Clean up icon / uploaded keystore if exists
     if (session?.data?.iconPath) {
         await fs.remove(session.data.iconPath).catch(() => { });
     }
+    if (session?.data?.keystorePath) {
+        await fs.remove(session.data.keystorePath).catch(() => { });
+    }
+    if (session?.data?.splash?.logoPath) {
+        await fs.remove(session.data.splash.logoPath).catch(() => { });
+    }
 
     global.sessions.delete(chatId);
 
-    await bot.editMessageText('❌ Proses dibatalkan.\n\nKlik tombol di bawah untuk memulai lagi.', {
+    const text = '❌ Proses dibatalkan.\n\nKlik tombol di bawah untuk memulai lagi.';
+    await bot.editMessageText(text, {
         chat_id: chatId,
         message_id: messageId,
         reply_markup: getMainKeyboard()
-    });
+    }).catch(() => bot.sendMessage(chatId, text, { reply_markup: getMainKeyboard() })); // e.g. icon preview photo
 }
 
 /**
- * Skip icon upload
+ * Skip icon upload: use the app's initials on the theme color instead of the template icon
  */
 async function skipIcon(bot, chatId, messageId) {
     const session = global.sessions.get(chatId);
     if (!session) return;
 
+    const iconPath = path.join(__dirname, '..', '..', 'temp', uuidv4(), 'icon.png');
+    const result = await createIconFile({
+        style: 'initials',
+        text: getInitials(session.data.appName),
+        backgroundColor: session.data.themeColor
+    }, iconPath);
+    if (result.success) {
+        if (session.data.iconPath) {
+            await fs.remove(session.data.iconPath).catch(() => { });
+        }
+        session.data.iconPath = iconPath;
+    }
+
+    await showConfirmation(bot, chatId, messageId);
+}
+
+/**
+ * Icon studio: app initials on the theme color
+ */
+async function generateInitialsIcon(bot, chatId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    await sendGeneratedIcon(bot, chatId, session, {
+        style: 'initials',
+        text: getInitials(session.data.appName)
+    });
+}
+
+/**
+ * Icon studio: ask for an emoji
+ */
+async function promptIconEmoji(bot, chatId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.step = 'icon_emoji';
+    global.sessions.set(chatId, session);
+
+    await bot.sendMessage(chatId, '😀 Kirim 1 emoji untuk icon aplikasi (contoh: 🛒, 📚, 🍔).', {
+        reply_markup: getCancelKeyboard()
+    });
+}
+
+/**
+ * Accept the previewed icon; the preview is a photo, so the summary is a new message
+ */
+async function useGeneratedIcon(bot, chatId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
     session.step = 'confirm';
     global.sessions.set(chatId, session);
 
-    const message = `
-📱 *Konfirmasi Pembuatan APK*
+    await bot.sendMessage(chatId, formatBuildSummary(session.data), {
+        parse_mode: 'HTML',
+        reply_markup: getConfirmKeyboard()
+    });
+}
 
-*Detail Aplikasi:*
-🌐 URL: ${session.data.url}
-📝 Nama: ${session.data.appName}
-🖼️ Icon: Default
+/**
+ * Show build confirmation summary
+ */
+async function showConfirmation(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
 
-Klik "✅ Buat APK" untuk memulai proses build.
-    `.trim();
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
 
-    await bot.editMessageText(message, {
+    await bot.editMessageText(formatBuildSummary(session.data), {
         chat_id: chatId,
         message_id: messageId,
-        parse_mode: 'Markdown',
+        parse_mode: 'HTML',
         reply_markup: getConfirmKeyboard()
     });
 }
 
+/**
+ * Show advanced settings menu
+ */
+async function showAdvancedSettings(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    await bot.editMessageText(formatAdvancedSettings(session.data), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getAdvancedKeyboard(session.data)
+    });
+}
+
+/**
+ * Ask user to type an advanced setting value
+ */
+async function promptAdvancedInput(bot, chatId, messageId, step) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.step = step;
+    global.sessions.set(chatId, session);
+
+    const input = ADVANCED_INPUTS[step];
+    await bot.editMessageText(input.prompt.trim(), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getAdvancedInputKeyboard(input.back || (input.group ? 'adv_splash' : 'adv_settings'))
+    });
+}
+
+/**
+ * Reset the advanced setting currently being edited
+ */
+async function resetAdvancedInput(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const input = ADVANCED_INPUTS[session.step];
+    if (input?.group) {
+        delete session.data[input.group]?.[input.field];
+        return showSplashMenu(bot, chatId, messageId);
+    }
+    if (input) {
+        delete session.data[input.field];
+    }
+
+    await showAdvancedSettings(bot, chatId, messageId);
+}
+
+/**
+ * Show output format choice for URL build
+ */
+async function showOutputFormatMenu(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    await bot.editMessageText(`
+🗂️ <b>Format Output</b>
+━━━━━━━━━━━━━━━━━━
+
+<b>📱 APK</b> - Install langsung di HP
+<b>📦 AAB</b> - Android App Bundle untuk upload ke Play Store
+
+<b>Saat ini:</b> ${formatOutputFormat(session.data.outputFormat)}
+
+💡 <i>AAB hanya tersedia untuk member dengan License Key (butuh keystore rilis).</i>
+    `.trim(), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getOutputFormatKeyboard('adv_settings')
+    });
+}
+
+/**
+ * Handle output format selection (URL advanced settings or ZIP flow)
+ */
+async function selectOutputFormat(bot, chatId, messageId, format) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    // ZIP flow: format is chosen right after build type
+    if (session.step === 'zip_format') {
+        session.data.outputFormat = format;
+        session.step = 'zip_upload';
+        global.sessions.set(chatId, session);
+        return showZipUploadPrompt(bot, chatId, messageId);
+    }
+
+    // URL flow: AAB needs the user's release keystore
+    if (format !== 'apk' && !session.data.keystoreOwner) {
+        return bot.editMessageText(`
+🔒 <b>Format AAB Khusus Member</b>
+━━━━━━━━━━━━━━━━━━
+
+AAB harus ditandatangani dengan keystore rilis, yang hanya tersedia untuk member dengan License Key.
+
+💡 Hubungi @Izalnotdev untuk mendapatkan akses.
+        `.trim(), {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: getOutputFormatKeyboard('adv_settings')
+        }).catch(() => { });
+    }
+
+    session.data.outputFormat = format;
+    await showAdvancedSettings(bot, chatId, messageId);
+}
+
+/**
+ * Switch a boolean advanced setting on/off
+ */
+async function toggleAdvancedOption(bot, chatId, messageId, field) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.data[field] = !session.data[field];
+    global.sessions.set(chatId, session);
+
+    await showAdvancedSettings(bot, chatId, messageId);
+}
+
+/**
+ * Switch the self-update channel on/off; updates must be signed with the user's release keystore
+ */
+async function toggleAutoUpdate(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    if (!session.data.autoUpdate && !session.data.keystoreOwner) {
+        return bot.editMessageText(`
+🔒 <b>Update Otomatis Khusus Member</b>
+━━━━━━━━━━━━━━━━━━
+
+Update hanya bisa dipasang di atas aplikasi yang ditandatangani dengan keystore yang sama, yang hanya tersedia untuk member dengan License Key.
+
+💡 Hubungi @Izalnotdev untuk mendapatkan akses.
+        `.trim(), {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: [[{ text: '◀️ Kembali', callback_data: 'adv_settings' }]] }
+        }).catch(() => { });
+    }
+
+    // TWA apps are opened by Chrome, the self-update channel lives in the WebView shell
+    if (!session.data.autoUpdate && session.data.mode === 'twa') {
+        return bot.editMessageText(`
+🔄 <b>Update Otomatis Tidak Tersedia</b>
+━━━━━━━━━━━━━━━━━━
+
+Update otomatis hanya untuk mode WebView. Ganti mode build ke WebView terlebih dahulu.
+        `.trim(), {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: [[{ text: '◀️ Kembali', callback_data: 'adv_settings' }]] }
+        }).catch(() => { });
+    }
+
+    await toggleAdvancedOption(bot, chatId, messageId, 'autoUpdate');
+}
+
+/**
+ * Switch a multi-value advanced setting to its next value (first value is the default)
+ */
+async function cycleAdvancedOption(bot, chatId, messageId, { field, values }) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const current = Math.max(values.indexOf(session.data[field]), 0);
+    session.data[field] = values[(current + 1) % values.length];
+    // Auto-update is WebView-only: switching to TWA turns it off instead of silently ignoring it
+    if (field === 'mode' && session.data.mode === 'twa') {
+        session.data.autoUpdate = false;
+    }
+    global.sessions.set(chatId, session);
+
+    await showAdvancedSettings(bot, chatId, messageId);
+}
+
+/**
+ * Show runtime permission toggles for URL build
+ */
+async function showPermissionsMenu(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const permissions = session.data.permissions || [];
+
+    await bot.editMessageText(`
+🔓 <b>Izin Aplikasi</b>
+━━━━━━━━━━━━━━━━━━
+
+Aktifkan izin yang dibutuhkan website Anda (kamera, mikrofon, lokasi, dll).
+
+<b>Aktif:</b> ${formatPermissions(permissions)}
+
+💡 <i>Aplikasi akan meminta izin ke pengguna saat website membutuhkannya.</i>
+    `.trim(), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getPermissionsKeyboard(permissions)
+    });
+}
+
+/**
+ * Toggle a runtime permission on/off
+ */
+async function togglePermission(bot, chatId, messageId, permission) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const permissions = session.data.permissions || [];
+    session.data.permissions = permissions.includes(permission)
+        ? permissions.filter(p => p !== permission)
+        : [...permissions, permission];
+    global.sessions.set(chatId, session);
+
+    await showPermissionsMenu(bot, chatId, messageId);
+}
+
+/**
+ * Show JavaScript bridge capabilities for URL build
+ */
+async function showBridgeMenu(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    const capabilities = session.data.bridgeCapabilities || [];
+
+    await bot.editMessageText(`
+🧩 <b>JavaScript Bridge</b>
+━━━━━━━━━━━━━━━━━━
+
+Pilih fitur HP yang bisa dipanggil website Anda lewat JavaScript.
+
+<b>Aktif:</b> ${formatBridgeCapabilities(capabilities)}
+
+💡 <i>Bridge hanya aktif di domain website Anda. File ${BRIDGE_HELPER_FILE} dikirim bersama APK untuk dipasang di website.</i>
+    `.trim(), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getBridgeKeyboard(capabilities, session.data.bridgeName)
+    });
+}
+
+/**
+ * Toggle a bridge capability on/off
+ */
+async function toggleBridgeCapability(bot, chatId, messageId, capability) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const capabilities = session.data.bridgeCapabilities || [];
+    session.data.bridgeCapabilities = capabilities.includes(capability)
+        ? capabilities.filter(c => c !== capability)
+        : [...capabilities, capability];
+    global.sessions.set(chatId, session);
+
+    await showBridgeMenu(bot, chatId, messageId);
+}
+
+/**
+ * Show splash screen options for URL build
+ */
+async function showSplashMenu(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    await bot.editMessageText(formatSplashSettings(session.data.splash), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getSplashKeyboard(session.data.splash)
+    });
+}
+
+/**
+ * Set splash mode (fixed duration, until page load, or no splash)
+ */
+async function selectSplashMode(bot, chatId, messageId, option) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    session.data.splash = { ...session.data.splash, ...option };
+    if (option.mode !== 'timed') {
+        delete session.data.splash.duration;
+    }
+    global.sessions.set(chatId, session);
+
+    await showSplashMenu(bot, chatId, messageId);
+}
+
+/**
+ * Switch to the next Smooch Sans weight (after the last one: back to default font)
+ */
+async function cycleSplashFont(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
+    const fonts = Object.keys(SPLASH_FONTS);
+    const splash = session.data.splash || {};
+    const next = fonts[fonts.indexOf(splash.font) + 1];
+
+    if (next) {
+        splash.font = next;
+    } else {
+        delete splash.font;
+    }
+    session.data.splash = splash;
+    global.sessions.set(chatId, session);
+
+    await showSplashMenu(bot, chatId, messageId);
+}
+
 /**
  * Confirm and start build
  */
@@ -529,6 +1427,9 @@ async function confirmBuild(bot, chatId, messageId) {
         if (session?.data?.iconPath) {
             await fs.remove(session.data.iconPath).catch(() => { });
         }
+        if (session?.data?.splash?.logoPath) {
+            await fs.remove(session.data.splash.logoPath).catch(() => { });
+        }
         global.sessions.delete(chatId);
         return;
     }
@@ -574,10 +1475,38 @@ async function confirmBuild(bot, chatId, messageId) {
                 parse_mode: 'HTML'
             });
 
-            await bot.sendDocument(chatId, buildResult.apkPath, {
-                caption: `✅ <b>${session.data.appName}</b>\n\n🌐 <code>${session.data.url}</code>\n\n<i>Generated by Web2APK Bot</i>`,
-                parse_mode: 'HTML'
-            });
+            const signLine = buildResult.signed ? '\n🔐 Release (keystore pribadi)' : '';
+            const updateLine = buildResult.published
+                ? `\n🔄 Update ${buildResult.published.versionName} (${buildResult.published.versionCode}) terbit untuk pengguna lama`
+                : '';
+            const caption = `✅ <b>${session.data.appName}</b>\n\n🌐 <code>${session.data.url}</code>${signLine}${updateLine}\n\n<i>Generated by Web2APK Bot</i>`;
+
+            for (const filePath of [buildResult.apkPath, buildResult.aabPath].filter(Boolean)) {
+                await bot.sendDocument(chatId, filePath, {
+                    caption,
+                    parse_mode: 'HTML'
+                });
+            }
+
+            if (buildResult.bridgePath) {
+                await bot.sendDocument(chatId, buildResult.bridgePath, {
+                    caption: `🧩 <b>${BRIDGE_HELPER_FILE}</b>\n\nPasang di website Anda: <code>&lt;script src="/${BRIDGE_HELPER_FILE}"&gt;&lt;/script&gt;</code>, lalu panggil <code>web2apk.share()</code>, <code>web2apk.toast()</code>, dll.`,
+                    parse_mode: 'HTML'
+                }, { filename: BRIDGE_HELPER_FILE, contentType: 'application/javascript' });
+            }
+
+            if (buildResult.assetLinksPath) {
+                const wellKnownUrls = buildResult.appLinkHosts
+                    .map(host => `<code>https://${host}/.well-known/assetlinks.json</code>`)
+                    .join('\n');
+                const afterUpload = session.data.mode === 'twa'
+                    ? 'Tanpa file ini aplikasi TWA tetap berjalan, tetapi Chrome menampilkan bilah alamat.'
+                    : 'Setelah itu link ke website Anda langsung terbuka di aplikasi.';
+                await bot.sendDocument(chatId, buildResult.assetLinksPath, {
+                    caption: `🔗 <b>assetlinks.json</b>\n\nUpload file ini ke:\n${wellKnownUrls}\n\n${afterUpload}`,
+                    parse_mode: 'HTML'
+                }, { filename: 'assetlinks.json', contentType: 'application/json' });
+            }
 
             // Show success message with main menu
             await bot.sendMessage(chatId, '🎉 APK berhasil dikirim!\n\nIngin membuat APK lagi?', {
@@ -606,11 +1535,21 @@ async function confirmBuild(bot, chatId, messageId) {
     } finally {
         // ALWAYS cleanup - this runs whether success or error
 
-        // Clean up APK file
+        // Clean up APK / AAB files
         if (buildResult?.apkPath) {
             await fs.remove(buildResult.apkPath).catch(() => { });
             console.log(`🗑️ Cleaned APK: ${buildResult.apkPath}`);
         }
+        if (buildResult?.aabPath) {
+            await fs.remove(buildResult.aabPath).catch(() => { });
+            console.log(`🗑️ Cleaned AAB: ${buildResult.aabPath}`);
+        }
+        if (buildResult?.bridgePath) {
+            await fs.remove(buildResult.bridgePath).catch(() => { });
+        }
+        if (buildResult?.assetLinksPath) {
+            await fs.remove(buildResult.assetLinksPath).catch(() => { });
+        }
 
         // Clean up temp build directory
         if (buildResult?.buildDir) {
@@ -618,10 +1557,13 @@ async function confirmBuild(bot, chatId, messageId) {
             console.log(`🗑️ Cleaned temp dir: ${buildResult.buildDir}`);
         }
 
-        // Clean up uploaded icon
+        // Clean up uploaded icon / splash logo
         if (session?.data?.iconPath) {
             await fs.remove(session.data.iconPath).catch(() => { });
         }
+        if (session?.data?.splash?.logoPath) {
+            await fs.remove(session.data.splash.logoPath).catch(() => { });
+        }
 
         // Release build queue lock
         buildQueue.release(chatId);
@@ -672,6 +1614,9 @@ Project dengan <code>build.gradle</code>
 
 <b>💙 Flutter</b>
 Project dengan <code>pubspec.yaml</code>
+
+<b>🌐 Website Statis</b>
+HTML/CSS/JS dengan <code>index.html</code> (berjalan offline)
     `.trim();
 
     await bot.sendMessage(chatId, message, {
@@ -683,19 +1628,22 @@ Project dengan <code>pubspec.yaml</code>
 /**
  * Handle ZIP type selection
  */
-async function selectZipType(bot, chatId, messageId, projectType) {
+async function selectZipType(bot, chatId, messageId, projectType, userInfo = {}) {
     global.sessions.set(chatId, {
         step: 'zip_buildtype',
         data: {
             projectType: projectType,
             buildType: null,
-            zipPath: null
+            outputFormat: 'apk',
+            zipPath: null,
+            // Static sites are built from our template, so release signing uses the user's keystore
+            keystoreOwner: projectType === 'html' ? licenseKeyService.getUsernameByTelegramId(userInfo.id) : null
         }
     });
 
     await bot.deleteMessage(chatId, messageId).catch(() => { });
 
-    const typeName = projectType === 'flutter' ? 'Flutter' : 'Android Studio';
+    const typeName = formatZipType(projectType);
     const message = `
 📦 <b>Project: ${typeName}</b>
 ━━━━━━━━━━━━━━━━━━
@@ -720,22 +1668,50 @@ async function selectZipBuildType(bot, chatId, messageId, buildType) {
     if (!session) return;
 
     session.data.buildType = buildType;
-    session.step = 'zip_upload';
+    session.step = 'zip_format';
     global.sessions.set(chatId, session);
 
+    await bot.editMessageText(`
+🗂️ <b>Format Output</b>
+━━━━━━━━━━━━━━━━━━
+
+Pilih format hasil build:
+
+<b>📱 APK</b> - Install langsung di HP
+<b>📦 AAB</b> - Android App Bundle untuk upload ke Play Store
+    `.trim(), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: getOutputFormatKeyboard()
+    });
+}
+
+/**
+ * Ask user to upload the project ZIP
+ */
+async function showZipUploadPrompt(bot, chatId, messageId) {
+    const session = global.sessions.get(chatId);
+    if (!session) return;
+
     await bot.deleteMessage(chatId, messageId).catch(() => { });
 
-    const typeName = session.data.projectType === 'flutter' ? 'Flutter' : 'Android';
+    const { projectType, buildType, outputFormat } = session.data;
+    const typeName = formatZipType(projectType);
+    const siteHint = projectType === 'html'
+        ? '\n<i>💡 ZIP harus berisi index.html. Nama aplikasi diambil dari &lt;title&gt;.</i>'
+        : '';
     const message = `
 📤 <b>Upload Project ZIP</b>
 ━━━━━━━━━━━━━━━━━━
 
 <b>Project:</b> ${typeName}
 <b>Build:</b> ${buildType === 'release' ? '🚀 Release' : '🐛 Debug'}
+<b>Format:</b> ${formatOutputFormat(outputFormat)}
 
 Silakan kirim file <b>.zip</b> project Anda.
 
-<i>⚠️ Pastikan project sudah bisa di-build sebelumnya.</i>
+<i>⚠️ Pastikan project sudah bisa di-build sebelumnya.</i>${siteHint}
     `.trim();
 
     await bot.sendMessage(chatId, message, {
@@ -751,7 +1727,7 @@ async function handleZipUpload(bot, chatId, filePath) {
     const session = global.sessions.get(chatId);
     if (!session || session.step !== 'zip_upload') return false;
 
-    const { projectType, buildType } = session.data;
+    const { projectType, buildType, outputFormat, keystoreOwner } = session.data;
 
     // Check if build queue is busy
     if (!buildQueue.acquire(chatId)) {
@@ -804,11 +1780,13 @@ async function handleZipUpload(bot, chatId, filePath) {
                     message_id: statusMsg.message_id,
                     parse_mode: 'HTML'
                 }).catch(() => { });
-            }
+            },
+            outputFormat,
+            { keystoreOwner }
         );
 
         if (result.success) {
-            const typeName = projectType === 'flutter' ? 'Flutter' : 'Android';
+            const typeName = formatZipType(projectType);
             const buildName = buildType === 'release' ? 'Release' : 'Debug';
 
             // Check file size before sending
@@ -816,19 +1794,39 @@ async function handleZipUpload(bot, chatId, filePath) {
             const MAX_FILE_SIZE = process.env.LOCAL_API_URL
                 ? 2 * 1024 * 1024 * 1024  // 2GB with Local Bot API
                 : 50 * 1024 * 1024;        // 50MB with standard Bot API
-            const apkStats = await fs.stat(result.apkPath);
-            const fileSizeMB = (apkStats.size / (1024 * 1024)).toFixed(2);
 
-            if (apkStats.size > MAX_FILE_SIZE) {
-                // APK too large for Telegram - provide download link via web server
+            const artifacts = [
+                { path: result.apkPath, ext: 'apk' },
+                { path: result.aabPath, ext: 'aab' }
+            ].filter(a => a.path);
+
+            for (const artifact of artifacts) {
+                const stats = await fs.stat(artifact.path);
+                artifact.size = stats.size;
+                artifact.sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+            }
+
+            const sizeLines = artifacts.map(a => `📦 <b>Ukuran ${a.ext.toUpperCase()}:</b> ${a.sizeMB} MB`).join('\n');
+            const largeArtifacts = artifacts.filter(a => a.size > MAX_FILE_SIZE);
+
+            if (largeArtifacts.length > 0) {
+                // Too large for Telegram - provide download links via web server
                 const WEB_URL = process.env.WEB_URL || `http://localhost:${process.env.WEB_PORT || 3000}`;
                 const buildId = `tg-zip-${Date.now()}`;
-
-                // Register APK for download (expiry: 5 minutes for large files)
                 const { registerBuildForDownload } = require('../server');
-                registerBuildForDownload(buildId, result.apkPath, result.buildDir, `${typeName}_${buildName}.apk`, 5 * 60 * 1000);
 
-                const downloadUrl = `${WEB_URL}/api/download/${buildId}`;
+                const buttons = [];
+                let linkLines = '';
+                for (const artifact of largeArtifacts) {
+                    // Register file for download (expiry: 5 minutes for large files)
+                    const artifactId = `${buildId}-${artifact.ext}`;
+                    registerBuildForDownload(artifactId, artifact.path, result.buildDir, `${projectType}_${buildName}.${artifact.ext}`, 5 * 60 * 1000);
+
+                    const downloadUrl = `${WEB_URL}/api/download/${artifactId}`;
+                    linkLines += `\n<code>${downloadUrl}</code>`;
+                    buttons.push([{ text: `📥 Download ${artifact.ext.toUpperCase()}`, url: downloadUrl }]);
+                }
+                buttons.push([{ text: '◀️ Kembali ke Menu', callback_data: 'back_main' }]);
 
                 await bot.editMessageText(`
 ✅ <b>Build Berhasil!</b>
@@ -836,56 +1834,52 @@ async function handleZipUpload(bot, chatId, filePath) {
 
 📱 <b>Type:</b> ${typeName}
 🏷️ <b>Build:</b> ${buildName}
-📦 <b>Ukuran:</b> ${fileSizeMB} MB
+${sizeLines}
 
 ⚠️ <b>File terlalu besar untuk Telegram (>50MB)</b>
 
-🔗 <b>Download via Link:</b>
-<code>${downloadUrl}</code>
+🔗 <b>Download via Link:</b>${linkLines}
 
 ⏰ <i>Link berlaku 5 menit</i>
                 `.trim(), {
                     chat_id: chatId,
                     message_id: statusMsg.message_id,
                     parse_mode: 'HTML',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '📥 Download APK', url: downloadUrl }],
-                            [{ text: '◀️ Kembali ke Menu', callback_data: 'back_main' }]
-                        ]
-                    }
+                    reply_markup: { inline_keyboard: buttons }
                 });
-
-                return true;
-            }
-
-            await bot.editMessageText(`
+            } else {
+                await bot.editMessageText(`
 ✅ <b>Build Berhasil!</b>
 ━━━━━━━━━━━━━━━━━━
 
 📱 <b>Type:</b> ${typeName}
 🏷️ <b>Build:</b> ${buildName}
-📦 <b>Ukuran:</b> ${fileSizeMB} MB
+${sizeLines}
 
-🎉 <i>Mengirim file APK...</i>
-            `.trim(), {
-                chat_id: chatId,
-                message_id: statusMsg.message_id,
-                parse_mode: 'HTML'
-            });
+🎉 <i>Mengirim file ${formatOutputFormat(outputFormat)}...</i>
+                `.trim(), {
+                    chat_id: chatId,
+                    message_id: statusMsg.message_id,
+                    parse_mode: 'HTML'
+                });
+            }
 
-            await bot.sendDocument(chatId, result.apkPath, {
-                caption: `✅ <b>APK Build Success</b>\n\n📱 <b>Type:</b> ${typeName}\n🏷️ <b>Build:</b> ${buildName}\n📦 <b>Size:</b> ${fileSizeMB} MB\n\n<i>Generated by Web2APK Bot</i>`,
-                parse_mode: 'HTML'
-            });
+            // Send files that fit in Telegram, large ones are cleaned up by the download registry
+            for (const artifact of artifacts.filter(a => a.size <= MAX_FILE_SIZE)) {
+                await bot.sendDocument(chatId, artifact.path, {
+                    caption: `✅ <b>${artifact.ext.toUpperCase()} Build Success</b>\n\n📱 <b>Type:</b> ${typeName}\n🏷️ <b>Build:</b> ${buildName}\n📦 <b>Size:</b> ${artifact.sizeMB} MB\n\n<i>Generated by Web2APK Bot</i>`,
+                    parse_mode: 'HTML'
+                });
+                await fs.remove(artifact.path).catch(() => { });
+            }
 
-            // Cleanup
-            await fs.remove(result.apkPath).catch(() => { });
-            await fs.remove(result.buildDir).catch(() => { });
+            if (largeArtifacts.length === 0) {
+                await fs.remove(result.buildDir).catch(() => { });
 
-            await bot.sendMessage(chatId, '🎉 APK berhasil di-build!\n\nIngin build lagi?', {
-                reply_markup: getMainKeyboard()
-            });
+                await bot.sendMessage(chatId, '🎉 APK berhasil di-build!\n\nIngin build lagi?', {
+                    reply_markup: getMainKeyboard()
+                });
+            }
         } else {
             throw new Error(result.error);
         }
@@ -0,0 +1,239 @@
+const { getKeystoreKeyboard, getCancelKeyboard, getMainKeyboard } = require('../utils/keyboard');
+const keystoreService = require('../utils/keystoreService');
+const licenseKeyService = require('../utils/licenseKeyService');
+const { escapeHtml } = require('../utils/progressUI');
+const fs = require('fs-extra');
+
+/**
+ * Build keystore status message
+ */
+function formatKeystoreStatus(info) {
+    if (!info) {
+        return `
+🔐 <b>Keystore Rilis</b>
+━━━━━━━━━━━━━━━━━━
+
+📭 <b>Status:</b> Belum ada keystore
+
+Keystore dipakai untuk menandatangani APK rilis, sehingga aplikasi bisa di-update dan diupload ke Play Store.
+
+💡 <i>Keystore akan dibuat otomatis saat build pertama, atau buat/upload sekarang.</i>
+        `.trim();
+    }
+
+    const createdAt = new Date(info.createdAt).toLocaleDateString('id-ID');
+    const backupLine = info.source === 'generated'
+        ? (info.backupAvailable ? '📥 <b>Backup:</b> Belum diunduh' : '✅ <b>Backup:</b> Sudah diunduh')
+        : '📤 <b>Sumber:</b> Upload sendiri';
+
+    return `
+🔐 <b>Keystore Rilis</b>
+━━━━━━━━━━━━━━━━━━
+
+✅ <b>Status:</b> Aktif
+🏷️ <b>Alias:</b> <code>${escapeHtml(info.alias)}</code>
+📅 <b>Dibuat:</b> ${createdAt}
+${backupLine}
+
+⚠️ <i>Simpan backup keystore dengan aman. Tanpa keystore yang sama, aplikasi tidak bisa di-update.</i>
+    `.trim();
+}
+
+/**
+ * /keystore command - show vault status
+ */
+async function handleKeystoreCommand(bot, msg) {
+    const chatId = msg.chat.id;
+    const username = licenseKeyService.getUsernameByTelegramId(msg.from.id);
+
+    if (!username) {
+        return bot.sendMessage(chatId, '🔒 Fitur keystore hanya untuk member dengan License Key aktif.');
+    }
+
+    const info = keystoreService.getInfo(username);
+    await bot.sendMessage(chatId, formatKeystoreStatus(info), {
+        parse_mode: 'HTML',
+        reply_markup: getKeystoreKeyboard(info)
+    });
+}
+
+/**
+ * Handle keystore inline buttons (ks_*)
+ */
+async function handleKeystoreCallback(bot, chatId, messageId, userId, action) {
+    const username = licenseKeyService.getUsernameByTelegramId(userId);
+    if (!username) {
+        return bot.sendMessage(chatId, '🔒 Fitur keystore hanya untuk member dengan License Key aktif.');
+    }
+
+    switch (action) {
+        case 'ks_generate': {
+            await bot.editMessageText('⏳ <i>Membuat keystore baru...</i>', {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'HTML'
+            }).catch(() => { });
+
+            const result = await keystoreService.ensureKeystore(username);
+            const info = keystoreService.getInfo(username);
+            const text = result.success
+                ? formatKeystoreStatus(info)
+                : `❌ ${escapeHtml(result.error)}`;
+
+            await bot.editMessageText(text, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'HTML',
+                reply_markup: getKeystoreKeyboard(info)
+            });
+            break;
+        }
+
+        case 'ks_backup': {
+            const backup = await keystoreService.getBackup(username);
+            if (!backup.success) {
+                return bot.sendMessage(chatId, `❌ ${backup.error}`);
+            }
+
+            await bot.sendDocument(chatId, backup.buffer, {
+                caption: `🔐 <b>Backup Keystore</b>\n\n🏷️ <b>Alias:</b> <code>${escapeHtml(backup.alias)}</code>\n🔑 <b>Store Password:</b> <code>${escapeHtml(backup.storePassword)}</code>\n🔑 <b>Key Password:</b> <code>${escapeHtml(backup.keyPassword)}</code>\n\n⚠️ <i>Backup ini hanya bisa diunduh sekali. Simpan file dan password di tempat aman!</i>`,
+                parse_mode: 'HTML'
+            }, {
+                filename: backup.fileName,
+                contentType: 'application/octet-stream'
+            });
+
+            // Telegram has the file now; a failed send above leaves the backup available
+            keystoreService.confirmBackup(username);
+
+            const info = keystoreService.getInfo(username);
+            await bot.editMessageText(formatKeystoreStatus(info), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'HTML',
+                reply_markup: getKeystoreKeyboard(info)
+            }).catch(() => { });
+            break;
+        }
+
+        case 'ks_upload':
+        case 'ks_upload_replace': {
+            const replace = action === 'ks_upload_replace';
+            if (keystoreService.hasKeystore(username)) {
+                const blocker = keystoreService.getReplaceBlocker(username);
+                if (blocker) {
+                    return bot.sendMessage(chatId, `❌ ${blocker}`);
+                }
+                if (!replace) {
+                    return bot.editMessageText(`
+⚠️ <b>Ganti Keystore?</b>
+━━━━━━━━━━━━━━━━━━
+
+Keystore lama akan dihapus dan diganti dengan yang Anda upload. APK yang sudah ditandatangani keystore lama <b>tidak bisa di-update lagi</b>.
+                    `.trim(), {
+                        chat_id: chatId,
+                        message_id: messageId,
+                        parse_mode: 'HTML',
+                        reply_markup: {
+                            inline_keyboard: [
+                                [{ text: '✅ Ya, Ganti Keystore', callback_data: 'ks_upload_replace' }],
+                                [{ text: '◀️ Kembali ke Menu', callback_data: 'back_main' }]
+                            ]
+                        }
+                    });
+                }
+            }
+
+            global.sessions.set(chatId, {
+                step: 'keystore_upload',
+                data: { username, keystorePath: null, replace }
+            });
+
+            await bot.editMessageText(`
+📤 <b>Upload Keystore</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim file keystore Anda (<code>.jks</code>, <code>.keystore</code>, atau <code>.p12</code>).
+            `.trim(), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'HTML',
+                reply_markup: getCancelKeyboard()
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Handle uploaded keystore file, then ask for credentials
+ */
+async function handleKeystoreUpload(bot, chatId, filePath) {
+    const session = global.sessions.get(chatId);
+    if (!session || session.step !== 'keystore_upload') {
+        await fs.remove(filePath).catch(() => { });
+        return false;
+    }
+
+    session.data.keystorePath = filePath;
+    session.step = 'keystore_credentials';
+    global.sessions.set(chatId, session);
+
+    await bot.sendMessage(chatId, `
+🔑 <b>Kredensial Keystore</b>
+━━━━━━━━━━━━━━━━━━
+
+Kirim alias dan password, <b>satu per baris</b>:
+
+<code>alias
+store_password
+key_password</code>
+
+💡 <i>Baris ketiga opsional jika key password sama dengan store password. Pesan Anda akan dihapus otomatis.</i>
+    `.trim(), {
+        parse_mode: 'HTML',
+        reply_markup: getCancelKeyboard()
+    });
+    return true;
+}
+
+/**
+ * Handle keystore credentials text and import keystore
+ */
+async function handleKeystoreCredentials(bot, chatId, msg, session) {
+    const lines = (msg.text || '').split('\n').map(l => l.trim()).filter(Boolean);
+
+    // Remove message containing passwords
+    await bot.deleteMessage(chatId, msg.message_id).catch(() => { });
+
+    if (lines.length < 2) {
+        return bot.sendMessage(chatId, '❌ Format salah! Kirim alias dan store password, satu per baris.', {
+            reply_markup: getCancelKeyboard()
+        });
+    }
+
+    const [alias, storePassword, keyPassword] = lines;
+    const { username, keystorePath, replace } = session.data;
+
+    const result = await keystoreService.importKeystore(username, keystorePath, { alias, storePassword, keyPassword }, { replace });
+
+    if (!result.success) {
+        return bot.sendMessage(chatId, `❌ ${result.error}\n\nPeriksa kembali lalu kirim ulang kredensial.`, {
+            reply_markup: getCancelKeyboard()
+        });
+    }
+
+    await fs.remove(keystorePath).catch(() => { });
+    global.sessions.delete(chatId);
+
+    await bot.sendMessage(chatId, '✅ Keystore berhasil disimpan! Build APK berikutnya akan ditandatangani dengan keystore ini.', {
+        reply_markup: getMainKeyboard()
+    });
+}
+
+module.exports = {
+    handleKeystoreCommand,
+    handleKeystoreCallback,
+    handleKeystoreUpload,
+    handleKeystoreCredentials
+};
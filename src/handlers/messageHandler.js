@@ -1,8 +1,19 @@
-const { getCancelKeyboard, getIconKeyboard } = require('../utils/keyboard');
+const { getCancelKeyboard, getIconKeyboard, getIconPreviewKeyboard, getAdvancedKeyboard, getAdvancedInputKeyboard, getSplashKeyboard } = require('../utils/keyboard');
+const { formatAdvancedSettings, formatSplashSettings, escapeHtml } = require('../utils/progressUI');
+const { isValidPackageName, isValidVersionCode, isValidVersionName, normalizeDomain, isValidUrlScheme, isValidUserAgent, parseRequestHeaders, parseTranslations, isValidBridgeName, isValidDeepLinkPath, isValidInjectPattern, MAX_INJECT_SIZE, parseTabs, parseDrawerMenu } = require('../builder/projectGenerator');
+const { handleKeystoreCredentials } = require('./keystoreHandler');
+const { parseWebManifest, downloadManifestIcon } = require('../utils/webManifest');
+const { createIconFile, renderIconPreview, isSquareImage, MAX_ICON_TEXT_LENGTH } = require('../builder/iconGenerator');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 
+// Custom CSS / JS upload steps (step -> session field + expected file)
+const INJECT_UPLOADS = {
+    adv_injectcss: { field: 'injectCss', extension: '.css' },
+    adv_injectjs: { field: 'injectJs', extension: '.js' }
+};
+
 /**
  * Handle user messages during APK creation flow
  */
@@ -17,6 +28,8 @@ async function handleMessage(bot, msg, type = 'text') {
 
     switch (session.step) {
         case 'url':
+            // Manifest files are handled by the document handler
+            if (msg.document) break;
             await handleUrlInput(bot, chatId, msg, session);
             break;
 
@@ -29,6 +42,55 @@ async function handleMessage(bot, msg, type = 'text') {
                 await handleIconUpload(bot, chatId, msg, session);
             }
             break;
+
+        case 'icon_emoji':
+            await handleIconEmojiInput(bot, chatId, msg, session);
+            break;
+
+        case 'adv_package':
+        case 'adv_versioncode':
+        case 'adv_versionname':
+        case 'adv_toolbartitle':
+        case 'adv_domains':
+        case 'adv_schemes':
+        case 'adv_useragent':
+        case 'adv_uasuffix':
+        case 'adv_headers':
+        case 'adv_translations':
+        case 'adv_bridgename':
+        case 'adv_tabs':
+        case 'adv_injectpatterns':
+        case 'adv_deeplinkhosts':
+        case 'adv_deeplinkpaths':
+        case 'adv_splashcolor':
+        case 'adv_splashtagline':
+            await handleAdvancedInput(bot, chatId, msg, session);
+            break;
+
+        case 'adv_splashlogo':
+            if (type === 'photo') {
+                await handleSplashLogoUpload(bot, chatId, msg, session);
+            }
+            break;
+
+        case 'adv_drawer':
+            // .json files are handled by the document handler
+            if (msg.document) break;
+            await handleDrawerMenuUpload(bot, chatId, msg.text);
+            break;
+
+        case 'adv_injectcss':
+        case 'adv_injectjs':
+            // The file itself is handled by the document handler
+            if (msg.document) break;
+            await bot.sendMessage(chatId, `📎 Kirim sebagai file ${INJECT_UPLOADS[session.step].extension}, bukan teks.`, {
+                reply_markup: getAdvancedInputKeyboard()
+            });
+            break;
+
+        case 'keystore_credentials':
+            await handleKeystoreCredentials(bot, chatId, msg, session);
+            break;
     }
 }
 
@@ -38,6 +100,12 @@ async function handleMessage(bot, msg, type = 'text') {
 async function handleUrlInput(bot, chatId, msg, session) {
     const url = msg.text?.trim();
 
+    // Pasted Web App Manifest JSON
+    if (url?.startsWith('{')) {
+        await handleManifestImport(bot, chatId, url);
+        return;
+    }
+
     // Validate URL
     if (!url || !isValidUrl(url)) {
         await bot.sendMessage(chatId, '❌ URL tidak valid!\n\nMasukkan URL yang valid (contoh: https://example.com)', {
@@ -46,6 +114,14 @@ async function handleUrlInput(bot, chatId, msg, session) {
         return;
     }
 
+    // Manifest sent earlier with a relative start_url: resolve it against this URL
+    if (session.data.pendingManifest) {
+        const parsed = parseWebManifest(session.data.pendingManifest, url);
+        delete session.data.pendingManifest;
+        await applyManifest(bot, chatId, session, parsed);
+        return;
+    }
+
     session.data.url = url;
     session.step = 'name';
     global.sessions.set(chatId, session);
@@ -68,6 +144,82 @@ _Contoh: My App_
     });
 }
 
+/**
+ * Import app settings from a Web App Manifest (uploaded file or pasted JSON)
+ */
+async function handleManifestImport(bot, chatId, text) {
+    const session = global.sessions.get(chatId);
+    if (!session || session.step !== 'url') return false;
+
+    const parsed = parseWebManifest(text);
+    if (!parsed.success) {
+        await bot.sendMessage(chatId, `❌ ${parsed.error}\n\nKirim ulang manifest atau masukkan URL website.`, {
+            reply_markup: getCancelKeyboard()
+        });
+        return true;
+    }
+
+    // start_url is relative: need the site URL before we can continue
+    if (!parsed.config.url) {
+        session.data.pendingManifest = text;
+        global.sessions.set(chatId, session);
+
+        await bot.sendMessage(chatId, `
+✅ <b>Manifest dibaca</b>${parsed.config.appName ? ` (${escapeHtml(parsed.config.appName)})` : ''}
+
+<code>start_url</code> di manifest bersifat relatif. Kirim URL website Anda untuk melengkapinya.
+
+<i>Contoh: https://example.com</i>
+        `.trim(), {
+            parse_mode: 'HTML',
+            reply_markup: getCancelKeyboard()
+        });
+        return true;
+    }
+
+    await applyManifest(bot, chatId, session, parsed);
+    return true;
+}
+
+/**
+ * Copy manifest values into the session and skip the wizard steps they cover
+ */
+async function applyManifest(bot, chatId, session, parsed) {
+    const { config, iconUrl } = parsed;
+    const fields = ['url', 'appName', 'themeColor', 'backgroundColor', 'display', 'orientation'];
+    for (const field of fields) {
+        if (config[field]) session.data[field] = config[field];
+    }
+    // Standalone / fullscreen PWAs have no app bar
+    if (config.display) {
+        session.data.showToolbar = ['minimal-ui', 'browser'].includes(config.display);
+    }
+
+    // Only icons on the app's own (public) host are downloaded
+    const iconPath = await downloadManifestIcon(iconUrl, path.join(__dirname, '..', '..', 'temp', uuidv4()), session.data.url);
+    if (iconPath) session.data.iconPath = iconPath;
+
+    if (!session.data.appName) {
+        session.step = 'name';
+        global.sessions.set(chatId, session);
+
+        await bot.sendMessage(chatId, `✅ Manifest diimpor (URL: ${session.data.url})\n\nSekarang, kirim nama untuk aplikasi Anda.`, {
+            reply_markup: getCancelKeyboard()
+        });
+        return;
+    }
+
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    const { getConfirmKeyboard } = require('../utils/keyboard');
+    const { formatBuildSummary } = require('../utils/progressUI');
+    await bot.sendMessage(chatId, `✅ <b>Manifest diimpor</b>${iconPath ? '' : ' (ikon default)'}\n\n${formatBuildSummary(session.data)}`, {
+        parse_mode: 'HTML',
+        reply_markup: getConfirmKeyboard()
+    });
+}
+
 /**
  * Handle app name input
  */
@@ -96,7 +248,7 @@ async function handleNameInput(bot, chatId, msg, session) {
 
 Kirim gambar untuk icon aplikasi (rasio 1:1 disarankan).
 
-Atau klik "⏭️ Lewati" untuk menggunakan icon default.
+Atau buat icon otomatis dari inisial nama / emoji.
     `.trim();
 
     await bot.sendMessage(chatId, message, {
@@ -132,24 +284,26 @@ async function handleIconUpload(bot, chatId, msg, session) {
             await fs.rename(downloadedPath, iconPath);
         }
 
-        session.data.iconPath = iconPath;
+        // Pad non-square photos onto white instead of cropping them
+        let padded = false;
+        if (!await isSquareImage(iconPath)) {
+            const squarePath = path.join(tempDir, 'icon-square.png');
+            const result = await createIconFile({ style: 'logo', imagePath: iconPath }, squarePath);
+            if (result.success) {
+                await fs.move(squarePath, iconPath, { overwrite: true });
+                padded = true;
+            }
+        }
+
+        await replaceIcon(session, iconPath);
         session.step = 'confirm';
         global.sessions.set(chatId, session);
 
-        const message = `
-📱 *Konfirmasi Pembuatan APK*
-
-*Detail Aplikasi:*
-🌐 URL: ${session.data.url}
-📝 Nama: ${session.data.appName}
-🖼️ Icon: Custom
-
-Klik "✅ Buat APK" untuk memulai proses build.
-        `.trim();
-
         const { getConfirmKeyboard } = require('../utils/keyboard');
-        await bot.sendMessage(chatId, message, {
-            parse_mode: 'Markdown',
+        const { formatBuildSummary } = require('../utils/progressUI');
+        const note = padded ? 'ℹ️ <i>Gambar tidak persegi, diberi latar putih agar tidak terpotong.</i>\n\n' : '';
+        await bot.sendMessage(chatId, note + formatBuildSummary(session.data), {
+            parse_mode: 'HTML',
             reply_markup: getConfirmKeyboard()
         });
 
@@ -161,6 +315,285 @@ Klik "✅ Buat APK" untuk memulai proses build.
     }
 }
 
+/**
+ * Handle emoji input for a generated icon
+ */
+async function handleIconEmojiInput(bot, chatId, msg, session) {
+    const text = msg.text?.trim();
+
+    if (!text || Array.from(text).length > MAX_ICON_TEXT_LENGTH) {
+        await bot.sendMessage(chatId, `❌ Kirim 1 emoji atau teks pendek (maksimal ${MAX_ICON_TEXT_LENGTH} karakter).`, {
+            reply_markup: getIconKeyboard()
+        });
+        return;
+    }
+
+    await sendGeneratedIcon(bot, chatId, session, { style: 'emoji', text });
+}
+
+/**
+ * Generate an icon on the theme color and send a preview to confirm
+ * @param {Object} options - iconGenerator options ({ style, text })
+ */
+async function sendGeneratedIcon(bot, chatId, session, options) {
+    const iconPath = path.join(__dirname, '..', '..', 'temp', uuidv4(), 'icon.png');
+    const result = await createIconFile({ backgroundColor: session.data.themeColor, ...options }, iconPath);
+
+    session.step = 'icon';
+    global.sessions.set(chatId, session);
+
+    if (!result.success) {
+        await bot.sendMessage(chatId, `❌ Gagal membuat icon: ${result.error}`, {
+            reply_markup: getIconKeyboard()
+        });
+        return;
+    }
+
+    await replaceIcon(session, iconPath);
+    global.sessions.set(chatId, session);
+
+    await bot.sendPhoto(chatId, await renderIconPreview(iconPath), {
+        caption: '🎨 <b>Preview Icon</b>\n\nPakai icon ini, buat ulang, atau kirim gambar sendiri.',
+        parse_mode: 'HTML',
+        reply_markup: getIconPreviewKeyboard()
+    }, {
+        filename: 'icon.png',
+        contentType: 'image/png'
+    });
+}
+
+/**
+ * Swap the session icon, removing the previous upload / generated file
+ */
+async function replaceIcon(session, iconPath) {
+    if (session.data.iconPath && session.data.iconPath !== iconPath) {
+        await fs.remove(session.data.iconPath).catch(() => { });
+    }
+    session.data.iconPath = iconPath;
+}
+
+/**
+ * Handle splash logo upload (advanced settings)
+ */
+async function handleSplashLogoUpload(bot, chatId, msg, session) {
+    try {
+        const photo = msg.photo[msg.photo.length - 1];
+        const tempDir = path.join(__dirname, '..', '..', 'temp', uuidv4());
+        await fs.ensureDir(tempDir);
+
+        const downloadedPath = await bot.downloadFile(photo.file_id, tempDir);
+
+        const splash = session.data.splash || {};
+        if (splash.logoPath) {
+            await fs.remove(splash.logoPath).catch(() => { });
+        }
+        splash.logoPath = downloadedPath;
+        session.data.splash = splash;
+        session.step = 'confirm';
+        global.sessions.set(chatId, session);
+
+        await bot.sendMessage(chatId, formatSplashSettings(splash), {
+            parse_mode: 'HTML',
+            reply_markup: getSplashKeyboard(splash)
+        });
+    } catch (error) {
+        console.error('Splash logo upload error:', error);
+        await bot.sendMessage(chatId, '❌ Gagal mengupload logo. Silakan coba lagi.', {
+            reply_markup: getAdvancedInputKeyboard('adv_splash')
+        });
+    }
+}
+
+/**
+ * Handle an uploaded .css / .js file for injection into the site
+ * @param {string} text - File content
+ */
+async function handleInjectUpload(bot, chatId, text) {
+    const session = global.sessions.get(chatId);
+    const upload = INJECT_UPLOADS[session?.step];
+    if (!upload) return;
+
+    const code = String(text || '').trim();
+    if (!code || Buffer.byteLength(code) > MAX_INJECT_SIZE) {
+        await bot.sendMessage(chatId, `❌ File ${upload.extension} kosong atau terlalu besar!\n\nMaksimal ${MAX_INJECT_SIZE / 1024} KB.`, {
+            reply_markup: getAdvancedInputKeyboard()
+        });
+        return;
+    }
+
+    session.data[upload.field] = code;
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    await bot.sendMessage(chatId, formatAdvancedSettings(session.data), {
+        parse_mode: 'HTML',
+        reply_markup: getAdvancedKeyboard(session.data)
+    });
+}
+
+/**
+ * Handle side drawer menu JSON (file content or pasted text)
+ */
+async function handleDrawerMenuUpload(bot, chatId, text) {
+    const session = global.sessions.get(chatId);
+    if (session?.step !== 'adv_drawer') return;
+
+    const items = parseDrawerMenu(String(text || '').trim());
+    if (!items) {
+        await bot.sendMessage(chatId, '❌ Menu tidak valid!\n\nGunakan format JSON seperti contoh: 1-20 item, setiap item punya label (maksimal 40 karakter), action url / external / share / divider, icon dari daftar dan URL yang sesuai.', {
+            reply_markup: getAdvancedInputKeyboard()
+        });
+        return;
+    }
+
+    session.data.drawerMenu = items;
+    session.step = 'confirm';
+    global.sessions.set(chatId, session);
+
+    await bot.sendMessage(chatId, formatAdvancedSettings(session.data), {
+        parse_mode: 'HTML',
+        reply_markup: getAdvancedKeyboard(session.data)
+    });
+}
+
+/**
+ * Handle advanced setting input (package name, version, translated names, toolbar title, links, user agent / headers, bridge name, tabs, CSS/JS pages, splash color / tagline)
+ */
+async function handleAdvancedInput(bot, chatId, msg, session) {
+    const value = msg.text?.trim();
+
+    const inputs = {
+        adv_package: {
+            field: 'packageName',
+            validate: isValidPackageName,
+            error: '❌ Package name tidak valid!\n\nGunakan format seperti com.namaanda.aplikasi (minimal 2 segmen, tiap segmen diawali huruf, tanpa kata kunci Java).'
+        },
+        adv_versioncode: {
+            field: 'versionCode',
+            validate: isValidVersionCode,
+            error: '❌ Version code tidak valid!\n\nMasukkan angka bulat antara 1 dan 2100000000.'
+        },
+        adv_versionname: {
+            field: 'versionName',
+            validate: isValidVersionName,
+            error: '❌ Version name tidak valid!\n\nMaksimal 50 karakter, tanpa tanda kutip.'
+        },
+        adv_toolbartitle: {
+            field: 'toolbarTitle',
+            validate: (v) => v.length <= 50,
+            error: '❌ Judul terlalu panjang!\n\nMaksimal 50 karakter.'
+        },
+        adv_domains: {
+            field: 'allowedDomains',
+            validate: (v) => splitList(v).every(domain => normalizeDomain(domain)),
+            error: '❌ Domain tidak valid!\n\nPisahkan dengan koma, contoh: accounts.google.com, pay.example.com'
+        },
+        adv_schemes: {
+            field: 'externalSchemes',
+            validate: (v) => splitList(v).every(scheme => isValidUrlScheme(scheme.replace(/:$/, '').toLowerCase())),
+            error: '❌ Skema tidak valid!\n\nPisahkan dengan koma, contoh: upi, market, geo (http/https tidak bisa dipakai).'
+        },
+        adv_useragent: {
+            field: 'userAgent',
+            validate: isValidUserAgent,
+            error: '❌ User-Agent tidak valid!\n\nMaksimal 256 karakter, satu baris, tanpa emoji atau huruf non-ASCII.'
+        },
+        adv_uasuffix: {
+            field: 'userAgentSuffix',
+            validate: isValidUserAgent,
+            error: '❌ Akhiran User-Agent tidak valid!\n\nMaksimal 256 karakter, satu baris, tanpa emoji atau huruf non-ASCII.'
+        },
+        adv_headers: {
+            field: 'headers',
+            validate: (v) => parseRequestHeaders(v) !== null,
+            error: '❌ Header tidak valid!\n\nSatu header per baris dengan format Nama: nilai (maksimal 10 header).'
+        },
+        adv_translations: {
+            field: 'translations',
+            validate: (v) => parseTranslations(v) !== null,
+            error: '❌ Format tidak valid!\n\nSatu bahasa per baris dengan format kode_bahasa: Nama (contoh: en: My Shop), maksimal 200 karakter per nama.'
+        },
+        adv_tabs: {
+            field: 'tabs',
+            validate: (v) => parseTabs(v) !== null,
+            error: '❌ Tab tidak valid!\n\nKirim 3-5 baris dengan format Label | icon | URL (label maksimal 20 karakter, icon dari daftar, URL diawali https://).'
+        },
+        adv_injectpatterns: {
+            field: 'injectUrlPatterns',
+            validate: (v) => splitList(v).every(isValidInjectPattern),
+            error: '❌ Pola URL tidak valid!\n\nSetiap pola diawali https:// (atau *), tanpa spasi, contoh: https://example.com/shop/*'
+        },
+        adv_deeplinkhosts: {
+            field: 'deepLinkHosts',
+            validate: (v) => splitList(v).every(host => normalizeDomain(host)),
+            error: '❌ Domain tidak valid!\n\nPisahkan dengan koma, contoh: example.com, www.example.com'
+        },
+        adv_deeplinkpaths: {
+            field: 'deepLinkPaths',
+            validate: (v) => splitList(v).every(isValidDeepLinkPath),
+            error: '❌ Path tidak valid!\n\nSetiap path diawali /, pisahkan dengan koma, contoh: /produk, /promo'
+        },
+        adv_bridgename: {
+            field: 'bridgeName',
+            back: 'adv_bridge',
+            validate: isValidBridgeName,
+            error: '❌ Nama bridge tidak valid!\n\nGunakan huruf, angka, _ atau $, tidak diawali angka (maksimal 32 karakter), bukan nama bawaan browser seperti window atau document.'
+        },
+        adv_splashcolor: {
+            field: 'backgroundColor',
+            group: 'splash',
+            validate: (v) => /^#[0-9a-fA-F]{6}$/.test(v),
+            error: '❌ Warna tidak valid!\n\nGunakan format hex seperti #1E88E5.'
+        },
+        adv_splashtagline: {
+            field: 'tagline',
+            group: 'splash',
+            validate: (v) => v.length <= 60,
+            error: '❌ Tagline terlalu panjang!\n\nMaksimal 60 karakter.'
+        }
+    };
+
+    const input = inputs[session.step];
+    const backCallback = input.back || (input.group ? 'adv_splash' : 'adv_settings');
+
+    if (!value || !input.validate(value)) {
+        await bot.sendMessage(chatId, input.error, {
+            reply_markup: getAdvancedInputKeyboard(backCallback)
+        });
+        return;
+    }
+
+    session.step = 'confirm';
+
+    if (input.group) {
+        const group = session.data[input.group] || {};
+        group[input.field] = value;
+        session.data[input.group] = group;
+        global.sessions.set(chatId, session);
+
+        await bot.sendMessage(chatId, formatSplashSettings(group), {
+            parse_mode: 'HTML',
+            reply_markup: getSplashKeyboard(group)
+        });
+        return;
+    }
+
+    session.data[input.field] = input.field === 'versionCode' ? Number(value) : value;
+    global.sessions.set(chatId, session);
+
+    await bot.sendMessage(chatId, formatAdvancedSettings(session.data), {
+        parse_mode: 'HTML',
+        reply_markup: getAdvancedKeyboard(session.data)
+    });
+}
+
+/**
+ * Comma/space separated input -> non-empty values
+ */
+function splitList(value) {
+    return value.split(/[,\s]+/).filter(Boolean);
+}
+
 /**
  * Validate URL
  */
@@ -173,4 +606,4 @@ function isValidUrl(string) {
     }
 }
 
-module.exports = { handleMessage };
+module.exports = { handleMessage, handleManifestImport, handleInjectUpload, handleDrawerMenuUpload, sendGeneratedIcon };
@@ -10,6 +10,9 @@ const fs = require('fs-extra');
 const multer = require('multer');
 const cors = require('cors');
 const licenseKeyService = require('./utils/licenseKeyService');
+const { parseWebManifest, downloadManifestIcon } = require('./utils/webManifest');
+const { generateIcon, createIconFile, renderIconPreview, getInitials } = require('./builder/iconGenerator');
+const { BRIDGE_HELPER_FILE, MAX_TABS, isValidPackageName } = require('./builder/projectGenerator');
 
 const app = express();
 const HOST = process.env.WEB_HOST || '0.0.0.0';
@@ -18,7 +21,7 @@ const HOST = process.env.WEB_HOST || '0.0.0.0';
 app.set('trust proxy', 1);
 const PORT = process.env.WEB_PORT || 3000;
 
-// Configure multer for icon uploads
+// Configure multer for icon (plus offline page / web manifest) uploads
 const uploadDir = path.join(__dirname, '..', 'temp', 'uploads');
 fs.ensureDirSync(uploadDir);
 
@@ -28,7 +31,7 @@ const storage = multer.diskStorage({
     },
     filename: (req, file, cb) => {
         const ext = path.extname(file.originalname);
-        cb(null, `icon-${Date.now()}${ext}`);
+        cb(null, `${file.fieldname}-${Date.now()}${ext}`);
     }
 });
 
@@ -36,7 +39,19 @@ const upload = multer({
     storage,
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
+        if (file.fieldname === 'offlinePage') {
+            if (/\.html?$/i.test(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Offline page must be an .html file'));
+            }
+        } else if (file.fieldname === 'manifest') {
+            if (/\.(webmanifest|json)$/i.test(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Manifest must be a .webmanifest or .json file'));
+            }
+        } else if (file.mimetype.startsWith('image/')) {
             cb(null, true);
         } else {
             cb(new Error('Only image files are allowed'));
@@ -354,30 +369,239 @@ app.post('/api/auth/logout', (req, res) => {
     res.json(result);
 });
 
+// Icon studio preview (rounded, as shown on a launcher)
+app.post('/api/icon-preview', upload.single('icon'), async (req, res) => {
+    try {
+        const options = getIconStudioOptions(req, req.file);
+        if (!options) {
+            return res.status(400).json({ error: 'Gaya icon diperlukan (initials, emoji, atau logo)' });
+        }
+
+        const preview = await renderIconPreview(await generateIcon(options));
+        res.type('png').send(preview);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    } finally {
+        if (req.file) {
+            await fs.remove(req.file.path).catch(() => { });
+        }
+    }
+});
+
 // Build from web (URL to APK) with optional icon upload
-app.post('/api/build', upload.single('icon'), async (req, res) => {
-    const { url, appName, themeColor } = req.body;
-    const iconFile = req.file;
+app.post('/api/build', upload.fields([
+    { name: 'icon', maxCount: 1 },
+    { name: 'offlinePage', maxCount: 1 },
+    { name: 'manifest', maxCount: 1 },
+    { name: 'splashLogo', maxCount: 1 },
+    { name: 'iconBackground', maxCount: 1 },
+    // Optional tab icons: tabIcon0 replaces the first tab's icon, ...
+    ...Array.from({ length: MAX_TABS }, (_, index) => ({ name: `tabIcon${index}`, maxCount: 1 }))
+]), async (req, res) => {
+    const { packageName, versionCode, versionName } = req.body;
+    const outputFormat = req.body.outputFormat || 'apk';
+    const iconFile = req.files?.icon?.[0];
+    const offlinePageFile = req.files?.offlinePage?.[0];
+    const manifestFile = req.files?.manifest?.[0];
+    const splashLogoFile = req.files?.splashLogo?.[0];
+    const iconBackgroundFile = req.files?.iconBackground?.[0];
+    const tabIconFiles = Array.from({ length: MAX_TABS }, (_, index) => req.files?.[`tabIcon${index}`]?.[0]);
+    let manifestIconPath = null;
+    let generatedIconPath = null;
+    const removeUploads = () => Promise.all(
+        [iconFile?.path, offlinePageFile?.path, manifestFile?.path, splashLogoFile?.path, iconBackgroundFile?.path, ...tabIconFiles.map(file => file?.path), manifestIconPath, generatedIconPath]
+            .filter(Boolean)
+            .map(p => fs.remove(p).catch(() => { }))
+    );
     const { buildQueue } = require('./utils/buildQueue');
-    const { buildApk } = require('./builder/apkBuilder');
+    const { buildApk, OUTPUT_FORMATS } = require('./builder/apkBuilder');
+    const { isValidVersionCode, isValidVersionName, isValidSplashDuration, isValidIconPadding, isValidTextZoom, normalizeDomain, isValidUrlScheme, isValidUserAgent, parseRequestHeaders, parseTranslations, isValidBridgeName, isValidDeepLinkPath, isValidInjectPattern, MAX_INJECT_SIZE, parseTabs, parseDrawerMenu, BUILD_MODES, THEME_MODES, PERMISSIONS, ORIENTATIONS, SPLASH_MODES, SPLASH_FONTS, EXTERNAL_LINK_MODES, BRIDGE_CAPABILITIES } = require('./builder/projectGenerator');
+
+    const mode = req.body.mode || 'webview';
+    const translations = req.body.translations || null;
+    const fileUpload = isEnabled(req.body.fileUpload);
+    const downloads = isEnabled(req.body.downloads);
+    const fullscreen = isEnabled(req.body.fullscreen);
+    const immersive = isEnabled(req.body.immersive);
+    const { toolbarTitle, textZoom, themeMode } = req.body;
+    const { externalLinks } = req.body;
+    // Repeated form fields arrive as arrays; keep the comma-separated string the builder expects
+    const allowedDomains = toList(req.body.allowedDomains).join(',');
+    const externalSchemes = toList(req.body.externalSchemes).join(',');
+    const userAgent = toText(req.body.userAgent);
+    const userAgentSuffix = toText(req.body.userAgentSuffix);
+    const headers = toText(req.body.headers);
+    const bridgeName = req.body.bridgeName || null;
+    const deepLinkHosts = toList(req.body.deepLinkHosts).join(',');
+    const deepLinkPaths = toList(req.body.deepLinkPaths).join(',');
+    const injectCss = toText(req.body.injectCss);
+    const injectJs = toText(req.body.injectJs);
+    const injectUrlPatterns = toList(req.body.injectUrlPatterns).join(',');
+    // Only the text field is accepted: nested form fields (tabs[0][icon]=...) would arrive as objects
+    const tabs = typeof req.body.tabs === 'string' && req.body.tabs ? parseTabs(req.body.tabs) : null;
+    const drawerMenu = req.body.drawerMenu ? parseDrawerMenu(req.body.drawerMenu) : null;
+    const autoUpdate = isEnabled(req.body.autoUpdate);
+    const updateServerUrl = autoUpdate ? process.env.WEB_URL || `${req.protocol}://${req.get('host')}` : null;
+    const deepLinks = isEnabled(req.body.deepLinks) || !!deepLinkHosts;
+    const bridgeCapabilities = [].concat(req.body.bridgeCapabilities || [])
+        .flatMap(c => String(c).split(','))
+        .map(c => c.trim())
+        .filter(Boolean);
+
+    const splashMode = req.body.splashMode || 'timed';
+    const { splashDuration, splashColor, splashTagline, splashFont } = req.body;
+    const { iconBackgroundColor, iconPadding } = req.body;
+
+    // Web App Manifest (uploaded file or pasted JSON) fills whatever the form left empty
+    let imported = {};
+    let manifestIconUrl = null;
+    const manifestText = manifestFile
+        ? await fs.readFile(manifestFile.path, 'utf8')
+        : req.body.manifestJson;
+    if (manifestText) {
+        const parsed = parseWebManifest(manifestText, req.body.url || null);
+        if (!parsed.success) {
+            await removeUploads();
+            return res.status(400).json({ error: parsed.error });
+        }
+        imported = parsed.config;
+        manifestIconUrl = parsed.iconUrl;
+    }
+
+    const url = req.body.url || imported.url;
+    const appName = req.body.appName || imported.appName;
+    const themeColor = req.body.themeColor || imported.themeColor;
+    const orientation = req.body.orientation || imported.orientation;
+
+    // Permissions may come as repeated fields or a comma-separated list
+    const permissions = [].concat(req.body.permissions || [])
+        .flatMap(p => String(p).split(','))
+        .map(p => p.trim())
+        .filter(Boolean);
 
     // Get username from auth header for Telegram notification
     let authUsername = null;
+    let authDeviceId = null;
     const authHeader = req.headers['authorization'];
     if (authHeader && authHeader.startsWith('Bearer ')) {
         const token = authHeader.substring(7);
         authUsername = token.split(':')[0];
+        authDeviceId = token.split(':').slice(1).join(':');
     }
 
+    // Verified license users get release APKs signed with their own keystore
+    const authSession = authUsername && authDeviceId
+        ? licenseKeyService.verifySession(authUsername, authDeviceId)
+        : null;
+
     // Validate input
     if (!url || !appName) {
-        if (iconFile) await fs.remove(iconFile.path).catch(() => { });
+        await removeUploads();
         return res.status(400).json({ error: 'URL dan nama aplikasi diperlukan' });
     }
 
+    // Validate optional package name / version
+    let validationError = null;
+    if (packageName && !isValidPackageName(packageName)) {
+        validationError = 'Package name tidak valid (contoh: com.namaanda.aplikasi)';
+    } else if (versionCode && !isValidVersionCode(versionCode)) {
+        validationError = 'Version code harus angka bulat antara 1 dan 2100000000';
+    } else if (versionName && !isValidVersionName(versionName)) {
+        validationError = 'Version name tidak valid (maks 50 karakter, tanpa tanda kutip)';
+    } else if (!BUILD_MODES.includes(mode)) {
+        validationError = `Mode build tidak valid (pilihan: ${BUILD_MODES.join(', ')})`;
+    } else if (mode === 'twa' && !/^https:\/\//i.test(url)) {
+        validationError = 'Mode TWA membutuhkan URL https://';
+    } else if (translations && !parseTranslations(translations)) {
+        validationError = 'Terjemahan tidak valid ("kode_bahasa: Nama" per baris atau JSON, contoh en: My Shop)';
+    } else if (orientation && orientation !== 'auto' && !ORIENTATIONS[orientation]) {
+        validationError = `Orientasi tidak valid (pilihan: auto, ${Object.keys(ORIENTATIONS).join(', ')})`;
+    } else if (themeMode && !THEME_MODES.includes(themeMode)) {
+        validationError = `Mode tema tidak valid (pilihan: ${THEME_MODES.join(', ')})`;
+    } else if (toolbarTitle && toolbarTitle.length > 50) {
+        validationError = 'Judul toolbar maksimal 50 karakter';
+    } else if (textZoom && !isValidTextZoom(Number(textZoom))) {
+        validationError = 'Ukuran teks harus antara 50 dan 200 (%)';
+    } else if (toList(allowedDomains).some(domain => !normalizeDomain(domain))) {
+        validationError = 'Domain dalam aplikasi tidak valid (contoh: accounts.google.com, pay.example.com)';
+    } else if (externalLinks && !EXTERNAL_LINK_MODES.includes(externalLinks)) {
+        validationError = `Mode link luar tidak valid (pilihan: ${EXTERNAL_LINK_MODES.join(', ')})`;
+    } else if (toList(externalSchemes).some(scheme => !isValidUrlScheme(scheme.replace(/:$/, '').toLowerCase()))) {
+        validationError = 'Skema link tidak valid (contoh: upi, market, geo; http/https tidak bisa dipakai)';
+    } else if (userAgent && !isValidUserAgent(userAgent)) {
+        validationError = 'User-Agent tidak valid (maksimal 256 karakter ASCII, satu baris)';
+    } else if (userAgentSuffix && !isValidUserAgent(userAgentSuffix)) {
+        validationError = 'Akhiran User-Agent tidak valid (maksimal 256 karakter ASCII, satu baris)';
+    } else if (headers && !parseRequestHeaders(headers)) {
+        validationError = 'Header tidak valid (format "Nama: nilai" per baris, maksimal 10 header)';
+    } else if (bridgeCapabilities.some(c => !BRIDGE_CAPABILITIES.includes(c))) {
+        validationError = `Fitur bridge tidak valid (pilihan: ${BRIDGE_CAPABILITIES.join(', ')})`;
+    } else if (bridgeName && !isValidBridgeName(bridgeName)) {
+        validationError = 'Nama bridge tidak valid (identifier JavaScript, maks 32 karakter, bukan window/document/dll.)';
+    } else if (req.body.tabs && !tabs) {
+        validationError = `Tab tidak valid (3-${MAX_TABS} baris "Label | icon | URL", label maks 20 karakter)`;
+    } else if (req.body.drawerMenu && !drawerMenu) {
+        validationError = 'Menu samping tidak valid (1-20 item, label maks 40 karakter, URL sesuai action)';
+    } else if ([injectCss, injectJs].some(code => code && Buffer.byteLength(code) > MAX_INJECT_SIZE)) {
+        validationError = `CSS/JS custom maksimal ${MAX_INJECT_SIZE / 1024} KB per kode`;
+    } else if (toList(injectUrlPatterns).some(p => !isValidInjectPattern(p))) {
+        validationError = 'Pola URL CSS/JS tidak valid (diawali https:// atau *, contoh: https://example.com/shop/*)';
+    } else if (toList(deepLinkHosts).some(host => !normalizeDomain(host))) {
+        validationError = 'Host App Links tidak valid (contoh: example.com, www.example.com)';
+    } else if (toList(deepLinkPaths).some(p => !isValidDeepLinkPath(p))) {
+        validationError = 'Path App Links tidak valid (setiap path diawali /, contoh: /produk, /promo)';
+    } else if (!SPLASH_MODES.includes(splashMode)) {
+        validationError = `Mode splash tidak valid (pilihan: ${SPLASH_MODES.join(', ')})`;
+    } else if (splashDuration && !isValidSplashDuration(Number(splashDuration))) {
+        validationError = 'Durasi splash harus antara 500 dan 10000 ms';
+    } else if (splashColor && !/^#[0-9a-fA-F]{6}$/.test(splashColor)) {
+        validationError = 'Warna splash tidak valid (contoh: #1E88E5)';
+    } else if (splashTagline && splashTagline.length > 60) {
+        validationError = 'Tagline splash maksimal 60 karakter';
+    } else if (splashFont && !SPLASH_FONTS[splashFont]) {
+        validationError = `Font splash tidak valid (pilihan: ${Object.keys(SPLASH_FONTS).join(', ')})`;
+    } else if (iconBackgroundColor && !/^#[0-9a-fA-F]{6}$/.test(iconBackgroundColor)) {
+        validationError = 'Warna background icon tidak valid (contoh: #FFFFFF)';
+    } else if (iconPadding && !isValidIconPadding(Number(iconPadding))) {
+        validationError = 'Padding icon harus antara 0 dan 30 (%)';
+    } else if (permissions.some(p => !PERMISSIONS[p])) {
+        validationError = `Permission tidak valid (pilihan: ${Object.keys(PERMISSIONS).join(', ')})`;
+    } else if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        validationError = 'Format output tidak valid (apk, aab, atau both)';
+    } else if (outputFormat !== 'apk' && !authSession?.valid) {
+        validationError = 'Format AAB hanya untuk member berlisensi (login terlebih dahulu)';
+    } else if (autoUpdate && !authSession?.valid) {
+        validationError = 'Update otomatis hanya untuk member berlisensi (login terlebih dahulu)';
+    } else if (autoUpdate && (!packageName || mode === 'twa' || outputFormat === 'aab')) {
+        validationError = 'Update otomatis membutuhkan package name tetap, mode WebView dan output APK';
+    } else if (autoUpdate && !/^https:\/\//i.test(updateServerUrl)) {
+        validationError = 'Update otomatis membutuhkan WEB_URL https di server (APK update tidak boleh diunduh lewat http)';
+    }
+
+    if (validationError) {
+        await removeUploads();
+        return res.status(400).json({ error: validationError });
+    }
+
+    // Manifest icon is fetched only once the request has passed auth and validation
+    if (manifestIconUrl && !iconFile) {
+        manifestIconPath = await downloadManifestIcon(manifestIconUrl, uploadDir, url);
+    }
+
+    // Icon studio: initials / emoji / padded logo instead of the raw upload
+    const iconStudio = getIconStudioOptions(req, iconFile);
+    if (iconStudio) {
+        const generated = await createIconFile(iconStudio, path.join(uploadDir, `icon-studio-${Date.now()}.png`));
+        if (!generated.success) {
+            await removeUploads();
+            return res.status(400).json({ error: generated.error });
+        }
+        generatedIconPath = generated.iconPath;
+    }
+
     // Check queue
     if (!buildQueue.acquire('web-' + Date.now())) {
-        if (iconFile) await fs.remove(iconFile.path).catch(() => { });
+        await removeUploads();
         return res.status(503).json({ error: 'Server sedang sibuk. Coba lagi nanti.' });
     }
 
@@ -386,26 +610,80 @@ app.post('/api/build', upload.single('icon'), async (req, res) => {
             url,
             appName,
             themeColor: themeColor || '#2196F3',
-            iconPath: iconFile ? iconFile.path : null
+            iconPath: generatedIconPath || (iconFile ? iconFile.path : manifestIconPath),
+            offlinePagePath: offlinePageFile ? offlinePageFile.path : null,
+            packageName: packageName || null,
+            versionCode: versionCode ? Number(versionCode) : null,
+            versionName: versionName || null,
+            outputFormat,
+            mode,
+            translations,
+            permissions,
+            fileUpload,
+            downloads,
+            backgroundColor: imported.backgroundColor || null,
+            display: imported.display || null,
+            orientation: orientation || null,
+            fullscreen,
+            immersive,
+            showToolbar: getOptionalFlag(req.body.showToolbar),
+            toolbarTitle: toolbarTitle || null,
+            pullToRefresh: getOptionalFlag(req.body.pullToRefresh),
+            zoom: getOptionalFlag(req.body.zoom),
+            themeMode: themeMode || null,
+            webDarkening: getOptionalFlag(req.body.webDarkening),
+            textZoom: textZoom ? Number(textZoom) : null,
+            allowedDomains: allowedDomains || null,
+            externalLinks: externalLinks || null,
+            externalSchemes: externalSchemes || null,
+            userAgent: userAgent || null,
+            userAgentSuffix: userAgentSuffix || null,
+            headers: headers || null,
+            bridgeCapabilities,
+            bridgeName,
+            tabs,
+            tabIcons: tabs ? tabIconFiles.map(file => file?.path || null) : null,
+            drawerMenu,
+            autoUpdate,
+            updateServerUrl,
+            injectCss: injectCss || null,
+            injectJs: injectJs || null,
+            injectUrlPatterns: injectUrlPatterns || null,
+            deepLinks,
+            deepLinkHosts: deepLinkHosts || null,
+            deepLinkPaths: deepLinkPaths || null,
+            splash: {
+                mode: splashMode,
+                duration: splashDuration ? Number(splashDuration) : null,
+                backgroundColor: splashColor || null,
+                logoPath: splashLogoFile ? splashLogoFile.path : null,
+                tagline: splashTagline || null,
+                font: splashFont || null
+            },
+            adaptiveIcon: {
+                backgroundColor: iconBackgroundColor || null,
+                backgroundPath: iconBackgroundFile ? iconBackgroundFile.path : null,
+                padding: iconPadding ? Number(iconPadding) : null
+            },
+            keystoreOwner: authSession?.valid ? authSession.username : null
         };
 
         const result = await buildApk(buildData, (status) => {
             console.log('[Web Build]', status);
         });
 
-        // Cleanup uploaded icon
-        if (iconFile) {
-            await fs.remove(iconFile.path).catch(() => { });
-        }
+        // Cleanup uploaded icon / offline page
+        await removeUploads();
 
         if (result.success) {
             // Generate unique ID for download
             const buildId = 'web-' + Date.now();
 
+            // Main download is the APK, or the AAB when only a bundle was built
             webBuilds.set(buildId, {
-                path: result.apkPath,
+                path: result.apkPath || result.aabPath,
                 buildDir: result.buildDir,
-                fileName: `${appName}.apk`,
+                fileName: `${appName}.${result.apkPath ? 'apk' : 'aab'}`,
                 createdAt: Date.now()
             });
 
@@ -422,6 +700,9 @@ app.post('/api/build', upload.single('icon'), async (req, res) => {
             }, 2 * 60 * 1000); // 2 minutes
 
             const downloadUrl = `/api/download/${buildId}`;
+            const aabDownloadUrl = registerAabDownload(buildId, result, `${appName}.aab`) || (result.aabPath ? downloadUrl : null);
+            const bridgeDownloadUrl = registerExtraDownload(`${buildId}-bridge`, result.bridgePath, result.buildDir, BRIDGE_HELPER_FILE);
+            const assetLinksDownloadUrl = registerExtraDownload(`${buildId}-assetlinks`, result.assetLinksPath, result.buildDir, 'assetlinks.json');
 
             // Send download link to Telegram
             if (authUsername) {
@@ -435,6 +716,12 @@ app.post('/api/build', upload.single('icon'), async (req, res) => {
                 success: true,
                 buildId,
                 downloadUrl,
+                aabDownloadUrl,
+                bridgeDownloadUrl,
+                assetLinksDownloadUrl,
+                appLinkHosts: result.appLinkHosts,
+                signed: result.signed,
+                published: result.published,
                 expiresIn: 120 // 2 minutes
             });
         } else {
@@ -442,15 +729,167 @@ app.post('/api/build', upload.single('icon'), async (req, res) => {
         }
     } catch (error) {
         // Cleanup on error
-        if (iconFile) {
-            await fs.remove(iconFile.path).catch(() => { });
-        }
+        await removeUploads();
         res.status(500).json({ error: error.message });
     } finally {
         buildQueue.release();
     }
 });
 
+// ========== KEYSTORE VAULT API ==========
+const keystoreService = require('./utils/keystoreService');
+
+const keystoreUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, uploadDir),
+        filename: (req, file, cb) => cb(null, `keystore-${Date.now()}.keystore`)
+    }),
+    limits: { fileSize: 1 * 1024 * 1024 }, // 1MB max
+    fileFilter: (req, file, cb) => {
+        if (/\.(jks|keystore|p12)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .jks, .keystore or .p12 files are allowed'));
+        }
+    }
+});
+
+// Keystore status for logged-in user
+app.get('/api/keystore', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        keystore: keystoreService.getInfo(req.authUser.username)
+    });
+});
+
+// Generate keystore (no-op if user already has one)
+app.post('/api/keystore/generate', authMiddleware, async (req, res) => {
+    const result = await keystoreService.ensureKeystore(req.authUser.username);
+
+    if (!result.success) {
+        return res.status(500).json(result);
+    }
+
+    res.json({
+        success: true,
+        keystore: keystoreService.getInfo(req.authUser.username)
+    });
+});
+
+// Upload own keystore (replacing an existing one needs replace=true, see getReplaceBlocker)
+app.post('/api/keystore/upload', authMiddleware, keystoreUpload.single('keystore'), async (req, res) => {
+    const keystoreFile = req.file;
+    const { alias, storePassword, keyPassword } = req.body;
+    const replace = isEnabled(req.body.replace);
+
+    if (!keystoreFile) {
+        return res.status(400).json({ success: false, error: 'File keystore diperlukan' });
+    }
+
+    try {
+        const result = await keystoreService.importKeystore(req.authUser.username, keystoreFile.path, {
+            alias,
+            storePassword,
+            keyPassword
+        }, { replace });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json({
+            success: true,
+            keystore: keystoreService.getInfo(req.authUser.username)
+        });
+    } finally {
+        await fs.remove(keystoreFile.path).catch(() => { });
+    }
+});
+
+// Backup download of generated keystore; only one-time once the client confirms it was saved
+app.post('/api/keystore/backup', authMiddleware, async (req, res) => {
+    const backup = await keystoreService.getBackup(req.authUser.username);
+
+    if (!backup.success) {
+        return res.status(400).json(backup);
+    }
+
+    res.json({
+        success: true,
+        fileName: backup.fileName,
+        data: backup.buffer.toString('base64'),
+        alias: backup.alias,
+        storePassword: backup.storePassword,
+        keyPassword: backup.keyPassword
+    });
+});
+
+// Backup saved by the user: it can't be downloaded again
+app.post('/api/keystore/backup/confirm', authMiddleware, (req, res) => {
+    const result = keystoreService.confirmBackup(req.authUser.username);
+
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+
+    res.json({
+        success: true,
+        keystore: keystoreService.getInfo(req.authUser.username)
+    });
+});
+
+// ========== APP REGISTRY API (self-update) ==========
+const appRegistry = require('./utils/appRegistry');
+
+// Apps published by the logged-in user
+app.get('/api/apps', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        apps: appRegistry.listApps(req.authUser.username)
+    });
+});
+
+// Latest version, polled by generated apps on launch
+app.get('/api/apps/:packageName/latest', (req, res) => {
+    const { packageName } = req.params;
+    const latest = isValidPackageName(packageName) ? appRegistry.getLatest(packageName) : null;
+
+    if (!latest) {
+        return res.status(404).json({ success: false, error: 'Aplikasi belum dipublikasikan' });
+    }
+
+    const serverUrl = (process.env.WEB_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+        success: true,
+        ...latest,
+        downloadUrl: `${serverUrl}/api/apps/${packageName}/download`
+    });
+});
+
+// Latest APK
+app.get('/api/apps/:packageName/download', async (req, res) => {
+    const { packageName } = req.params;
+    const latest = isValidPackageName(packageName) ? appRegistry.getLatest(packageName) : null;
+    const apkPath = latest && appRegistry.getArtifactPath(packageName);
+
+    if (!apkPath || !await fs.pathExists(apkPath)) {
+        return res.status(404).json({ success: false, error: 'File update tidak ditemukan' });
+    }
+
+    const fileName = `${latest.appName.replace(/[^a-zA-Z0-9]/g, '_')}_${latest.versionName}.apk`;
+    res.download(apkPath, fileName);
+});
+
+// Stop offering updates for an app
+app.delete('/api/apps/:packageName', authMiddleware, async (req, res) => {
+    const result = await appRegistry.unpublish(req.params.packageName, req.authUser.username);
+    if (!result.success) {
+        return res.status(404).json(result);
+    }
+    res.json(result);
+});
+
 // Download APK (cleanup handled by 1-minute auto-delete timeout)
 app.get('/api/download/:buildId', async (req, res) => {
     const { buildId } = req.params;
@@ -474,7 +913,11 @@ const zipStorage = multer.diskStorage({
         cb(null, uploadDir);
     },
     filename: (req, file, cb) => {
-        cb(null, `project-${Date.now()}.zip`);
+        if (file.fieldname === 'icon') {
+            cb(null, `zip-icon-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+        } else {
+            cb(null, `project-${Date.now()}.zip`);
+        }
     }
 });
 
@@ -482,7 +925,13 @@ const zipUpload = multer({
     storage: zipStorage,
     limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2GB max
     fileFilter: (req, file, cb) => {
-        if (file.originalname.endsWith('.zip')) {
+        if (file.fieldname === 'icon') {
+            if (file.mimetype.startsWith('image/')) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only image files are allowed'));
+            }
+        } else if (file.originalname.endsWith('.zip')) {
             cb(null, true);
         } else {
             cb(new Error('Only ZIP files are allowed'));
@@ -490,6 +939,9 @@ const zipUpload = multer({
     }
 });
 
+// ZIP builds: the project, plus an app icon for static sites (html)
+const zipBuildFields = [{ name: 'zipFile', maxCount: 1 }, { name: 'icon', maxCount: 1 }];
+
 // Build logs storage - per session
 const sessionLogs = new Map(); // sessionId -> { logs: [], createdAt: timestamp }
 const MAX_LOGS = 100;
@@ -561,11 +1013,17 @@ app.delete('/api/logs', (req, res) => {
 });
 
 // SSE endpoint for ZIP build with real-time progress
-app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res) => {
+app.post('/api/build-zip-stream', zipUpload.fields(zipBuildFields), async (req, res) => {
     const { projectType, buildType } = req.body;
-    const zipFile = req.file;
+    const outputFormat = req.body.outputFormat || 'apk';
+    const zipFile = req.files?.zipFile?.[0];
+    const iconFile = req.files?.icon?.[0];
+    const removeUploads = () => Promise.all(
+        [zipFile?.path, iconFile?.path].filter(Boolean).map(p => fs.remove(p).catch(() => { }))
+    );
     const { buildQueue } = require('./utils/buildQueue');
-    const { buildFromZip } = require('./builder/zipBuilder');
+    const { buildFromZip, PROJECT_MARKERS } = require('./builder/zipBuilder');
+    const { OUTPUT_FORMATS } = require('./builder/apkBuilder');
 
     // Get username from auth header for Telegram notification
     let authUsername = null;
@@ -587,18 +1045,33 @@ app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res)
     };
 
     if (!zipFile) {
+        await removeUploads();
         sendEvent('error', { error: 'ZIP file diperlukan' });
         return res.end();
     }
 
-    if (!['flutter', 'android'].includes(projectType)) {
-        await fs.remove(zipFile.path).catch(() => { });
+    if (!PROJECT_MARKERS[projectType]) {
+        await removeUploads();
         sendEvent('error', { error: 'Project type tidak valid' });
         return res.end();
     }
 
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        await removeUploads();
+        sendEvent('error', { error: 'Format output tidak valid' });
+        return res.end();
+    }
+
+    const staticSiteOptions = getStaticSiteOptions(req, iconFile);
+    const staticSiteError = getStaticSiteOutputError(projectType, buildType, outputFormat, staticSiteOptions);
+    if (staticSiteError) {
+        await removeUploads();
+        sendEvent('error', { error: staticSiteError });
+        return res.end();
+    }
+
     if (!buildQueue.acquire('web-zip-' + Date.now())) {
-        await fs.remove(zipFile.path).catch(() => { });
+        await removeUploads();
         sendEvent('error', { error: 'Server sedang sibuk. Coba lagi nanti.' });
         return res.end();
     }
@@ -624,16 +1097,18 @@ app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res)
                 else if (status.includes('Locating') || status.includes('complete')) progress = 90;
 
                 sendEvent('progress', { progress, status });
-            }
+            },
+            outputFormat,
+            staticSiteOptions
         );
 
         if (result.success) {
             const buildId = 'zip-' + Date.now();
 
             webBuilds.set(buildId, {
-                path: result.apkPath,
+                path: result.apkPath || result.aabPath,
                 buildDir: result.buildDir,
-                fileName: `${projectType}_${buildType}.apk`,
+                fileName: `${projectType}_${buildType}.${result.apkPath ? 'apk' : 'aab'}`,
                 createdAt: Date.now()
             });
 
@@ -651,6 +1126,7 @@ app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res)
             addBuildLog('success', 'Build completed successfully', { buildId });
 
             const downloadUrl = `/api/download/${buildId}`;
+            const aabDownloadUrl = registerAabDownload(buildId, result, `${projectType}_${buildType}.aab`) || (result.aabPath ? downloadUrl : null);
 
             // Send download link to Telegram
             if (authUsername) {
@@ -664,6 +1140,7 @@ app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res)
                 success: true,
                 buildId,
                 downloadUrl,
+                aabDownloadUrl,
                 expiresIn: 60
             });
         } else {
@@ -673,18 +1150,24 @@ app.post('/api/build-zip-stream', zipUpload.single('zipFile'), async (req, res)
         addBuildLog('error', 'Build failed', { error: error.message });
         sendEvent('error', { error: error.message });
     } finally {
-        await fs.remove(zipFile.path).catch(() => { });
+        await removeUploads();
         buildQueue.release();
         res.end();
     }
 });
 
 // Legacy endpoint (fallback)
-app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
+app.post('/api/build-zip', zipUpload.fields(zipBuildFields), async (req, res) => {
     const { projectType, buildType, sessionId } = req.body;
-    const zipFile = req.file;
+    const outputFormat = req.body.outputFormat || 'apk';
+    const zipFile = req.files?.zipFile?.[0];
+    const iconFile = req.files?.icon?.[0];
+    const removeUploads = () => Promise.all(
+        [zipFile?.path, iconFile?.path].filter(Boolean).map(p => fs.remove(p).catch(() => { }))
+    );
     const { buildQueue } = require('./utils/buildQueue');
-    const { buildFromZip } = require('./builder/zipBuilder');
+    const { buildFromZip, PROJECT_MARKERS } = require('./builder/zipBuilder');
+    const { OUTPUT_FORMATS } = require('./builder/apkBuilder');
 
     // Get username from auth header for Telegram notification
     let authUsername = null;
@@ -697,18 +1180,31 @@ app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
     console.log('[API build-zip] Request received:', { projectType, buildType, sessionId, fileName: zipFile?.originalname });
 
     if (!zipFile) {
+        await removeUploads();
         console.log('[API build-zip] Error: No ZIP file');
         return res.status(400).json({ error: 'ZIP file diperlukan' });
     }
 
-    if (!['flutter', 'android'].includes(projectType)) {
-        await fs.remove(zipFile.path).catch(() => { });
+    if (!PROJECT_MARKERS[projectType]) {
+        await removeUploads();
         console.log('[API build-zip] Error: Invalid project type:', projectType);
         return res.status(400).json({ error: 'Project type tidak valid' });
     }
 
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        await removeUploads();
+        return res.status(400).json({ error: 'Format output tidak valid' });
+    }
+
+    const staticSiteOptions = getStaticSiteOptions(req, iconFile);
+    const staticSiteError = getStaticSiteOutputError(projectType, buildType, outputFormat, staticSiteOptions);
+    if (staticSiteError) {
+        await removeUploads();
+        return res.status(400).json({ error: staticSiteError });
+    }
+
     if (!buildQueue.acquire('web-zip-' + Date.now())) {
-        await fs.remove(zipFile.path).catch(() => { });
+        await removeUploads();
         console.log('[API build-zip] Error: Server busy');
         return res.status(503).json({ error: 'Server sedang sibuk. Coba lagi nanti.' });
     }
@@ -722,27 +1218,30 @@ app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
             buildType || 'release',
             (status) => {
                 addBuildLog('info', status, null, sessionId);
-            }
+            },
+            outputFormat,
+            staticSiteOptions
         );
 
-        console.log('[API build-zip] Build result:', { success: result.success, apkPath: result.apkPath, error: result.error });
+        console.log('[API build-zip] Build result:', { success: result.success, apkPath: result.apkPath, aabPath: result.aabPath, error: result.error });
 
         if (result.success) {
-            // Validate APK file exists
-            if (!result.apkPath || !await fs.pathExists(result.apkPath)) {
-                console.error('[API build-zip] Error: APK file not found at path:', result.apkPath);
+            // Validate output file exists
+            const outputPath = result.apkPath || result.aabPath;
+            if (!outputPath || !await fs.pathExists(outputPath)) {
+                console.error('[API build-zip] Error: APK file not found at path:', outputPath);
                 throw new Error('APK file was not created successfully. Build may have failed silently.');
             }
 
             const buildId = 'zip-' + Date.now();
             const downloadUrl = `/api/download/${buildId}`;
 
-            console.log('[API build-zip] Registering build:', { buildId, downloadUrl, apkPath: result.apkPath });
+            console.log('[API build-zip] Registering build:', { buildId, downloadUrl, apkPath: outputPath });
 
             webBuilds.set(buildId, {
-                path: result.apkPath,
+                path: result.apkPath || result.aabPath,
                 buildDir: result.buildDir,
-                fileName: `${projectType}_${buildType}.apk`,
+                fileName: `${projectType}_${buildType}.${result.apkPath ? 'apk' : 'aab'}`,
                 createdAt: Date.now()
             });
 
@@ -760,6 +1259,8 @@ app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
 
             addBuildLog('success', 'Build completed successfully', { buildId, downloadUrl }, sessionId);
 
+            const aabDownloadUrl = registerAabDownload(buildId, result, `${projectType}_${buildType}.aab`) || (result.aabPath ? downloadUrl : null);
+
             // Send download link to Telegram
             if (authUsername) {
                 const fullDownloadUrl = `${req.protocol}://${req.get('host')}${downloadUrl}`;
@@ -773,6 +1274,7 @@ app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
                 success: true,
                 buildId: buildId,
                 downloadUrl: downloadUrl,
+                aabDownloadUrl: aabDownloadUrl,
                 expiresIn: 120 // 2 minutes
             };
 
@@ -787,7 +1289,7 @@ app.post('/api/build-zip', zipUpload.single('zipFile'), async (req, res) => {
         addBuildLog('error', 'Build failed', { error: error.message }, sessionId);
         res.status(500).json({ error: error.message });
     } finally {
-        await fs.remove(zipFile.path).catch(() => { });
+        await removeUploads();
         buildQueue.release();
     }
 });
@@ -1128,5 +1630,116 @@ function registerBuildForDownload(buildId, apkPath, buildDir, fileName, expiryMs
     console.log(`[Download] Registered: ${buildId} (expires in ${expiryMs / 1000}s)`);
 }
 
+/**
+ * App name / color / icon for static site (html) ZIP builds; licensed users get their release keystore
+ */
+function getStaticSiteOptions(req, iconFile) {
+    let keystoreOwner = null;
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        const [username, ...deviceParts] = authHeader.substring(7).split(':');
+        if (licenseKeyService.verifySession(username, deviceParts.join(':')).valid) {
+            keystoreOwner = username;
+        }
+    }
+
+    const { appName, themeColor } = req.body;
+    return {
+        appName: appName ? String(appName).trim().slice(0, 50) : null,
+        themeColor: /^#[0-9a-fA-F]{6}$/.test(themeColor || '') ? themeColor : null,
+        iconPath: iconFile ? iconFile.path : null,
+        keystoreOwner
+    };
+}
+
+/**
+ * Static sites go through buildApk, where AAB needs the release keystore: refuse before the build starts
+ * @returns {string|null} Error message, null when the build may start
+ */
+function getStaticSiteOutputError(projectType, buildType, outputFormat, { keystoreOwner }) {
+    if (projectType !== 'html' || outputFormat === 'apk') return null;
+    if (!keystoreOwner) {
+        return 'Format AAB hanya untuk member berlisensi (login terlebih dahulu)';
+    }
+    if (buildType === 'debug') {
+        return 'Format AAB untuk website statis membutuhkan build Release';
+    }
+    return null;
+}
+
+/**
+ * Icon studio options from the build / preview form, or null when no style was picked
+ * Initials default to the app name; logo style pads the uploaded icon
+ */
+function getIconStudioOptions(req, iconFile) {
+    const { iconStyle, iconText, iconColor, logoPadding, appName, themeColor } = req.body;
+    if (!iconStyle) return null;
+
+    return {
+        style: iconStyle,
+        text: iconText || (iconStyle === 'initials' ? getInitials(appName) : ''),
+        imagePath: iconFile ? iconFile.path : null,
+        backgroundColor: iconColor || (iconStyle === 'logo' ? null : themeColor),
+        padding: logoPadding ? Number(logoPadding) : null
+    };
+}
+
+/**
+ * Read a checkbox-style form value ('true', '1', 'on')
+ */
+function isEnabled(value) {
+    return ['true', '1', 'on'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Form list value (repeated fields and/or comma/space separated text) -> trimmed, non-empty items
+ */
+function toList(value) {
+    return [].concat(value || [])
+        .flatMap(item => String(item).split(/[,\s]+/))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Form text value; repeated fields become separate lines (invalid for one-line fields, extra header lines for headers)
+ */
+function toText(value) {
+    return [].concat(value ?? []).map(String).join('\n');
+}
+
+/**
+ * Like isEnabled, but null when the field was not sent (keep the template default)
+ */
+function getOptionalFlag(value) {
+    return value === undefined || value === '' ? null : isEnabled(value);
+}
+
+/**
+ * Register a file delivered with the APK (web2apk-bridge.js, assetlinks.json) as an extra download
+ * @returns {string|null} - Download URL, or null when the build didn't produce the file
+ */
+function registerExtraDownload(downloadId, filePath, buildDir, fileName) {
+    if (!filePath) return null;
+
+    registerBuildForDownload(downloadId, filePath, buildDir, fileName, 2 * 60 * 1000);
+    return `/api/download/${downloadId}`;
+}
+
+/**
+ * Register the AAB as a second download when a build produced both APK and AAB
+ * @param {string} buildId - Build ID of the main (APK) download
+ * @param {object} result - Build result with apkPath / aabPath / buildDir
+ * @param {string} fileName - Download filename for the AAB
+ * @returns {string|null} - AAB download URL, or null if there is no separate AAB
+ */
+function registerAabDownload(buildId, result, fileName) {
+    if (!result.apkPath || !result.aabPath) return null;
+
+    const aabBuildId = `${buildId}-aab`;
+    registerBuildForDownload(aabBuildId, result.aabPath, result.buildDir, fileName, 2 * 60 * 1000);
+    return `/api/download/${aabBuildId}`;
+}
+
 module.exports = { startWebServer, getServerSpecs, getLocalIPs, updateNotification, registerBuildForDownload };
 
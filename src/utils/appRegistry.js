@@ -0,0 +1,150 @@
+/**
+ * App Registry
+ * Latest published APK per package name, so side-loaded apps can update themselves
+ * (the app checks /api/apps/<packageName>/latest on launch)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const REGISTRY_DIR = path.join(__dirname, '..', '..', 'apps');
+const DB_PATH = path.join(REGISTRY_DIR, 'registry.json');
+
+class AppRegistry {
+    constructor() {
+        this.apps = {};
+        this.loadDatabase();
+    }
+
+    loadDatabase() {
+        if (fs.existsSync(DB_PATH)) {
+            try {
+                this.apps = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+                console.log(`📦 App registry loaded: ${Object.keys(this.apps).length} apps`);
+            } catch (e) {
+                console.error('Failed to load app registry:', e.message);
+                this.apps = {};
+            }
+        }
+    }
+
+    persist() {
+        try {
+            fs.ensureDirSync(REGISTRY_DIR);
+            fs.writeFileSync(DB_PATH, JSON.stringify(this.apps, null, 2));
+        } catch (e) {
+            console.error('Failed to save app registry:', e.message);
+        }
+    }
+
+    normalize(username) {
+        return String(username).toLowerCase().trim();
+    }
+
+    /**
+     * Latest published version of an app, null if it was never published
+     * @returns {Object|null} { packageName, appName, versionCode, versionName, size, sha256, publishedAt }
+     */
+    getLatest(packageName) {
+        const app = this.apps[packageName];
+        if (!app) return null;
+
+        const { owner, fileName, ...info } = app;
+        return { packageName, ...info };
+    }
+
+    getArtifactPath(packageName) {
+        const app = this.apps[packageName];
+        return app ? path.join(REGISTRY_DIR, packageName, app.fileName) : null;
+    }
+
+    /**
+     * A package belongs to the license user who published it first (updates must be signed with their keystore)
+     */
+    canPublish(packageName, username) {
+        const app = this.apps[packageName];
+        return !app || app.owner === this.normalize(username);
+    }
+
+    /**
+     * versionCode for the next build: one above the published version
+     */
+    getNextVersionCode(packageName) {
+        return (this.apps[packageName]?.versionCode || 0) + 1;
+    }
+
+    /**
+     * Apps published by a license user, newest first
+     */
+    listApps(username) {
+        const owner = this.normalize(username);
+        return Object.keys(this.apps)
+            .filter(packageName => this.apps[packageName].owner === owner)
+            .map(packageName => this.getLatest(packageName))
+            .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+    }
+
+    /**
+     * Publish a build as the app's latest version (replaces the previous APK)
+     * @param {Object} options - { apkPath, appName, versionCode, versionName }
+     */
+    async publish(packageName, username, { apkPath, appName, versionCode, versionName }) {
+        if (!this.canPublish(packageName, username)) {
+            return { success: false, error: `Package ${packageName} sudah dipakai user lain` };
+        }
+
+        const previous = this.apps[packageName];
+        if (previous && versionCode <= previous.versionCode) {
+            return { success: false, error: `Version code harus lebih besar dari ${previous.versionCode}` };
+        }
+
+        try {
+            const appDir = path.join(REGISTRY_DIR, packageName);
+            const fileName = `${versionCode}.apk`;
+            await fs.ensureDir(appDir);
+            await fs.copy(apkPath, path.join(appDir, fileName));
+
+            const content = await fs.readFile(apkPath);
+            this.apps[packageName] = {
+                owner: this.normalize(username),
+                appName,
+                versionCode,
+                versionName: versionName || '1.0',
+                fileName,
+                size: content.length,
+                sha256: crypto.createHash('sha256').update(content).digest('hex'),
+                publishedAt: new Date().toISOString()
+            };
+            this.persist();
+
+            if (previous && previous.fileName !== fileName) {
+                await fs.remove(path.join(appDir, previous.fileName)).catch(() => { });
+            }
+
+            console.log(`📦 Published ${packageName} v${versionCode}`);
+            return { success: true, app: this.getLatest(packageName) };
+        } catch (e) {
+            return { success: false, error: `Gagal mempublikasikan update: ${e.message}` };
+        }
+    }
+
+    /**
+     * Remove an app from the registry; installed copies stop finding updates
+     */
+    async unpublish(packageName, username) {
+        const app = this.apps[packageName];
+        if (!app || app.owner !== this.normalize(username)) {
+            return { success: false, error: 'Aplikasi tidak ditemukan' };
+        }
+
+        delete this.apps[packageName];
+        this.persist();
+        await fs.remove(path.join(REGISTRY_DIR, packageName)).catch(() => { });
+
+        console.log(`📦 Unpublished ${packageName}`);
+        return { success: true };
+    }
+}
+
+module.exports = new AppRegistry();
@@ -141,5 +141,6 @@ function downloadFileViaHttp(url, destPath) {
 }
 
 module.exports = {
-    downloadTelegramFile
+    downloadTelegramFile,
+    downloadFileViaHttp
 };
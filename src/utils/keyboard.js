@@ -2,6 +2,15 @@
  * Generate inline keyboards for bot
  */
 
+const { SPLASH_FONTS } = require('../builder/projectGenerator');
+
+const OUTPUT_FORMAT_LABELS = { apk: 'APK', aab: 'AAB', both: 'APK + AAB' };
+const ORIENTATION_LABELS = { auto: 'Otomatis', portrait: 'Potret', landscape: 'Lanskap', sensor: 'Sensor' };
+const SPLASH_MODE_LABELS = { timed: 'Durasi', pageload: 'Sampai Halaman Dimuat', none: 'Tanpa Splash' };
+const LINK_MODE_LABELS = { customtab: 'Custom Tab', browser: 'Browser', inapp: 'Dalam Aplikasi' };
+const BUILD_MODE_LABELS = { webview: 'WebView', twa: 'TWA (Chrome)' };
+const THEME_MODE_LABELS = { system: 'Ikuti Sistem', light: 'Terang', dark: 'Gelap' };
+
 // Main menu keyboard
 function getMainKeyboard() {
     return {
@@ -41,11 +50,115 @@ function getConfirmKeyboard() {
     return {
         inline_keyboard: [
             [{ text: '✅ Buat APK', callback_data: 'confirm_build' }],
+            [{ text: '⚙️ Pengaturan Lanjutan', callback_data: 'adv_settings' }],
             [{ text: '❌ Batal', callback_data: 'cancel' }]
         ]
     };
 }
 
+// Advanced settings keyboard (package name, version)
+function getAdvancedKeyboard(data = {}) {
+    return {
+        inline_keyboard: [
+            [{ text: `📦 Package: ${data.packageName ? '✅ Custom' : 'Otomatis'}`, callback_data: 'adv_package' }],
+            [
+                { text: `🔢 Version Code: ${data.versionCode || (data.autoUpdate ? 'Otomatis' : 1)}`, callback_data: 'adv_versioncode' },
+                { text: `🏷️ Version Name: ${data.versionName || '1.0'}`, callback_data: 'adv_versionname' }
+            ],
+            [{ text: `🗂️ Format: ${OUTPUT_FORMAT_LABELS[data.outputFormat || 'apk']}`, callback_data: 'adv_format' }],
+            [{ text: `🌍 Nama per Bahasa: ${data.translations ? '✅ Custom' : 'Tidak ada'}`, callback_data: 'adv_translations' }],
+            [{ text: `🧱 Mode: ${BUILD_MODE_LABELS[data.mode || 'webview']}`, callback_data: 'adv_mode' }],
+            // WebView options don't apply to a TWA build (the browser renders the site)
+            ...(data.mode === 'twa' ? [] : [
+                [{ text: `🔓 Izin Aplikasi: ${(data.permissions || []).length || 'Tidak ada'}`, callback_data: 'adv_permissions' }],
+                [{ text: `📎 Upload File: ${data.fileUpload ? '✅ Aktif' : '❌ Nonaktif'}`, callback_data: 'adv_fileupload' }],
+                [{ text: `📥 Unduhan File: ${data.downloads ? '✅ Aktif' : '❌ Nonaktif'}`, callback_data: 'adv_downloads' }],
+                [{ text: `🎬 Splash: ${SPLASH_MODE_LABELS[data.splash?.mode || 'timed']}`, callback_data: 'adv_splash' }],
+                [{ text: `📐 Orientasi: ${ORIENTATION_LABELS[data.orientation || 'auto']}`, callback_data: 'adv_orientation' }],
+                [
+                    { text: `🖥️ Fullscreen: ${data.fullscreen ? '✅' : '❌'}`, callback_data: 'adv_fullscreen' },
+                    { text: `🎮 Immersive: ${data.immersive ? '✅' : '❌'}`, callback_data: 'adv_immersive' }
+                ],
+                [
+                    { text: `🧭 Toolbar: ${data.showToolbar !== false ? '✅' : '❌'}`, callback_data: 'adv_toolbar' },
+                    { text: `🏷️ Judul: ${data.toolbarTitle ? 'Custom' : 'Nama App'}`, callback_data: 'adv_toolbartitle' }
+                ],
+                [
+                    { text: `🔄 Tarik Refresh: ${data.pullToRefresh !== false ? '✅' : '❌'}`, callback_data: 'adv_refresh' },
+                    { text: `🔍 Zoom: ${data.zoom !== false ? '✅' : '❌'}`, callback_data: 'adv_zoom' }
+                ],
+                [{ text: `🔠 Ukuran Teks: ${data.textZoom || 100}%`, callback_data: 'adv_textzoom' }],
+                [{ text: `📑 Tab Bawah: ${data.tabs ? `✅ ${data.tabs.split('\n').filter(line => line.trim()).length} tab` : 'Nonaktif'}`, callback_data: 'adv_tabs' }],
+                [{ text: `🍔 Menu Samping: ${data.drawerMenu?.length ? `✅ ${data.drawerMenu.filter(item => item.action !== 'divider').length} item` : 'Nonaktif'}`, callback_data: 'adv_drawer' }],
+                [
+                    { text: `🌗 Tema: ${THEME_MODE_LABELS[data.themeMode || 'system']}`, callback_data: 'adv_thememode' },
+                    { text: `🌑 Gelapkan Situs: ${data.webDarkening !== false ? '✅' : '❌'}`, callback_data: 'adv_webdark' }
+                ],
+                [{ text: `🔗 Link Luar: ${LINK_MODE_LABELS[data.externalLinks || 'customtab']}`, callback_data: 'adv_linkmode' }],
+                [
+                    { text: `🌐 Domain: ${data.allowedDomains ? '✅ Custom' : 'Situs Saja'}`, callback_data: 'adv_domains' },
+                    { text: `📲 Skema: ${data.externalSchemes ? '✅ Custom' : 'Default'}`, callback_data: 'adv_schemes' }
+                ],
+                [
+                    { text: `🪪 User-Agent: ${data.userAgent ? '✅ Custom' : 'Default'}`, callback_data: 'adv_useragent' },
+                    { text: `➕ Akhiran UA: ${data.userAgentSuffix ? '✅ Custom' : 'Web2ApkApp'}`, callback_data: 'adv_uasuffix' }
+                ],
+                [{ text: `📨 Header Tambahan: ${data.headers ? '✅ Custom' : 'Tidak ada'}`, callback_data: 'adv_headers' }],
+                [{ text: `🧩 JS Bridge: ${(data.bridgeCapabilities || []).length || 'Nonaktif'}`, callback_data: 'adv_bridge' }],
+                [
+                    { text: `🎨 CSS Custom: ${data.injectCss ? '✅' : '❌'}`, callback_data: 'adv_injectcss' },
+                    { text: `📜 JS Custom: ${data.injectJs ? '✅' : '❌'}`, callback_data: 'adv_injectjs' }
+                ],
+                [{ text: `🎯 Halaman CSS/JS: ${data.injectUrlPatterns ? '✅ Custom' : 'Semua'}`, callback_data: 'adv_injectpatterns' }],
+                [{ text: `🔗 App Links: ${data.deepLinks ? '✅ Aktif' : '❌ Nonaktif'}`, callback_data: 'adv_deeplinks' }],
+                [
+                    { text: `🌍 Host: ${data.deepLinkHosts ? '✅ Custom' : 'Domain Situs'}`, callback_data: 'adv_deeplinkhosts' },
+                    { text: `📁 Path: ${data.deepLinkPaths ? '✅ Custom' : 'Semua'}`, callback_data: 'adv_deeplinkpaths' }
+                ],
+                [{ text: `🔄 Update Otomatis: ${data.autoUpdate ? '✅ Aktif' : '❌ Nonaktif'}`, callback_data: 'adv_autoupdate' }]
+            ]),
+            [{ text: '◀️ Kembali ke Konfirmasi', callback_data: 'adv_back' }]
+        ]
+    };
+}
+
+// Advanced setting input keyboard (reset / back)
+function getAdvancedInputKeyboard(backCallback = 'adv_settings') {
+    return {
+        inline_keyboard: [
+            [{ text: '🔄 Reset ke Default', callback_data: 'adv_reset' }],
+            [{ text: '◀️ Kembali', callback_data: backCallback }]
+        ]
+    };
+}
+
+// Splash screen settings keyboard
+function getSplashKeyboard(splash = {}) {
+    const mode = splash.mode || 'timed';
+    const duration = splash.duration || 2000;
+    const mark = (active) => active ? '✅' : '⬜';
+
+    return {
+        inline_keyboard: [
+            [
+                { text: `${mark(mode === 'timed' && duration === 2000)} 2 Detik`, callback_data: 'splash_2000' },
+                { text: `${mark(mode === 'timed' && duration === 4000)} 4 Detik`, callback_data: 'splash_4000' }
+            ],
+            [
+                { text: `${mark(mode === 'pageload')} Sampai Halaman Dimuat`, callback_data: 'splash_pageload' },
+                { text: `${mark(mode === 'none')} Tanpa Splash`, callback_data: 'splash_none' }
+            ],
+            [{ text: `🔤 Font: ${SPLASH_FONTS[splash.font] || 'Default'}`, callback_data: 'splash_font' }],
+            [
+                { text: `🎨 Warna: ${splash.backgroundColor || 'Default'}`, callback_data: 'adv_splashcolor' },
+                { text: `💬 Tagline: ${splash.tagline ? '✅' : '❌'}`, callback_data: 'adv_splashtagline' }
+            ],
+            [{ text: `🖼️ Logo: ${splash.logoPath ? '✅ Custom' : 'Icon Aplikasi'}`, callback_data: 'adv_splashlogo' }],
+            [{ text: '◀️ Kembali', callback_data: 'adv_settings' }]
+        ]
+    };
+}
+
 // Cancel keyboard
 function getCancelKeyboard() {
     return {
@@ -59,7 +172,19 @@ function getCancelKeyboard() {
 function getIconKeyboard() {
     return {
         inline_keyboard: [
-            [{ text: '⏭️ Lewati (Gunakan Default)', callback_data: 'skip_icon' }],
+            [{ text: '🔤 Buat dari Inisial', callback_data: 'icon_initials' }, { text: '😀 Buat dari Emoji', callback_data: 'icon_emoji' }],
+            [{ text: '⏭️ Lewati (Icon Inisial)', callback_data: 'skip_icon' }],
+            [{ text: '❌ Batal', callback_data: 'cancel' }]
+        ]
+    };
+}
+
+// Generated icon preview keyboard
+function getIconPreviewKeyboard() {
+    return {
+        inline_keyboard: [
+            [{ text: '✅ Pakai Icon Ini', callback_data: 'icon_use' }],
+            [{ text: '🔤 Inisial', callback_data: 'icon_initials' }, { text: '😀 Emoji', callback_data: 'icon_emoji' }],
             [{ text: '❌ Batal', callback_data: 'cancel' }]
         ]
     };
@@ -70,6 +195,7 @@ function getZipTypeKeyboard() {
     return {
         inline_keyboard: [
             [{ text: '🤖 Android Studio / Gradle', callback_data: 'zip_android' }, { text: '💙 Flutter Project', callback_data: 'zip_flutter' }],
+            [{ text: '🌐 Website Statis (HTML)', callback_data: 'zip_html' }],
             [{ text: '❌ Batal', callback_data: 'cancel' }]
         ]
     };
@@ -85,12 +211,90 @@ function getZipBuildTypeKeyboard() {
     };
 }
 
+// Runtime permissions toggle keyboard
+function getPermissionsKeyboard(selected = []) {
+    const options = [
+        { key: 'camera', text: '📷 Kamera' },
+        { key: 'microphone', text: '🎤 Mikrofon' },
+        { key: 'location', text: '📍 Lokasi' },
+        { key: 'storage', text: '💾 Penyimpanan' },
+        { key: 'notifications', text: '🔔 Notifikasi' }
+    ];
+
+    const rows = options.map(({ key, text }) => [{
+        text: `${selected.includes(key) ? '✅' : '⬜'} ${text}`,
+        callback_data: `perm_${key}`
+    }]);
+    rows.push([{ text: '◀️ Kembali', callback_data: 'adv_settings' }]);
+
+    return { inline_keyboard: rows };
+}
+
+// JavaScript bridge capability toggle keyboard
+function getBridgeKeyboard(selected = [], bridgeName = null) {
+    const options = [
+        { key: 'share', text: '📤 Share' },
+        { key: 'toast', text: '💬 Toast' },
+        { key: 'vibrate', text: '📳 Getar' },
+        { key: 'clipboard', text: '📋 Clipboard' },
+        { key: 'notification', text: '🔔 Notifikasi Lokal' },
+        { key: 'device', text: '📱 Info Perangkat' },
+        { key: 'external', text: '🌐 Buka Link Luar' }
+    ];
+
+    const rows = options.map(({ key, text }) => [{
+        text: `${selected.includes(key) ? '✅' : '⬜'} ${text}`,
+        callback_data: `bridge_${key}`
+    }]);
+    rows.push([{ text: `🏷️ Nama Objek: ${bridgeName || 'Web2Apk'}`, callback_data: 'adv_bridgename' }]);
+    rows.push([{ text: '◀️ Kembali', callback_data: 'adv_settings' }]);
+
+    return { inline_keyboard: rows };
+}
+
+// Output format keyboard (APK / AAB / both)
+function getOutputFormatKeyboard(backCallback = 'cancel') {
+    return {
+        inline_keyboard: [
+            [{ text: '📱 APK', callback_data: 'fmt_apk' }, { text: '📦 AAB (Play Store)', callback_data: 'fmt_aab' }],
+            [{ text: '📱📦 APK + AAB', callback_data: 'fmt_both' }],
+            [{ text: backCallback === 'cancel' ? '❌ Batal' : '◀️ Kembali', callback_data: backCallback }]
+        ]
+    };
+}
+
+// Keystore vault keyboard
+function getKeystoreKeyboard(info) {
+    const rows = [];
+
+    if (!info) {
+        rows.push([{ text: '🔑 Buat Keystore Baru', callback_data: 'ks_generate' }]);
+        rows.push([{ text: '📤 Upload Keystore Sendiri', callback_data: 'ks_upload' }]);
+    } else {
+        if (info.backupAvailable) {
+            rows.push([{ text: '📥 Unduh Backup (Hanya Sekali)', callback_data: 'ks_backup' }]);
+        }
+        rows.push([{ text: '📤 Ganti dengan Upload', callback_data: 'ks_upload' }]);
+    }
+
+    rows.push([{ text: '◀️ Kembali ke Menu', callback_data: 'back_main' }]);
+    return { inline_keyboard: rows };
+}
+
 module.exports = {
     getMainKeyboard,
     getColorKeyboard,
     getConfirmKeyboard,
+    getAdvancedKeyboard,
+    getAdvancedInputKeyboard,
+    getSplashKeyboard,
     getCancelKeyboard,
     getIconKeyboard,
+    getIconPreviewKeyboard,
     getZipTypeKeyboard,
-    getZipBuildTypeKeyboard
+    getZipBuildTypeKeyboard,
+    getOutputFormatKeyboard,
+    getPermissionsKeyboard,
+    getBridgeKeyboard,
+    getKeystoreKeyboard
 };
@@ -0,0 +1,416 @@
+/**
+ * Keystore Vault Service
+ * Stores one release keystore per license user, encrypted at rest (AES-256-GCM)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const appRegistry = require('./appRegistry');
+
+const VAULT_DIR = path.join(__dirname, '..', '..', 'keystores');
+const DB_PATH = path.join(VAULT_DIR, 'vault.json');
+const KEY_PATH = path.join(VAULT_DIR, '.vault_key');
+const DEFAULT_ALIAS = 'web2apk';
+
+// keytool reads passwords from these variables (-storepass:env), so they never show up in `ps`
+const STOREPASS_ENV = 'WEB2APK_STOREPASS';
+const KEYPASS_ENV = 'WEB2APK_KEYPASS';
+
+class KeystoreService {
+    constructor() {
+        this.entries = {};
+        this.vaultKey = null;
+        this.loadDatabase();
+    }
+
+    loadDatabase() {
+        if (fs.existsSync(DB_PATH)) {
+            try {
+                this.entries = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+                console.log(`🔐 Keystore vault loaded: ${Object.keys(this.entries).length} keystores`);
+            } catch (e) {
+                console.error('Failed to load keystore vault:', e.message);
+                this.entries = {};
+            }
+        }
+    }
+
+    persist() {
+        try {
+            fs.ensureDirSync(VAULT_DIR);
+            fs.writeFileSync(DB_PATH, JSON.stringify(this.entries, null, 2));
+        } catch (e) {
+            console.error('Failed to save keystore vault:', e.message);
+        }
+    }
+
+    /**
+     * Get encryption key from KEYSTORE_SECRET, or a generated key stored in the vault
+     * @returns {Buffer} 32-byte key
+     */
+    getVaultKey() {
+        if (this.vaultKey) return this.vaultKey;
+
+        let secret = process.env.KEYSTORE_SECRET;
+        if (!secret) {
+            fs.ensureDirSync(VAULT_DIR);
+            if (!fs.existsSync(KEY_PATH)) {
+                fs.writeFileSync(KEY_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+                console.warn('⚠️ KEYSTORE_SECRET not set, generated vault key at keystores/.vault_key (backup this file!)');
+            }
+            secret = fs.readFileSync(KEY_PATH, 'utf8').trim();
+        }
+
+        this.vaultKey = crypto.scryptSync(secret, 'web2apk-keystore-vault', 32);
+        return this.vaultKey;
+    }
+
+    encrypt(buffer) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getVaultKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    decrypt(buffer) {
+        const iv = buffer.subarray(0, 12);
+        const tag = buffer.subarray(12, 28);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getVaultKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+    }
+
+    encryptText(text) {
+        return this.encrypt(Buffer.from(text, 'utf8')).toString('base64');
+    }
+
+    decryptText(text) {
+        return this.decrypt(Buffer.from(text, 'base64')).toString('utf8');
+    }
+
+    normalize(username) {
+        return String(username).toLowerCase().trim();
+    }
+
+    getKeystorePath(username) {
+        const hash = crypto.createHash('sha256').update(this.normalize(username)).digest('hex').substring(0, 32);
+        return path.join(VAULT_DIR, `${hash}.keystore.enc`);
+    }
+
+    /**
+     * Check if user already has a keystore
+     * @param {string} username - License username
+     * @returns {boolean}
+     */
+    hasKeystore(username) {
+        return !!this.entries[this.normalize(username)];
+    }
+
+    /**
+     * Get public keystore info (no secrets)
+     * @param {string} username - License username
+     * @returns {object|null} - { alias, source, createdAt, backupAvailable }
+     */
+    getInfo(username) {
+        const entry = this.entries[this.normalize(username)];
+        if (!entry) return null;
+
+        return {
+            alias: entry.alias,
+            source: entry.source,
+            createdAt: entry.createdAt,
+            backupAvailable: entry.source === 'generated' && !entry.backupDownloadedAt
+        };
+    }
+
+    /**
+     * Generate a new keystore for user via keytool
+     * @param {string} username - License username
+     * @returns {Promise<object>} - { success } or { success, error }
+     */
+    async generate(username) {
+        const normalizedUsername = this.normalize(username);
+        const password = crypto.randomBytes(18).toString('base64url');
+        const tempPath = path.join(os.tmpdir(), `web2apk-${crypto.randomUUID()}.keystore`);
+        const commonName = normalizedUsername.replace(/[^a-z0-9 _-]/g, '') || 'web2apk';
+
+        try {
+            await runKeytool([
+                '-genkeypair', '-noprompt',
+                '-keystore', tempPath,
+                '-storetype', 'PKCS12',
+                '-storepass:env', STOREPASS_ENV,
+                '-keypass:env', KEYPASS_ENV,
+                '-alias', DEFAULT_ALIAS,
+                '-keyalg', 'RSA',
+                '-keysize', '2048',
+                '-validity', '10000',
+                '-dname', `CN=${commonName}, O=Web2APK`
+            ], { storePassword: password, keyPassword: password });
+
+            await this.store(normalizedUsername, await fs.readFile(tempPath), {
+                alias: DEFAULT_ALIAS,
+                storePassword: password,
+                keyPassword: password,
+                source: 'generated'
+            });
+
+            console.log(`🔐 Generated keystore for: ${normalizedUsername}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Keystore generation failed:', error.message);
+            return { success: false, error: `Gagal membuat keystore: ${error.message}` };
+        } finally {
+            await fs.remove(tempPath).catch(() => { });
+        }
+    }
+
+    /**
+     * Why the user's keystore must not be replaced, null when there is none or nothing depends on it.
+     * A replaced key is gone for good: apps signed with it can't be updated anymore.
+     * @param {string} username - License username
+     * @returns {string|null}
+     */
+    getReplaceBlocker(username) {
+        const info = this.getInfo(username);
+        if (!info) return null;
+
+        if (info.backupAvailable) {
+            return 'Backup keystore lama belum diunduh. Unduh backup dulu sebelum menggantinya, tanpa itu kunci rilis lama hilang selamanya';
+        }
+        if (appRegistry.listApps(username).length > 0) {
+            return 'Keystore ini menandatangani aplikasi dengan Update Otomatis. Jika diganti, aplikasi yang sudah terpasang tidak bisa di-update lagi';
+        }
+        return null;
+    }
+
+    /**
+     * Import an uploaded keystore after verifying its credentials
+     * @param {string} username - License username
+     * @param {string} filePath - Uploaded keystore path
+     * @param {object} credentials - { alias, storePassword, keyPassword }
+     * @param {object} options - { replace: confirmed replacing the existing keystore }
+     * @returns {Promise<object>} - { success } or { success, error, needsReplace }
+     */
+    async importKeystore(username, filePath, { alias, storePassword, keyPassword }, { replace = false } = {}) {
+        if (!alias || !storePassword) {
+            return { success: false, error: 'Alias dan password keystore diperlukan' };
+        }
+
+        if (this.hasKeystore(username)) {
+            const blocker = this.getReplaceBlocker(username);
+            if (blocker) {
+                return { success: false, error: blocker };
+            }
+            if (!replace) {
+                return {
+                    success: false,
+                    needsReplace: true,
+                    error: 'Anda sudah memiliki keystore. Konfirmasi penggantian untuk menimpanya (APK lama tidak bisa di-update dengan keystore baru)'
+                };
+            }
+        }
+
+        const resolvedKeyPassword = keyPassword || storePassword;
+
+        try {
+            // certreq needs the private key, so it checks both passwords
+            await runKeytool([
+                '-certreq',
+                '-keystore', filePath,
+                '-storepass:env', STOREPASS_ENV,
+                '-alias', alias,
+                '-keypass:env', KEYPASS_ENV
+            ], { storePassword, keyPassword: resolvedKeyPassword });
+        } catch (error) {
+            return { success: false, error: 'Keystore, alias, atau password salah' };
+        }
+
+        await this.store(this.normalize(username), await fs.readFile(filePath), {
+            alias,
+            storePassword,
+            keyPassword: resolvedKeyPassword,
+            source: 'uploaded'
+        });
+
+        console.log(`🔐 Imported keystore for: ${this.normalize(username)}`);
+        return { success: true };
+    }
+
+    async store(normalizedUsername, keystoreBuffer, { alias, storePassword, keyPassword, source }) {
+        await fs.ensureDir(VAULT_DIR);
+        await fs.writeFile(this.getKeystorePath(normalizedUsername), this.encrypt(keystoreBuffer));
+
+        this.entries[normalizedUsername] = {
+            alias,
+            storePassword: this.encryptText(storePassword),
+            keyPassword: this.encryptText(keyPassword),
+            source,
+            createdAt: new Date().toISOString(),
+            backupDownloadedAt: null
+        };
+        this.persist();
+    }
+
+    /**
+     * Make sure user has a keystore, generating one on first use
+     * @param {string} username - License username
+     * @returns {Promise<object>} - { success, generated } or { success, error }
+     */
+    async ensureKeystore(username) {
+        if (this.hasKeystore(username)) {
+            return { success: true, generated: false };
+        }
+
+        const result = await this.generate(username);
+        return result.success ? { success: true, generated: true } : result;
+    }
+
+    /**
+     * Decrypt keystore to a file for a build
+     * @param {string} username - License username
+     * @param {string} destPath - Where to write the decrypted keystore
+     * @returns {Promise<object>} - { storeFile, storePassword, keyAlias, keyPassword }
+     */
+    async getSigningConfig(username, destPath) {
+        const normalizedUsername = this.normalize(username);
+        const entry = this.entries[normalizedUsername];
+        if (!entry) {
+            throw new Error('Keystore tidak ditemukan');
+        }
+
+        const encrypted = await fs.readFile(this.getKeystorePath(normalizedUsername));
+        await fs.ensureDir(path.dirname(destPath));
+        await fs.writeFile(destPath, this.decrypt(encrypted));
+
+        return {
+            storeFile: destPath,
+            storePassword: this.decryptText(entry.storePassword),
+            keyAlias: entry.alias,
+            keyPassword: this.decryptText(entry.keyPassword)
+        };
+    }
+
+    /**
+     * SHA-256 fingerprint of the user's signing certificate (for assetlinks.json)
+     * @param {string} username - License username
+     * @returns {Promise<string>} - "AB:CD:..." (uppercase, colon separated)
+     */
+    async getCertificateFingerprint(username) {
+        const tempPath = path.join(os.tmpdir(), `web2apk-${crypto.randomUUID()}.keystore`);
+
+        try {
+            const signing = await this.getSigningConfig(username, tempPath);
+            return await readCertificateFingerprint(signing.storeFile, signing.storePassword, signing.keyAlias);
+        } finally {
+            await fs.remove(tempPath).catch(() => { });
+        }
+    }
+
+    /**
+     * SHA-256 fingerprint of the Android debug keystore Gradle signs debug APKs with
+     * @returns {Promise<string>}
+     */
+    async getDebugCertificateFingerprint() {
+        const androidHome = process.env.ANDROID_USER_HOME || path.join(os.homedir(), '.android');
+        const debugKeystore = path.join(androidHome, 'debug.keystore');
+        if (!await fs.pathExists(debugKeystore)) {
+            throw new Error('Debug keystore tidak ditemukan');
+        }
+
+        return readCertificateFingerprint(debugKeystore, 'android', 'androiddebugkey');
+    }
+
+    /**
+     * Generated keystore as backup; available until the user confirms it was saved (confirmBackup)
+     * @param {string} username - License username
+     * @returns {Promise<object>} - { success, buffer, fileName, alias, storePassword, keyPassword } or { success, error }
+     */
+    async getBackup(username) {
+        const normalizedUsername = this.normalize(username);
+        const entry = this.entries[normalizedUsername];
+
+        if (!entry) {
+            return { success: false, error: 'Anda belum memiliki keystore' };
+        }
+        if (entry.source !== 'generated') {
+            return { success: false, error: 'Keystore ini diupload oleh Anda, gunakan file asli sebagai backup' };
+        }
+        if (entry.backupDownloadedAt) {
+            return { success: false, error: 'Backup keystore sudah pernah diunduh dan tidak bisa diunduh lagi' };
+        }
+
+        const encrypted = await fs.readFile(this.getKeystorePath(normalizedUsername));
+        const buffer = this.decrypt(encrypted);
+
+        return {
+            success: true,
+            buffer,
+            fileName: `${normalizedUsername.replace(/[^a-z0-9_-]/g, '_')}-release.keystore`,
+            alias: entry.alias,
+            storePassword: this.decryptText(entry.storePassword),
+            keyPassword: this.decryptText(entry.keyPassword)
+        };
+    }
+
+    /**
+     * Mark the backup as saved, after which it can't be downloaded again
+     * @param {string} username - License username
+     * @returns {object} - { success } or { success, error }
+     */
+    confirmBackup(username) {
+        const entry = this.entries[this.normalize(username)];
+        if (!entry || entry.source !== 'generated') {
+            return { success: false, error: 'Tidak ada backup keystore untuk dikonfirmasi' };
+        }
+
+        if (!entry.backupDownloadedAt) {
+            entry.backupDownloadedAt = new Date().toISOString();
+            this.persist();
+        }
+        return { success: true };
+    }
+}
+
+/**
+ * Run keytool from JAVA_HOME (or PATH)
+ * @param {Object} passwords - { storePassword, keyPassword } for the -storepass:env / -keypass:env arguments
+ */
+function runKeytool(args, { storePassword = '', keyPassword = '' } = {}) {
+    const javaHome = process.env.JAVA_HOME;
+    const keytool = javaHome ? path.join(javaHome, 'bin', 'keytool') : 'keytool';
+    const env = { ...process.env, [STOREPASS_ENV]: storePassword, [KEYPASS_ENV]: keyPassword };
+
+    return new Promise((resolve, reject) => {
+        execFile(keytool, args, { timeout: 60 * 1000, env }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error((stderr || stdout || error.message).trim().split('\n')[0]));
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+/**
+ * Read the SHA-256 certificate fingerprint of a keystore entry via keytool
+ */
+async function readCertificateFingerprint(keystorePath, storePassword, alias) {
+    const { stdout } = await runKeytool([
+        '-list', '-v',
+        '-keystore', keystorePath,
+        '-storepass:env', STOREPASS_ENV,
+        '-alias', alias
+    ], { storePassword });
+
+    const match = stdout.match(/SHA-?256:\s*((?:[0-9A-F]{2}:){31}[0-9A-F]{2})/i);
+    if (!match) {
+        throw new Error('Fingerprint SHA-256 tidak ditemukan');
+    }
+    return match[1].toUpperCase();
+}
+
+module.exports = new KeystoreService();
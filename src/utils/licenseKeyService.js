@@ -179,6 +179,21 @@ class LicenseKeyService {
         return userData?.telegramId || null;
     }
 
+    /**
+     * Get username of an active license by Telegram ID
+     * @param {number|string} telegramId - Telegram User ID
+     * @returns {string|null} - Username or null if no active license
+     */
+    getUsernameByTelegramId(telegramId) {
+        const tgId = String(telegramId);
+        const now = new Date();
+
+        const entry = Object.entries(this.keys).find(([, data]) =>
+            data.telegramId === tgId && new Date(data.expiresAt) > now
+        );
+        return entry ? entry[0] : null;
+    }
+
     /**
      * Validate login attempt
      * Allows 1 APK device + 1 Web device per account
@@ -2,6 +2,8 @@
  * Progress Bar & Formatting Utilities for Telegram
  */
 
+const { SPLASH_FONTS } = require('../builder/projectGenerator');
+
 // Progress bar characters
 const PROGRESS_CHARS = {
     filled: '█',
@@ -47,17 +49,30 @@ ${bar} <b>${percent}%</b>
     `.trim();
 }
 
+const ZIP_TYPES = {
+    flutter: { icon: '💙', name: 'Flutter' },
+    android: { icon: '🤖', name: 'Android' },
+    html: { icon: '🌐', name: 'Website Statis' }
+};
+
+/**
+ * Human readable ZIP project type (flutter / android / html)
+ */
+function formatZipType(projectType) {
+    return (ZIP_TYPES[projectType] || ZIP_TYPES.android).name;
+}
+
 /**
  * Format ZIP build progress message
  * @param {number} percent - Progress percentage
  * @param {string} status - Current status text
- * @param {string} projectType - Project type (flutter/android)
+ * @param {string} projectType - Project type (flutter/android/html)
  * @param {string} buildType - Build type (debug/release)
  * @returns {string} Formatted message
  */
 function formatZipBuildProgress(percent, status, projectType, buildType) {
     const bar = progressBar(percent);
-    const typeIcon = projectType === 'flutter' ? '💙' : '🤖';
+    const typeIcon = (ZIP_TYPES[projectType] || ZIP_TYPES.android).icon;
     const buildIcon = buildType === 'release' ? '🚀' : '🐛';
 
     return `
@@ -66,7 +81,7 @@ function formatZipBuildProgress(percent, status, projectType, buildType) {
 
 ${bar} <b>${percent}%</b>
 
-${typeIcon} <b>Type:</b> ${projectType === 'flutter' ? 'Flutter' : 'Android'}
+${typeIcon} <b>Type:</b> ${formatZipType(projectType)}
 ${buildIcon} <b>Build:</b> ${buildType === 'release' ? 'Release' : 'Debug'}
 
 📍 <code>${status}</code>
@@ -143,6 +158,275 @@ ${progressBar(0)} <b>0%</b>
     `.trim();
 }
 
+/**
+ * Escape HTML special characters for Telegram HTML messages
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format build confirmation summary
+ * @param {Object} data - Session build data
+ * @returns {string} Formatted message
+ */
+function formatBuildSummary(data) {
+    const packageName = data.packageName ? `<code>${data.packageName}</code>` : 'Otomatis';
+
+    return `
+📱 <b>Konfirmasi Pembuatan APK</b>
+━━━━━━━━━━━━━━━━━━
+
+<b>Detail Aplikasi:</b>
+🌐 URL: <code>${escapeHtml(data.url)}</code>
+📝 Nama: ${escapeHtml(data.appName)}
+🖼️ Icon: ${data.iconPath ? 'Custom' : 'Default'}
+📦 Package: ${packageName}
+🔢 Versi: ${escapeHtml(data.versionName || '1.0')} (${data.versionCode || 1})
+🔐 Signing: ${data.keystoreOwner ? 'Release (keystore pribadi)' : 'Debug'}
+🗂️ Format: ${formatOutputFormat(data.outputFormat)}
+
+Klik "✅ Buat APK" untuk memulai proses build.
+    `.trim();
+}
+
+/**
+ * Human readable output format (apk / aab / both)
+ */
+function formatOutputFormat(format) {
+    if (format === 'both') return 'APK + AAB';
+    return (format || 'apk').toUpperCase();
+}
+
+const ORIENTATION_LABELS = {
+    auto: 'Otomatis',
+    portrait: 'Potret',
+    landscape: 'Lanskap',
+    sensor: 'Sensor (semua arah)'
+};
+
+/**
+ * Human readable orientation and fullscreen mode
+ */
+const LINK_MODE_LABELS = {
+    customtab: 'Custom Tab',
+    browser: 'Browser',
+    inapp: 'Dalam Aplikasi'
+};
+
+/**
+ * External link handling summary ("Custom Tab · +2 domain")
+ */
+function formatLinkHandling(data) {
+    const mode = LINK_MODE_LABELS[data.externalLinks || 'customtab'] || data.externalLinks;
+    const domains = String(data.allowedDomains || '').split(/[,\s]+/).filter(Boolean).length;
+    return domains ? `${mode} · +${domains} domain` : mode;
+}
+
+/**
+ * User agent summary (full replacement or "WebView default + suffix")
+ */
+function formatUserAgent(data) {
+    if (data.userAgent) return `<code>${escapeHtml(data.userAgent)}</code>`;
+    return `Default + <code>${escapeHtml(data.userAgentSuffix || 'Web2ApkApp')}</code>`;
+}
+
+/**
+ * Header names only; values may be API keys
+ */
+function formatHeaderNames(headers) {
+    const names = String(headers || '').split('\n').map(line => line.split(':')[0].trim()).filter(Boolean);
+    return names.length ? names.map(name => `<code>${escapeHtml(name)}</code>`).join(', ') : 'Tidak ada';
+}
+
+/**
+ * Tab labels of "Label | icon | URL" lines
+ */
+function formatTabs(tabs) {
+    const labels = String(tabs || '').split('\n').map(line => line.split('|')[0].trim()).filter(Boolean);
+    return labels.length ? labels.map(label => escapeHtml(label)).join(' · ') : 'Nonaktif';
+}
+
+/**
+ * Drawer menu item labels (dividers left out)
+ */
+function formatDrawerMenu(items) {
+    const labels = (items || []).filter(item => item.action !== 'divider').map(item => item.label);
+    return labels.length ? labels.map(label => escapeHtml(label)).join(' · ') : 'Nonaktif';
+}
+
+/**
+ * Injected CSS / JS sizes and where they run
+ */
+function formatInjection(data) {
+    const files = [['CSS', data.injectCss], ['JS', data.injectJs]]
+        .filter(([, code]) => code)
+        .map(([label, code]) => {
+            const bytes = Buffer.byteLength(code);
+            return `${label} (${bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`})`;
+        });
+    if (files.length === 0) return 'Tidak ada';
+
+    const pages = data.injectUrlPatterns
+        ? `<code>${escapeHtml(data.injectUrlPatterns)}</code>`
+        : 'semua halaman situs';
+    return `${files.join(' + ')} di ${pages}`;
+}
+
+/**
+ * Locale codes of "locale: name" lines
+ */
+function formatTranslations(translations) {
+    const locales = String(translations || '').split('\n').map(line => line.split(':')[0].trim()).filter(Boolean);
+    return locales.length ? locales.map(locale => `<code>${escapeHtml(locale)}</code>`).join(', ') : 'Tidak ada';
+}
+
+const THEME_MODE_LABELS = { system: 'Ikuti sistem', light: 'Selalu terang', dark: 'Selalu gelap' };
+
+function formatThemeMode(data) {
+    const mode = THEME_MODE_LABELS[data.themeMode || 'system'] || data.themeMode;
+    return data.webDarkening === false ? `${mode} (situs tidak digelapkan)` : mode;
+}
+
+function formatScreenMode(data) {
+    const orientation = ORIENTATION_LABELS[data.orientation || 'auto'] || data.orientation;
+    if (data.immersive) return `${orientation}, Immersive`;
+    if (data.fullscreen) return `${orientation}, Fullscreen`;
+    return orientation;
+}
+
+const PERMISSION_LABELS = {
+    camera: 'Kamera',
+    microphone: 'Mikrofon',
+    location: 'Lokasi',
+    storage: 'Penyimpanan',
+    notifications: 'Notifikasi'
+};
+
+/**
+ * Human readable list of enabled runtime permissions
+ */
+function formatPermissions(permissions) {
+    if (!permissions || permissions.length === 0) return 'Tidak ada';
+    return permissions.map(p => PERMISSION_LABELS[p] || p).join(', ');
+}
+
+const BRIDGE_LABELS = {
+    share: 'Share',
+    toast: 'Toast',
+    vibrate: 'Getar',
+    clipboard: 'Clipboard',
+    notification: 'Notifikasi',
+    device: 'Info Perangkat',
+    external: 'Buka Link Luar'
+};
+
+/**
+ * App Links summary: hosts and path prefixes that open in the app
+ */
+function formatDeepLinks(data) {
+    if (!data.deepLinks) return 'Nonaktif';
+    const hosts = data.deepLinkHosts ? escapeHtml(data.deepLinkHosts) : 'domain situs';
+    return data.deepLinkPaths ? `${hosts} (${escapeHtml(data.deepLinkPaths)})` : hosts;
+}
+
+/**
+ * Self-update channel; it needs a fixed package name to find earlier installs
+ */
+function formatAutoUpdate(data) {
+    if (!data.autoUpdate) return 'Nonaktif';
+    return data.packageName ? 'Aktif (dicek saat aplikasi dibuka)' : '⚠️ Isi package name dulu';
+}
+
+/**
+ * Human readable list of enabled bridge capabilities
+ */
+function formatBridgeCapabilities(capabilities) {
+    if (!capabilities || capabilities.length === 0) return 'Nonaktif';
+    return capabilities.map(c => BRIDGE_LABELS[c] || c).join(', ');
+}
+
+/**
+ * Human readable splash mode
+ */
+function formatSplashMode(splash = {}) {
+    if (splash.mode === 'none') return 'Tanpa splash';
+    if (splash.mode === 'pageload') return 'Sampai halaman pertama dimuat';
+    return `${(splash.duration || 2000) / 1000} detik`;
+}
+
+/**
+ * Format splash screen settings message
+ * @param {Object} splash - Session splash options
+ * @returns {string} Formatted message
+ */
+function formatSplashSettings(splash = {}) {
+    return `
+🎬 <b>Splash Screen</b>
+━━━━━━━━━━━━━━━━━━
+
+⏱️ <b>Tampil:</b> ${formatSplashMode(splash)}
+🎨 <b>Warna Latar:</b> ${splash.backgroundColor || 'Default'}
+💬 <b>Tagline:</b> ${splash.tagline ? escapeHtml(splash.tagline) : '-'}
+🔤 <b>Font:</b> ${splash.font ? `Smooch Sans ${SPLASH_FONTS[splash.font]}` : 'Default'}
+🖼️ <b>Logo:</b> ${splash.logoPath ? 'Custom' : 'Icon aplikasi'}
+
+💡 <i>"Sampai halaman dimuat" menampilkan splash hingga website selesai dimuat (maks. 10 detik).</i>
+    `.trim();
+}
+
+/**
+ * Format advanced settings message
+ * @param {Object} data - Session build data
+ * @returns {string} Formatted message
+ */
+function formatAdvancedSettings(data) {
+    const packageName = data.packageName ? `<code>${data.packageName}</code>` : '<i>Otomatis (unik per build)</i>';
+
+    return `
+⚙️ <b>Pengaturan Lanjutan</b>
+━━━━━━━━━━━━━━━━━━
+
+📦 <b>Package Name:</b> ${packageName}
+🔢 <b>Version Code:</b> ${data.versionCode || (data.autoUpdate ? 'Otomatis (versi terbit + 1)' : 1)}
+🏷️ <b>Version Name:</b> ${escapeHtml(data.versionName || '1.0')}
+🗂️ <b>Format:</b> ${formatOutputFormat(data.outputFormat)}
+🌍 <b>Nama per Bahasa:</b> ${formatTranslations(data.translations)}
+🧱 <b>Mode:</b> ${data.mode === 'twa' ? 'Trusted Web Activity (Chrome)' : 'WebView'}
+${data.mode === 'twa' ? formatTwaNote() : `🔓 <b>Izin:</b> ${formatPermissions(data.permissions)}
+📎 <b>Upload File:</b> ${data.fileUpload ? 'Aktif' : 'Nonaktif'}
+📥 <b>Unduhan File:</b> ${data.downloads ? 'Aktif' : 'Nonaktif'}
+🎬 <b>Splash:</b> ${formatSplashMode(data.splash)}
+📐 <b>Layar:</b> ${formatScreenMode(data)}
+🌗 <b>Tema:</b> ${formatThemeMode(data)}
+🧭 <b>Toolbar:</b> ${data.showToolbar === false ? 'Disembunyikan' : escapeHtml(data.toolbarTitle || data.appName || '-')}
+🔄 <b>Tarik Refresh:</b> ${data.pullToRefresh === false ? 'Nonaktif' : 'Aktif'} · 🔍 <b>Zoom:</b> ${data.zoom === false ? 'Nonaktif' : 'Aktif'} · 🔠 ${data.textZoom || 100}%
+📑 <b>Tab Bawah:</b> ${formatTabs(data.tabs)}
+🍔 <b>Menu Samping:</b> ${formatDrawerMenu(data.drawerMenu)}
+🔗 <b>Link Luar:</b> ${formatLinkHandling(data)}${data.externalSchemes ? `\n📲 <b>Skema Tambahan:</b> <code>${escapeHtml(data.externalSchemes)}</code>` : ''}
+🪪 <b>User-Agent:</b> ${formatUserAgent(data)}
+📨 <b>Header Tambahan:</b> ${formatHeaderNames(data.headers)}
+🔗 <b>App Links:</b> ${formatDeepLinks(data)}
+🧩 <b>JS Bridge:</b> ${formatBridgeCapabilities(data.bridgeCapabilities)}${data.bridgeCapabilities?.length ? ` (<code>window.${escapeHtml(data.bridgeName || 'Web2Apk')}</code>)` : ''}
+🎨 <b>CSS/JS Custom:</b> ${formatInjection(data)}
+🔄 <b>Update Otomatis:</b> ${formatAutoUpdate(data)}`}
+
+💡 <i>Gunakan package name yang sama dan version code yang lebih tinggi agar APK bisa dipasang sebagai update.</i>
+    `.trim();
+}
+
+/**
+ * Replaces the WebView settings in the summary when building a TWA
+ */
+function formatTwaNote() {
+    return '🌐 <i>Situs dibuka di Chrome tanpa bilah alamat. URL harus https://; pasang assetlinks.json (dikirim setelah build) di situs agar bilah alamat hilang. Opsi WebView tidak berlaku.</i>';
+}
+
 module.exports = {
     progressBar,
     formatBuildProgress,
@@ -150,5 +434,13 @@ module.exports = {
     formatSuccessMessage,
     formatErrorMessage,
     formatBuildStartMessage,
+    formatBuildSummary,
+    formatAdvancedSettings,
+    formatOutputFormat,
+    formatPermissions,
+    formatBridgeCapabilities,
+    formatZipType,
+    formatSplashSettings,
+    escapeHtml,
     getSpinner
 };
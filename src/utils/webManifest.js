@@ -0,0 +1,287 @@
+/**
+ * Web App Manifest import
+ *
+ * Maps a PWA manifest (manifest.webmanifest / manifest.json) onto the
+ * generateProject() config so users don't have to type every value by hand.
+ */
+
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs-extra');
+const { DISPLAY_MODES } = require('../builder/projectGenerator');
+
+const MAX_NAME_LENGTH = 30;
+const MAX_ICON_SIZE = 5 * 1024 * 1024;
+const MAX_ICON_REDIRECTS = 3;
+const ICON_TIMEOUT_MS = 15 * 1000;
+
+// Loopback, private, link-local and other non-public ranges the icon fetch must never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => BLOCKED_ADDRESSES.addSubnet(net4, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([net6, prefix]) => BLOCKED_ADDRESSES.addSubnet(net6, prefix, 'ipv6'));
+
+/**
+ * Parse manifest JSON and map it to build config
+ * @param {string} text - Manifest content
+ * @param {string} [baseUrl] - Site URL used to resolve relative start_url / icon paths
+ * @returns {{success: boolean, config?: Object, iconUrl?: string, error?: string}}
+ */
+function parseWebManifest(text, baseUrl = null) {
+    let manifest;
+    try {
+        manifest = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+    } catch (e) {
+        return { success: false, error: 'Manifest bukan JSON yang valid' };
+    }
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return { success: false, error: 'Manifest bukan JSON yang valid' };
+    }
+
+    const config = {};
+
+    // Prefer the full name, fall back to short_name when it doesn't fit
+    const names = [manifest.name, manifest.short_name]
+        .filter(n => typeof n === 'string')
+        .map(n => n.trim())
+        .filter(Boolean);
+    const appName = names.find(n => n.length <= MAX_NAME_LENGTH) || names[0]?.slice(0, MAX_NAME_LENGTH);
+    if (appName) config.appName = appName;
+
+    const themeColor = normalizeColor(manifest.theme_color);
+    if (themeColor) config.themeColor = themeColor;
+
+    const backgroundColor = normalizeColor(manifest.background_color);
+    if (backgroundColor) config.backgroundColor = backgroundColor;
+
+    const startUrl = resolveUrl(manifest.start_url || '.', baseUrl);
+    if (startUrl) config.url = startUrl;
+
+    if (DISPLAY_MODES.includes(manifest.display)) {
+        config.display = manifest.display;
+    }
+
+    const orientation = mapOrientation(manifest.orientation);
+    if (orientation) config.orientation = orientation;
+
+    // Relative icons resolve against the site, or against start_url when it is absolute
+    const icon = pickLargestIcon(manifest.icons);
+    const iconUrl = icon ? resolveUrl(icon.src, baseUrl || startUrl) : null;
+
+    return { success: true, config, iconUrl };
+}
+
+/**
+ * Download the manifest icon into destDir
+ *
+ * Only icons served from the site's own host are fetched, and only when that
+ * host resolves to a public address, so a manifest can't point the server at
+ * internal services.
+ * @param {string} iconUrl - Absolute icon URL from parseWebManifest()
+ * @param {string} destDir - Directory to save the icon in
+ * @param {string} siteUrl - URL of the site being wrapped
+ * @returns {Promise<string|null>} Local icon path, or null if it couldn't be fetched
+ */
+async function downloadManifestIcon(iconUrl, destDir, siteUrl) {
+    if (!iconUrl) return null;
+
+    let iconPath = null;
+    try {
+        const url = new URL(iconUrl);
+        if (!isSameSite(url, siteUrl)) {
+            throw new Error(`icon host ${url.hostname} is not the site host`);
+        }
+
+        await fs.ensureDir(destDir);
+        const ext = path.extname(url.pathname).toLowerCase() || '.png';
+        iconPath = path.join(destDir, `manifest-icon-${Date.now()}${ext}`);
+        await fetchIcon(url, iconPath, siteUrl, MAX_ICON_REDIRECTS);
+        return iconPath;
+    } catch (error) {
+        if (iconPath) await fs.remove(iconPath).catch(() => {});
+        console.warn('[Manifest] Icon download failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * http(s) URL whose host matches the site host (ignoring a leading www.)
+ */
+function isSameSite(url, siteUrl) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+
+    let site;
+    try {
+        site = new URL(siteUrl);
+    } catch (e) {
+        return false;
+    }
+
+    const bare = host => host.toLowerCase().replace(/^www\./, '');
+    return bare(url.hostname) === bare(site.hostname);
+}
+
+/**
+ * True for loopback / private / link-local addresses (IPv4-mapped IPv6 included)
+ */
+function isBlockedAddress(address, family) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve the host once and refuse it if any address is non-public
+ */
+async function resolvePublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.promises.lookup(host, { all: true });
+
+    if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address, a.family))) {
+        throw new Error(`icon host ${hostname} resolves to a non-public address`);
+    }
+    return addresses[0];
+}
+
+/**
+ * GET the icon with a size cap, following a limited number of same-site redirects.
+ * The connection is pinned to the checked address so DNS can't change in between.
+ */
+async function fetchIcon(url, destPath, siteUrl, redirectsLeft) {
+    const target = await resolvePublicHost(url.hostname);
+    const lookup = (hostname, options, callback) => {
+        if (options && options.all) callback(null, [target]);
+        else callback(null, target.address, target.family);
+    };
+    const client = url.protocol === 'https:' ? https : http;
+
+    const response = await new Promise((resolve, reject) => {
+        const request = client.get(url, { lookup, timeout: ICON_TIMEOUT_MS }, resolve);
+        request.on('timeout', () => request.destroy(new Error('icon download timed out')));
+        request.on('error', reject);
+    });
+
+    if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+        response.resume();
+        if (redirectsLeft <= 0) throw new Error('too many redirects');
+
+        const next = new URL(response.headers.location || '', url);
+        if (!isSameSite(next, siteUrl)) {
+            throw new Error(`icon redirected off the site host (${next.hostname})`);
+        }
+        return fetchIcon(next, destPath, siteUrl, redirectsLeft - 1);
+    }
+
+    if (response.statusCode !== 200) {
+        response.resume();
+        throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    if (parseInt(response.headers['content-length'], 10) > MAX_ICON_SIZE) {
+        response.destroy();
+        throw new Error('icon is too large');
+    }
+
+    await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(destPath);
+        let received = 0;
+
+        response.on('data', chunk => {
+            received += chunk.length;
+            if (received > MAX_ICON_SIZE) {
+                response.destroy(new Error('icon is too large'));
+            }
+        });
+        response.on('error', error => {
+            file.destroy();
+            reject(error);
+        });
+        file.on('error', reject);
+        file.on('finish', resolve);
+        response.pipe(file);
+    });
+}
+
+/**
+ * Largest raster icon (by "sizes"), skipping monochrome-only icons
+ */
+function pickLargestIcon(icons) {
+    if (!Array.isArray(icons)) return null;
+
+    let best = null;
+    let bestSize = -1;
+
+    for (const icon of icons) {
+        if (!icon || typeof icon.src !== 'string') continue;
+
+        const purposes = String(icon.purpose || 'any').split(/\s+/);
+        if (!purposes.includes('any') && !purposes.includes('maskable')) continue;
+
+        const size = String(icon.sizes || '')
+            .split(/\s+/)
+            .map(s => parseInt(s.split('x')[0], 10) || 0)
+            .reduce((max, s) => Math.max(max, s), 0);
+
+        if (size > bestSize) {
+            best = icon;
+            bestSize = size;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Manifest orientation -> portrait / landscape / auto
+ */
+function mapOrientation(orientation) {
+    if (typeof orientation !== 'string') return null;
+    if (orientation.startsWith('portrait')) return 'portrait';
+    if (orientation.startsWith('landscape')) return 'landscape';
+    if (orientation === 'any' || orientation === 'natural') return 'auto';
+    return null;
+}
+
+/**
+ * Accept #RGB / #RRGGBB, returned as #RRGGBB
+ */
+function normalizeColor(color) {
+    if (typeof color !== 'string') return null;
+
+    const value = color.trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(value)) return value.toUpperCase();
+    if (/^#[0-9a-fA-F]{3}$/.test(value)) {
+        return ('#' + value.slice(1).split('').map(c => c + c).join('')).toUpperCase();
+    }
+    return null;
+}
+
+/**
+ * Resolve a (possibly relative) URL; only absolute http(s) results are returned
+ */
+function resolveUrl(value, baseUrl) {
+    if (typeof value !== 'string') return null;
+
+    try {
+        const url = baseUrl ? new URL(value, baseUrl) : new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    parseWebManifest,
+    downloadManifestIcon
+};
@@ -5,11 +5,17 @@
 // State
 // let selectedColor = '#2196F3'; // Removed
 let selectedIcon = null;
+let selectedManifest = null;
+let manifestThemeColor = null;
+let iconPreviewTimer = null;
+let selectedOutputFormat = 'apk';
 let expireCountdown = null;
+let drawerMenuItems = [];
 
 // ZIP Build State
 let selectedProjectType = 'flutter';
 let selectedBuildType = 'release';
+let selectedZipOutputFormat = 'apk';
 let selectedZipFile = null;
 let zipExpireCountdown = null;
 
@@ -354,6 +360,54 @@ const elements = {
     buildForm: document.getElementById('buildForm'),
     urlInput: document.getElementById('urlInput'),
     appNameInput: document.getElementById('appNameInput'),
+    packageNameInput: document.getElementById('packageNameInput'),
+    buildModeInput: document.getElementById('buildModeInput'),
+    translationsInput: document.getElementById('translationsInput'),
+    versionCodeInput: document.getElementById('versionCodeInput'),
+    autoUpdateInput: document.getElementById('autoUpdateInput'),
+    versionNameInput: document.getElementById('versionNameInput'),
+    fileUploadInput: document.getElementById('fileUploadInput'),
+    downloadsInput: document.getElementById('downloadsInput'),
+    offlinePageInput: document.getElementById('offlinePageInput'),
+    toolbarTitleInput: document.getElementById('toolbarTitleInput'),
+    showToolbarInput: document.getElementById('showToolbarInput'),
+    pullToRefreshInput: document.getElementById('pullToRefreshInput'),
+    zoomInput: document.getElementById('zoomInput'),
+    textZoomInput: document.getElementById('textZoomInput'),
+    externalLinksInput: document.getElementById('externalLinksInput'),
+    allowedDomainsInput: document.getElementById('allowedDomainsInput'),
+    externalSchemesInput: document.getElementById('externalSchemesInput'),
+    userAgentInput: document.getElementById('userAgentInput'),
+    userAgentSuffixInput: document.getElementById('userAgentSuffixInput'),
+    headersInput: document.getElementById('headersInput'),
+    tabsInput: document.getElementById('tabsInput'),
+    injectCssInput: document.getElementById('injectCssInput'),
+    injectJsInput: document.getElementById('injectJsInput'),
+    injectUrlPatternsInput: document.getElementById('injectUrlPatternsInput'),
+    bridgeNameInput: document.getElementById('bridgeNameInput'),
+    deepLinksInput: document.getElementById('deepLinksInput'),
+    deepLinkHostsInput: document.getElementById('deepLinkHostsInput'),
+    deepLinkPathsInput: document.getElementById('deepLinkPathsInput'),
+    orientationInput: document.getElementById('orientationInput'),
+    themeModeInput: document.getElementById('themeModeInput'),
+    webDarkeningInput: document.getElementById('webDarkeningInput'),
+    fullscreenInput: document.getElementById('fullscreenInput'),
+    immersiveInput: document.getElementById('immersiveInput'),
+    iconStyleInput: document.getElementById('iconStyleInput'),
+    iconColorInput: document.getElementById('iconColorInput'),
+    iconStudioFields: document.getElementById('iconStudioFields'),
+    iconTextInput: document.getElementById('iconTextInput'),
+    logoPaddingInput: document.getElementById('logoPaddingInput'),
+    iconStudioPreview: document.getElementById('iconStudioPreview'),
+    iconBackgroundColorInput: document.getElementById('iconBackgroundColorInput'),
+    iconPaddingInput: document.getElementById('iconPaddingInput'),
+    iconBackgroundInput: document.getElementById('iconBackgroundInput'),
+    splashModeInput: document.getElementById('splashModeInput'),
+    splashOptions: document.getElementById('splashOptions'),
+    splashColorInput: document.getElementById('splashColorInput'),
+    splashFontInput: document.getElementById('splashFontInput'),
+    splashTaglineInput: document.getElementById('splashTaglineInput'),
+    splashLogoInput: document.getElementById('splashLogoInput'),
     buildBtn: document.getElementById('buildBtn'),
 
     // Icon upload
@@ -372,6 +426,9 @@ const elements = {
     // Result
     buildResult: document.getElementById('buildResult'),
     downloadBtn: document.getElementById('downloadBtn'),
+    aabDownloadBtn: document.getElementById('aabDownloadBtn'),
+    bridgeDownloadBtn: document.getElementById('bridgeDownloadBtn'),
+    assetLinksDownloadBtn: document.getElementById('assetLinksDownloadBtn'),
     expireTime: document.getElementById('expireTime'),
 
     // Error
@@ -395,6 +452,7 @@ const elements = {
     zipProgressFill: document.getElementById('zipProgressFill'),
     zipBuildResult: document.getElementById('zipBuildResult'),
     zipDownloadBtn: document.getElementById('zipDownloadBtn'),
+    zipAabDownloadBtn: document.getElementById('zipAabDownloadBtn'),
     zipExpireTime: document.getElementById('zipExpireTime'),
     zipBuildError: document.getElementById('zipBuildError'),
     zipErrorMessage: document.getElementById('zipErrorMessage'),
@@ -421,6 +479,10 @@ document.addEventListener('DOMContentLoaded', () => {
     loadSpecs();
     // setupColorPicker(); // Removed
     setupIconUpload();
+    setupIconStudio();
+    setupManifestImport();
+    setupSplashOptions();
+    setupDrawerMenuEditor();
     setupForm();
     setupRefresh();
     setupTabs();
@@ -428,9 +490,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // ZIP Build setup
     setupProjectTypePicker();
     setupBuildTypePicker();
+    setupOutputFormatPicker('urlFormatPicker', (format) => { selectedOutputFormat = format; });
+    setupOutputFormatPicker('zipFormatPicker', (format) => { selectedZipOutputFormat = format; });
     setupZipUpload();
     setupZipForm();
 
+    // Keystore vault setup
+    setupKeystore();
+
     // Logs setup
     setupLogs();
     loadLogs();
@@ -458,7 +525,7 @@ function restoreBuildState() {
             const remainingTime = Math.max(0, (urlState.expiresIn || 120) - elapsedSeconds);
 
             if (remainingTime > 0) {
-                showResult(urlState.downloadUrl, remainingTime);
+                showResult(urlState.downloadUrl, remainingTime, urlState.aabDownloadUrl, urlState.bridgeDownloadUrl, urlState.assetLinksDownloadUrl);
             } else {
                 // Expired, clear state
                 clearBuildState('url');
@@ -487,7 +554,7 @@ function restoreBuildState() {
             const remainingTime = Math.max(0, (zipState.expiresIn || 120) - elapsedSeconds);
 
             if (remainingTime > 0) {
-                showZipResult(zipState.downloadUrl, remainingTime);
+                showZipResult(zipState.downloadUrl, remainingTime, zipState.aabDownloadUrl);
             } else {
                 // Expired, clear state
                 clearBuildState('zip');
@@ -659,6 +726,97 @@ function handleIconFile(file) {
         elements.uploadPreview.classList.remove('hidden');
     };
     reader.readAsDataURL(file);
+    scheduleIconPreview();
+}
+
+// Icon studio: initials / emoji / padded logo, previewed by the server
+function setupIconStudio() {
+    [elements.iconStyleInput, elements.iconColorInput, elements.iconTextInput, elements.logoPaddingInput, elements.appNameInput]
+        .forEach(input => input.addEventListener('input', scheduleIconPreview));
+}
+
+function scheduleIconPreview() {
+    clearTimeout(iconPreviewTimer);
+    iconPreviewTimer = setTimeout(refreshIconPreview, 400);
+}
+
+async function refreshIconPreview() {
+    const style = elements.iconStyleInput.value;
+    elements.iconStudioFields.classList.toggle('hidden', !style);
+
+    const canPreview = style && (style !== 'logo' || selectedIcon);
+    if (!canPreview) {
+        elements.iconStudioPreview.classList.add('hidden');
+        return;
+    }
+
+    const formData = new FormData();
+    appendIconStudioOptions(formData);
+    formData.append('appName', elements.appNameInput.value.trim());
+    if (style === 'logo') formData.append('icon', selectedIcon);
+
+    try {
+        const response = await fetch('/api/icon-preview', { method: 'POST', body: formData });
+        if (!response.ok) throw new Error((await response.json()).error);
+
+        URL.revokeObjectURL(elements.iconStudioPreview.src);
+        elements.iconStudioPreview.src = URL.createObjectURL(await response.blob());
+        elements.iconStudioPreview.classList.remove('hidden');
+    } catch (error) {
+        elements.iconStudioPreview.classList.add('hidden');
+    }
+}
+
+function appendIconStudioOptions(formData) {
+    const style = elements.iconStyleInput.value;
+    if (!style) return;
+
+    formData.append('iconStyle', style);
+    formData.append('iconColor', elements.iconColorInput.value);
+    const text = elements.iconTextInput.value.trim();
+    if (text) formData.append('iconText', text);
+    if (elements.logoPaddingInput.value !== '') formData.append('logoPadding', elements.logoPaddingInput.value);
+}
+
+// Web App Manifest import: prefill the form, the server maps the rest (icon, orientation, ...)
+function setupManifestImport() {
+    const input = document.getElementById('manifestInput');
+
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        selectedManifest = null;
+        manifestThemeColor = null;
+        if (!file) return;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await file.text());
+        } catch {
+            showToast('Manifest bukan JSON yang valid', 'error');
+            input.value = '';
+            return;
+        }
+
+        selectedManifest = file;
+
+        const name = [manifest.name, manifest.short_name].find(n => n && n.length <= 30);
+        if (name && !elements.appNameInput.value.trim()) {
+            elements.appNameInput.value = name;
+        }
+
+        try {
+            const startUrl = new URL(manifest.start_url);
+            if (!elements.urlInput.value.trim()) elements.urlInput.value = startUrl.href;
+        } catch {
+            // Relative start_url: resolved on the server against the URL field
+        }
+
+        if (/^#[0-9a-fA-F]{6}$/.test(manifest.theme_color || '')) {
+            manifestThemeColor = manifest.theme_color;
+        }
+
+        showToast('Manifest diimpor', 'success');
+    });
 }
 
 // Remove icon
@@ -668,6 +826,163 @@ function removeIcon() {
     elements.iconPreviewImg.src = '';
     elements.uploadPlaceholder.classList.remove('hidden');
     elements.uploadPreview.classList.add('hidden');
+    scheduleIconPreview();
+}
+
+// Splash options only apply when a splash is shown
+function setupSplashOptions() {
+    elements.splashModeInput.addEventListener('change', () => {
+        elements.splashOptions.classList.toggle('hidden', elements.splashModeInput.value === 'none');
+    });
+}
+
+// Splash select values: duration in ms, 'pageload' or 'none'
+function appendSplashOptions(formData) {
+    const mode = elements.splashModeInput.value;
+    if (/^\d+$/.test(mode)) {
+        formData.append('splashMode', 'timed');
+        formData.append('splashDuration', mode);
+    } else {
+        formData.append('splashMode', mode);
+    }
+    if (mode === 'none') return;
+
+    const color = elements.splashColorInput.value.trim();
+    const tagline = elements.splashTaglineInput.value.trim();
+    if (color) formData.append('splashColor', color);
+    if (tagline) formData.append('splashTagline', tagline);
+    if (elements.splashFontInput.value) formData.append('splashFont', elements.splashFontInput.value);
+    if (elements.splashLogoInput.files[0]) formData.append('splashLogo', elements.splashLogoInput.files[0]);
+}
+
+// Side drawer menu editor: rows of action / label / icon / URL, sent as JSON
+const DRAWER_ACTION_LABELS = {
+    url: 'Buka di aplikasi',
+    external: 'Link luar',
+    share: 'Bagikan aplikasi'
+};
+const NAV_ICONS = [
+    'home', 'dashboard', 'search', 'explore', 'store', 'shopping_cart', 'local_offer', 'favorite', 'star',
+    'list', 'calendar', 'play', 'place', 'chat', 'mail', 'phone', 'notifications', 'person',
+    'account_circle', 'settings', 'info', 'help', 'menu', 'share', 'open_in_new'
+];
+const MAX_DRAWER_ITEMS = 20;
+
+function setupDrawerMenuEditor() {
+    const editor = document.getElementById('drawerMenuEditor');
+    const importInput = document.getElementById('drawerImportInput');
+
+    document.getElementById('drawerAddItemBtn').addEventListener('click', () => {
+        addDrawerMenuItem({ action: 'url', label: '', icon: '', url: '' });
+    });
+    document.getElementById('drawerAddDividerBtn').addEventListener('click', () => {
+        addDrawerMenuItem({ action: 'divider' });
+    });
+    document.getElementById('drawerImportBtn').addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        let menu;
+        try {
+            menu = JSON.parse(await file.text());
+        } catch {
+            showToast('Menu bukan JSON yang valid', 'error');
+            return;
+        }
+        const items = Array.isArray(menu) ? menu : menu?.items;
+        if (!Array.isArray(items) || items.length > MAX_DRAWER_ITEMS) {
+            showToast(`Menu harus berisi 1-${MAX_DRAWER_ITEMS} item`, 'error');
+            return;
+        }
+
+        drawerMenuItems = items.map(item => item?.action === 'divider'
+            ? { action: 'divider' }
+            : {
+                action: DRAWER_ACTION_LABELS[item?.action] ? item.action : 'url',
+                label: String(item?.label ?? ''),
+                icon: NAV_ICONS.includes(item?.icon) ? item.icon : '',
+                url: String(item?.url ?? '')
+            });
+        renderDrawerMenu();
+        showToast('Menu diimpor', 'success');
+    });
+
+    // Edits update the state in place; buttons move / remove rows
+    editor.addEventListener('input', (e) => {
+        const row = e.target.closest('.drawer-menu-item');
+        if (!row || !e.target.dataset.field) return;
+        drawerMenuItems[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+        if (e.target.dataset.field === 'action') renderDrawerMenu();
+    });
+    editor.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-move]');
+        if (!button) return;
+        const index = Number(button.closest('.drawer-menu-item').dataset.index);
+        const move = button.dataset.move;
+
+        if (move === 'remove') {
+            drawerMenuItems.splice(index, 1);
+        } else {
+            const target = move === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= drawerMenuItems.length) return;
+            [drawerMenuItems[index], drawerMenuItems[target]] = [drawerMenuItems[target], drawerMenuItems[index]];
+        }
+        renderDrawerMenu();
+    });
+}
+
+function addDrawerMenuItem(item) {
+    if (drawerMenuItems.length >= MAX_DRAWER_ITEMS) {
+        showToast(`Maksimal ${MAX_DRAWER_ITEMS} item`, 'error');
+        return;
+    }
+    drawerMenuItems.push(item);
+    renderDrawerMenu();
+}
+
+function renderDrawerMenu() {
+    const buttons = `
+        <div class="drawer-menu-item-buttons">
+            <button type="button" class="btn-icon" data-move="up" title="Naik"><i class="ri-arrow-up-line"></i></button>
+            <button type="button" class="btn-icon" data-move="down" title="Turun"><i class="ri-arrow-down-line"></i></button>
+            <button type="button" class="btn-icon" data-move="remove" title="Hapus"><i class="ri-delete-bin-line"></i></button>
+        </div>
+    `;
+
+    const editor = document.getElementById('drawerMenuEditor');
+    editor.innerHTML = drawerMenuItems.map((item, index) => {
+        if (item.action === 'divider') {
+            return `<div class="drawer-menu-item divider" data-index="${index}"><hr>${buttons}</div>`;
+        }
+
+        const actions = Object.entries(DRAWER_ACTION_LABELS).map(([value, label]) =>
+            `<option value="${value}" ${item.action === value ? 'selected' : ''}>${label}</option>`).join('');
+        const icons = ['', ...NAV_ICONS].map(icon =>
+            `<option value="${icon}" ${item.icon === icon ? 'selected' : ''}>${icon || 'Tanpa icon'}</option>`).join('');
+        const urlPlaceholder = {
+            url: 'https://example.com/promo',
+            external: 'https://instagram.com/toko atau tel:08123',
+            share: 'Link (default: Play Store)'
+        }[item.action];
+
+        return `
+            <div class="drawer-menu-item" data-index="${index}">
+                <select data-field="action">${actions}</select>
+                <input type="text" data-field="label" placeholder="Label" maxlength="40">
+                <select data-field="icon">${icons}</select>
+                <input type="text" data-field="url" placeholder="${urlPlaceholder}">
+                ${buttons}
+            </div>
+        `;
+    }).join('');
+
+    // Typed text goes in through the DOM, not the markup
+    editor.querySelectorAll('input[data-field]').forEach(input => {
+        input.value = drawerMenuItems[Number(input.closest('.drawer-menu-item').dataset.index)][input.dataset.field];
+    });
 }
 
 // Setup form
@@ -694,6 +1009,9 @@ function setupRefresh() {
 async function startBuild() {
     const url = elements.urlInput.value.trim();
     const appName = elements.appNameInput.value.trim();
+    const packageName = elements.packageNameInput.value.trim();
+    const versionCode = elements.versionCodeInput.value.trim();
+    const versionName = elements.versionNameInput.value.trim();
 
     if (!url || !appName) return;
 
@@ -733,7 +1051,76 @@ async function startBuild() {
         const formData = new FormData();
         formData.append('url', url);
         formData.append('appName', appName);
-        formData.append('themeColor', '#2196F3'); // Default Blue
+        formData.append('themeColor', manifestThemeColor || '#2196F3'); // Default Blue
+        if (selectedManifest) formData.append('manifest', selectedManifest);
+        if (packageName) formData.append('packageName', packageName);
+        if (versionCode) formData.append('versionCode', versionCode);
+        if (versionName) formData.append('versionName', versionName);
+        if (elements.autoUpdateInput.checked) formData.append('autoUpdate', 'true');
+        formData.append('outputFormat', selectedOutputFormat);
+        if (elements.buildModeInput.value !== 'webview') formData.append('mode', elements.buildModeInput.value);
+        const translations = elements.translationsInput.value.trim();
+        if (translations) formData.append('translations', translations);
+        if (elements.fileUploadInput.checked) formData.append('fileUpload', 'true');
+        if (elements.downloadsInput.checked) formData.append('downloads', 'true');
+        if (elements.offlinePageInput.files[0]) formData.append('offlinePage', elements.offlinePageInput.files[0]);
+        const toolbarTitle = elements.toolbarTitleInput.value.trim();
+        if (toolbarTitle) formData.append('toolbarTitle', toolbarTitle);
+        if (!elements.showToolbarInput.checked) formData.append('showToolbar', 'false');
+        if (!elements.pullToRefreshInput.checked) formData.append('pullToRefresh', 'false');
+        if (!elements.zoomInput.checked) formData.append('zoom', 'false');
+        if (elements.textZoomInput.value) formData.append('textZoom', elements.textZoomInput.value);
+        if (elements.externalLinksInput.value !== 'customtab') formData.append('externalLinks', elements.externalLinksInput.value);
+        const allowedDomains = elements.allowedDomainsInput.value.trim();
+        if (allowedDomains) formData.append('allowedDomains', allowedDomains);
+        const externalSchemes = elements.externalSchemesInput.value.trim();
+        if (externalSchemes) formData.append('externalSchemes', externalSchemes);
+        const userAgent = elements.userAgentInput.value.trim();
+        if (userAgent) formData.append('userAgent', userAgent);
+        const userAgentSuffix = elements.userAgentSuffixInput.value.trim();
+        if (userAgentSuffix) formData.append('userAgentSuffix', userAgentSuffix);
+        const headers = elements.headersInput.value.trim();
+        if (headers) formData.append('headers', headers);
+        const tabs = elements.tabsInput.value.trim();
+        if (tabs) {
+            formData.append('tabs', tabs);
+            document.querySelectorAll('#tabIconInputs input').forEach((input, index) => {
+                if (input.files[0]) formData.append(`tabIcon${index}`, input.files[0]);
+            });
+        }
+        if (drawerMenuItems.length > 0) formData.append('drawerMenu', JSON.stringify({ items: drawerMenuItems }));
+        const injectCss = elements.injectCssInput.value.trim();
+        if (injectCss) formData.append('injectCss', injectCss);
+        const injectJs = elements.injectJsInput.value.trim();
+        if (injectJs) formData.append('injectJs', injectJs);
+        const injectUrlPatterns = elements.injectUrlPatternsInput.value.trim();
+        if (injectUrlPatterns) formData.append('injectUrlPatterns', injectUrlPatterns);
+        if (elements.orientationInput.value !== 'auto') formData.append('orientation', elements.orientationInput.value);
+        if (elements.themeModeInput.value !== 'system') formData.append('themeMode', elements.themeModeInput.value);
+        if (!elements.webDarkeningInput.checked) formData.append('webDarkening', 'false');
+        if (elements.fullscreenInput.checked) formData.append('fullscreen', 'true');
+        if (elements.immersiveInput.checked) formData.append('immersive', 'true');
+        appendSplashOptions(formData);
+        appendIconStudioOptions(formData);
+        const iconBackgroundColor = elements.iconBackgroundColorInput.value.trim();
+        if (iconBackgroundColor) formData.append('iconBackgroundColor', iconBackgroundColor);
+        if (elements.iconPaddingInput.value !== '') formData.append('iconPadding', elements.iconPaddingInput.value);
+        if (elements.iconBackgroundInput.files[0]) formData.append('iconBackground', elements.iconBackgroundInput.files[0]);
+        document.querySelectorAll('#permissionPicker input:checked').forEach(input => {
+            formData.append('permissions', input.value);
+        });
+        document.querySelectorAll('#bridgePicker input:checked').forEach(input => {
+            formData.append('bridgeCapabilities', input.value);
+        });
+        const bridgeName = elements.bridgeNameInput.value.trim();
+        if (bridgeName) formData.append('bridgeName', bridgeName);
+        if (elements.deepLinksInput.checked) {
+            formData.append('deepLinks', 'true');
+            const deepLinkHosts = elements.deepLinkHostsInput.value.trim();
+            if (deepLinkHosts) formData.append('deepLinkHosts', deepLinkHosts);
+            const deepLinkPaths = elements.deepLinkPathsInput.value.trim();
+            if (deepLinkPaths) formData.append('deepLinkPaths', deepLinkPaths);
+        }
         if (selectedIcon) {
             formData.append('icon', selectedIcon);
         }
@@ -757,7 +1144,10 @@ async function startBuild() {
         elements.progressText.textContent = 'Build complete!';
 
         setTimeout(() => {
-            showResult(data.downloadUrl, data.expiresIn);
+            showResult(data.downloadUrl, data.expiresIn, data.aabDownloadUrl, data.bridgeDownloadUrl, data.assetLinksDownloadUrl);
+            if (data.published) {
+                showToast(`Update ${data.published.versionName} (${data.published.versionCode}) terbit untuk pengguna lama`, 'success');
+            }
         }, 500);
 
     } catch (error) {
@@ -779,7 +1169,7 @@ function showProgress() {
 }
 
 // Show result - WebView compatible version
-function showResult(downloadUrl, expiresIn) {
+function showResult(downloadUrl, expiresIn, aabDownloadUrl = null, bridgeDownloadUrl = null, assetLinksDownloadUrl = null) {
     console.log('[showResult] Called with URL:', downloadUrl, 'expiresIn:', expiresIn);
 
     // Validate download URL
@@ -796,6 +1186,9 @@ function showResult(downloadUrl, expiresIn) {
     saveBuildState('url', {
         status: 'result',
         downloadUrl: downloadUrl,
+        aabDownloadUrl: aabDownloadUrl,
+        bridgeDownloadUrl: bridgeDownloadUrl,
+        assetLinksDownloadUrl: assetLinksDownloadUrl,
         expiresIn: expiresIn || 120
     });
 
@@ -813,6 +1206,11 @@ function showResult(downloadUrl, expiresIn) {
     } else {
         console.error('[showResult] Download button element not found!');
     }
+    setAabDownload(downloadBtn, elements.aabDownloadBtn, downloadUrl, aabDownloadUrl);
+
+    // Files for the site: bridge helper and assetlinks.json (only when enabled)
+    setExtraDownload(elements.bridgeDownloadBtn, bridgeDownloadUrl);
+    setExtraDownload(elements.assetLinksDownloadBtn, assetLinksDownloadUrl);
 
     // Set countdown timer
     let timeLeft = expiresIn || 60;
@@ -879,6 +1277,170 @@ function resetForm() {
     clearBuildState('url');
 }
 
+// ==================== KEYSTORE VAULT ====================
+
+// Setup keystore panel
+function setupKeystore() {
+    document.getElementById('keystoreGenerateBtn').addEventListener('click', generateKeystore);
+    document.getElementById('keystoreBackupBtn').addEventListener('click', downloadKeystoreBackup);
+    document.getElementById('keystoreUploadBtn').addEventListener('click', () => uploadKeystore());
+    document.getElementById('keystoreUploadToggle').addEventListener('click', () => {
+        document.getElementById('keystoreUploadForm').classList.toggle('hidden');
+    });
+
+    loadKeystoreStatus();
+}
+
+// Load keystore status
+async function loadKeystoreStatus() {
+    try {
+        const response = await fetch('/api/keystore', { headers: getAuthHeader() });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        renderKeystoreStatus(data.keystore);
+    } catch (error) {
+        document.getElementById('keystoreStatus').textContent = 'Status keystore tidak tersedia.';
+    }
+}
+
+// Render keystore status
+function renderKeystoreStatus(info) {
+    const status = document.getElementById('keystoreStatus');
+    const generateBtn = document.getElementById('keystoreGenerateBtn');
+    const backupBtn = document.getElementById('keystoreBackupBtn');
+
+    if (!info) {
+        status.textContent = 'Belum ada keystore. Keystore dibuat otomatis saat build pertama, APK akan ditandatangani sebagai rilis.';
+        generateBtn.classList.remove('hidden');
+        backupBtn.classList.add('hidden');
+        return;
+    }
+
+    const source = info.source === 'uploaded' ? 'diupload' : 'dibuat otomatis';
+    const createdAt = new Date(info.createdAt).toLocaleDateString('id-ID');
+    status.textContent = `Aktif (alias: ${info.alias}, ${source} ${createdAt}). APK ditandatangani sebagai rilis.`;
+    generateBtn.classList.add('hidden');
+    backupBtn.classList.toggle('hidden', !info.backupAvailable);
+}
+
+// Generate keystore
+async function generateKeystore() {
+    try {
+        const response = await fetch('/api/keystore/generate', {
+            method: 'POST',
+            headers: getAuthHeader()
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        renderKeystoreStatus(data.keystore);
+        showToast('Keystore berhasil dibuat', 'success');
+    } catch (error) {
+        showToast(error.message || 'Gagal membuat keystore', 'error');
+    }
+}
+
+// Upload own keystore (an existing one is only replaced after confirmation)
+async function uploadKeystore(replace = false) {
+    const file = document.getElementById('keystoreFileInput').files[0];
+    const alias = document.getElementById('keystoreAliasInput').value.trim();
+    const storePassword = document.getElementById('keystoreStorePassInput').value;
+    const keyPassword = document.getElementById('keystoreKeyPassInput').value;
+
+    if (!file || !alias || !storePassword) {
+        showToast('File, alias dan store password diperlukan', 'error');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('keystore', file);
+    formData.append('alias', alias);
+    formData.append('storePassword', storePassword);
+    if (keyPassword) formData.append('keyPassword', keyPassword);
+    if (replace) formData.append('replace', 'true');
+
+    try {
+        const response = await fetch('/api/keystore/upload', {
+            method: 'POST',
+            headers: getAuthHeader(),
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            if (data.needsReplace && !replace
+                && confirm('Keystore lama akan diganti. APK yang ditandatangani keystore lama tidak bisa di-update lagi. Lanjutkan?')) {
+                return uploadKeystore(true);
+            }
+            throw new Error(data.error);
+        }
+
+        renderKeystoreStatus(data.keystore);
+        document.getElementById('keystoreUploadForm').classList.add('hidden');
+        document.getElementById('keystoreStorePassInput').value = '';
+        document.getElementById('keystoreKeyPassInput').value = '';
+        showToast('Keystore berhasil disimpan', 'success');
+    } catch (error) {
+        showToast(error.message || 'Gagal upload keystore', 'error');
+    }
+}
+
+// Download keystore backup (one-time once confirmed as saved)
+async function downloadKeystoreBackup() {
+    try {
+        const response = await fetch('/api/keystore/backup', {
+            method: 'POST',
+            headers: getAuthHeader()
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        // Decode base64 and trigger download
+        const bytes = Uint8Array.from(atob(data.data), c => c.charCodeAt(0));
+        const blob = new Blob([bytes], { type: 'application/octet-stream' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = data.fileName;
+        link.click();
+        // Revoking right away can cancel the download before the browser reads the blob
+        setTimeout(() => URL.revokeObjectURL(link.href), 60 * 1000);
+
+        const info = document.getElementById('keystoreBackupInfo');
+        info.innerHTML = `
+            <strong>Simpan data ini di tempat aman!</strong><br>
+            Alias: <code>${escapeHtml(data.alias)}</code><br>
+            Store password: <code>${escapeHtml(data.storePassword)}</code><br>
+            Key password: <code>${escapeHtml(data.keyPassword)}</code><br>
+            <button type="button" class="tab-btn" id="keystoreBackupConfirmBtn">
+                <i class="ri-check-line"></i> Sudah Saya Simpan
+            </button>
+        `;
+        info.classList.remove('hidden');
+        document.getElementById('keystoreBackupConfirmBtn').addEventListener('click', confirmKeystoreBackup);
+    } catch (error) {
+        showToast(error.message || 'Gagal mengunduh backup', 'error');
+    }
+}
+
+// Backup file and passwords are saved: the server won't offer the backup again
+async function confirmKeystoreBackup() {
+    if (!confirm('Backup keystore tidak bisa diunduh lagi setelah ini. Sudah tersimpan dengan aman?')) return;
+
+    try {
+        const response = await fetch('/api/keystore/backup/confirm', {
+            method: 'POST',
+            headers: getAuthHeader()
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        renderKeystoreStatus(data.keystore);
+        document.getElementById('keystoreBackupConfirmBtn').remove();
+        showToast('Backup keystore dikonfirmasi', 'success');
+    } catch (error) {
+        showToast(error.message || 'Gagal mengonfirmasi backup', 'error');
+    }
+}
+
 // ==================== ZIP BUILD ====================
 
 // Setup project type picker
@@ -897,6 +1459,7 @@ function setupProjectTypePicker() {
             typeBtns.forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             selectedProjectType = btn.dataset.type;
+            document.getElementById('staticSiteFields').classList.toggle('hidden', selectedProjectType !== 'html');
         });
     });
 }
@@ -921,6 +1484,43 @@ function setupBuildTypePicker() {
     });
 }
 
+// Setup output format picker (APK / AAB / both)
+function setupOutputFormatPicker(pickerId, onSelect) {
+    const formatBtns = document.querySelectorAll(`#${pickerId} .format-btn`);
+
+    formatBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            formatBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            onSelect(btn.dataset.format);
+        });
+    });
+}
+
+// Show the AAB download next to the APK, or relabel the main button for AAB-only builds
+function setAabDownload(mainBtn, aabBtn, downloadUrl, aabDownloadUrl) {
+    const aabOnly = aabDownloadUrl && aabDownloadUrl === downloadUrl;
+
+    if (mainBtn) {
+        mainBtn.innerHTML = aabOnly
+            ? '<i class="ri-google-play-line"></i> Unduh AAB'
+            : '<i class="ri-download-cloud-2-line"></i> Unduh APK';
+    }
+
+    if (aabBtn) {
+        const showSeparate = aabDownloadUrl && !aabOnly;
+        aabBtn.href = showSeparate ? aabDownloadUrl : '#';
+        aabBtn.classList.toggle('hidden', !showSeparate);
+    }
+}
+
+// Show a download button for a file delivered with the APK, hidden when there is none
+function setExtraDownload(button, url) {
+    if (!button) return;
+    button.href = url || '#';
+    button.classList.toggle('hidden', !url);
+}
+
 // Setup ZIP upload
 function setupZipUpload() {
     const zone = elements.zipUploadZone;
@@ -1020,7 +1620,16 @@ async function startZipBuild() {
         formData.append('zipFile', selectedZipFile);
         formData.append('projectType', selectedProjectType);
         formData.append('buildType', selectedBuildType);
+        formData.append('outputFormat', selectedZipOutputFormat);
         formData.append('sessionId', sessionId);
+        if (selectedProjectType === 'html') {
+            formData.append('appName', document.getElementById('zipAppNameInput').value.trim());
+            formData.append('themeColor', document.getElementById('zipThemeColorInput').value);
+            const zipIcon = document.getElementById('zipIconInput').files[0];
+            if (zipIcon) {
+                formData.append('icon', zipIcon);
+            }
+        }
 
         // Start progress animation
         let progress = 5;
@@ -1070,11 +1679,11 @@ async function startZipBuild() {
             // PRIORITY 1: Show result UI immediately
             try {
                 // Try direct call
-                showZipResult(data.downloadUrl, data.expiresIn || 120);
+                showZipResult(data.downloadUrl, data.expiresIn || 120, data.aabDownloadUrl);
 
                 // Backup: force it via timeout just in case the execution stack was busy
                 setTimeout(() => {
-                    showZipResult(data.downloadUrl, data.expiresIn || 120);
+                    showZipResult(data.downloadUrl, data.expiresIn || 120, data.aabDownloadUrl);
                 }, 100);
             } catch (e) {
                 console.error('[ZIP Build] Formatting error in showZipResult:', e);
@@ -1127,7 +1736,7 @@ function handleSSEEvent(event, data) {
             elements.zipProgressText.textContent = 'Build complete!';
             loadLogs(); // Final logs refresh
             setTimeout(() => {
-                showZipResult(data.downloadUrl, data.expiresIn);
+                showZipResult(data.downloadUrl, data.expiresIn, data.aabDownloadUrl);
             }, 500);
             break;
         case 'error':
@@ -1149,7 +1758,7 @@ function showZipProgress() {
     saveBuildState('zip', { status: 'progress' });
 }
 
-function showZipResult(downloadUrl, expiresIn) {
+function showZipResult(downloadUrl, expiresIn, aabDownloadUrl = null) {
     console.log('[showZipResult] Called with URL:', downloadUrl, 'expiresIn:', expiresIn);
 
     // Validate download URL
@@ -1166,6 +1775,7 @@ function showZipResult(downloadUrl, expiresIn) {
     saveBuildState('zip', {
         status: 'result',
         downloadUrl: downloadUrl,
+        aabDownloadUrl: aabDownloadUrl,
         expiresIn: expiresIn || 120
     });
 
@@ -1184,6 +1794,7 @@ function showZipResult(downloadUrl, expiresIn) {
         } else {
             console.error('[showZipResult] Download button element not found!');
         }
+        setAabDownload(downloadBtn, elements.zipAabDownloadBtn, downloadUrl, aabDownloadUrl);
 
         // Set countdown timer
         let timeLeft = expiresIn || 60;